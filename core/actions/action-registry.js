@@ -0,0 +1,338 @@
+/**
+ * ActionRegistry - Typed actions for shortcuts and commands
+ * @class
+ * @description Each action type supplies a validator, a normaliser, a
+ * description and an executor. Built-in types: modal, url, command,
+ * dashboard and sequence.
+ * @version 1.0.0
+ */
+class ActionRegistry {
+  constructor(config = {}) {
+    // Services handed to executors ({ modalSystem, dashboard, shell })
+    this.context = config.context || {};
+    
+    this.types = new Map();
+    this.MAX_SEQUENCE_STEPS = 10;
+    this.MAX_SEQUENCE_DEPTH = 2;
+    
+    this.registerBuiltins();
+  }
+  
+  /**
+   * Register an action type
+   * @param {string} type - Type name stored in action.type
+   * @param {Object} definition - Type definition
+   * @param {string} definition.label - Human readable name
+   * @param {Function} definition.validate - (action, depth) => error string or null
+   * @param {Function} definition.normalize - (action) => cleaned action
+   * @param {Function} definition.describe - (action) => short description
+   * @param {Function} definition.execute - (action, context) => result or Promise;
+   *   returning false marks the action as failed
+   * @returns {boolean} Whether the type was registered
+   */
+  register(type, definition) {
+    if (!type || typeof type !== 'string' || !definition || typeof definition.execute !== 'function') {
+      console.error('ActionRegistry: Type requires a name and an execute function', type);
+      return false;
+    }
+    
+    this.types.set(type, {
+      label: type,
+      validate: () => null,
+      normalize: (action) => ({ ...action }),
+      describe: () => type,
+      ...definition
+    });
+    return true;
+  }
+  
+  /**
+   * Remove an action type
+   * @param {string} type - Type name
+   */
+  unregister(type) {
+    this.types.delete(type);
+  }
+  
+  /**
+   * Check if a type is registered
+   * @param {string} type - Type name
+   * @returns {boolean}
+   */
+  has(type) {
+    return this.types.has(type);
+  }
+  
+  /**
+   * List registered types
+   * @returns {Array<Object>} { type, label }
+   */
+  getTypes() {
+    return Array.from(this.types.entries()).map(([type, def]) => ({ type, label: def.label }));
+  }
+  
+  /**
+   * Validate an action
+   * @param {Object} action - Action to check
+   * @param {number} depth - Sequence nesting depth
+   * @returns {string|null} Error message, or null when valid
+   */
+  validate(action, depth = 0) {
+    if (!action || typeof action !== 'object') {
+      return 'Action must be an object';
+    }
+    
+    const definition = this.types.get(action.type);
+    if (!definition) {
+      return `Unknown action type "${action.type}"`;
+    }
+    
+    try {
+      return definition.validate(action, depth) || null;
+    } catch (error) {
+      return error.message;
+    }
+  }
+  
+  /**
+   * Return a clean copy of a valid action
+   * @param {Object} action - Valid action
+   * @returns {Object} Normalised action
+   */
+  normalize(action) {
+    return this.types.get(action.type).normalize(action);
+  }
+  
+  /**
+   * Describe an action for display
+   * @param {Object} action - Action
+   * @returns {string} Short description
+   */
+  describe(action) {
+    const definition = action && this.types.get(action.type);
+    if (!definition) {
+      return `unknown (${action && action.type})`;
+    }
+    return definition.describe(action);
+  }
+  
+  /**
+   * Run an action
+   * Failures are logged and reported through an action-failed event
+   * @param {Object} action - Action to run
+   * @returns {Promise<boolean>} Whether the action completed
+   */
+  async execute(action) {
+    const error = this.validate(action);
+    if (error) {
+      console.warn(`ActionRegistry: ${error}`);
+      this.dispatchFailure(action, error);
+      return false;
+    }
+    
+    try {
+      const result = await this.types.get(action.type).execute(action, this.context);
+      if (result === false) {
+        this.dispatchFailure(action, `${action.type} action did not complete`);
+        return false;
+      }
+      return true;
+    } catch (e) {
+      console.error(`Failed to run ${action.type} action:`, e);
+      this.dispatchFailure(action, e.message);
+      return false;
+    }
+  }
+  
+  /**
+   * Dispatch failure event
+   * @private
+   */
+  dispatchFailure(action, error) {
+    document.dispatchEvent(new CustomEvent('action-failed', {
+      detail: {
+        action: action,
+        error: error,
+        timestamp: Date.now()
+      },
+      bubbles: true
+    }));
+  }
+  
+  /**
+   * Get a service from the context, falling back to globals
+   * @private
+   */
+  getService(name) {
+    if (this.context[name]) {
+      return this.context[name];
+    }
+    if (name === 'modalSystem') {
+      return window.ODS && window.ODS.modalSystem;
+    }
+    if (name === 'shell') {
+      return window.odsShell;
+    }
+    if (name === 'dashboard') {
+      return window.odsShell && window.odsShell.dashboard;
+    }
+    return null;
+  }
+  
+  /**
+   * Register the built-in action types
+   * @private
+   */
+  registerBuiltins() {
+    const requireTarget = (action) => {
+      if (typeof action.target !== 'string' || !action.target.trim()) {
+        return `${action.type} action requires a target`;
+      }
+      return null;
+    };
+    
+    // Open a registered modal
+    this.register('modal', {
+      label: 'Open modal',
+      validate: requireTarget,
+      normalize: (action) => ({ type: 'modal', target: action.target.trim() }),
+      describe: (action) => action.target,
+      execute: (action) => {
+        const modalSystem = this.getService('modalSystem');
+        if (!modalSystem) {
+          throw new Error('Modal system not available');
+        }
+        
+        // Opens on top of any active modal
+        return modalSystem.open(action.target);
+      }
+    });
+    
+    // Open a web address
+    this.register('url', {
+      label: 'Open URL',
+      validate: (action) => {
+        const missing = requireTarget(action);
+        if (missing) return missing;
+        
+        let url;
+        try {
+          url = new URL(action.target, window.location.href);
+        } catch (e) {
+          return `Invalid URL "${action.target}"`;
+        }
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+          return `URL protocol ${url.protocol} is not allowed`;
+        }
+        return null;
+      },
+      normalize: (action) => ({
+        type: 'url',
+        target: action.target.trim(),
+        newTab: action.newTab !== false
+      }),
+      describe: (action) => action.target,
+      execute: (action) => {
+        if (action.newTab !== false) {
+          window.open(action.target, '_blank', 'noopener');
+        } else {
+          window.location.assign(action.target);
+        }
+      }
+    });
+    
+    // Run a command registered with the shell
+    this.register('command', {
+      label: 'Run command',
+      validate: requireTarget,
+      normalize: (action) => {
+        const normalized = { type: 'command', target: action.target.trim() };
+        if (action.args !== undefined) {
+          normalized.args = action.args;
+        }
+        return normalized;
+      },
+      describe: (action) => `command: ${action.target}`,
+      execute: (action) => {
+        const shell = this.getService('shell');
+        if (!shell || typeof shell.executeCommand !== 'function') {
+          throw new Error('Shell commands not available');
+        }
+        return shell.executeCommand(action.target, action.args);
+      }
+    });
+    
+    // Close modals and show the dashboard, optionally focusing a widget
+    this.register('dashboard', {
+      label: 'Show dashboard',
+      validate: (action) => {
+        if (action.target !== undefined && (typeof action.target !== 'string' || !action.target)) {
+          return 'dashboard action target must be a widget id';
+        }
+        return null;
+      },
+      normalize: (action) => (action.target ? { type: 'dashboard', target: action.target } : { type: 'dashboard' }),
+      describe: (action) => (action.target ? `dashboard: ${action.target}` : 'dashboard'),
+      execute: async (action) => {
+        const modalSystem = this.getService('modalSystem');
+        if (modalSystem && typeof modalSystem.closeAll === 'function') {
+          // A modal can refuse to close (e.g. unsaved changes)
+          if (await modalSystem.closeAll() === false) return false;
+        } else if (modalSystem && modalSystem.activeModal) {
+          modalSystem.closeActive();
+        }
+        
+        if (!action.target) return true;
+        
+        const dashboard = this.getService('dashboard');
+        if (!dashboard) {
+          throw new Error('Dashboard not available');
+        }
+        return dashboard.focusWidget(action.target);
+      }
+    });
+    
+    // Run several actions in order, stopping at the first failure
+    this.register('sequence', {
+      label: 'Sequence',
+      validate: (action, depth) => {
+        if (depth >= this.MAX_SEQUENCE_DEPTH) {
+          return 'Sequences are nested too deeply';
+        }
+        if (!Array.isArray(action.steps) || action.steps.length === 0) {
+          return 'sequence action requires steps';
+        }
+        if (action.steps.length > this.MAX_SEQUENCE_STEPS) {
+          return `sequence action allows at most ${this.MAX_SEQUENCE_STEPS} steps`;
+        }
+        
+        for (let i = 0; i < action.steps.length; i++) {
+          const error = this.validate(action.steps[i], depth + 1);
+          if (error) return `Step ${i + 1}: ${error}`;
+        }
+        return null;
+      },
+      normalize: (action) => ({
+        type: 'sequence',
+        steps: action.steps.map(step => this.normalize(step))
+      }),
+      describe: (action) => action.steps.map(step => this.describe(step)).join(' → '),
+      execute: async (action) => {
+        for (const step of action.steps) {
+          const completed = await this.execute(step);
+          if (!completed) return false;
+        }
+        return true;
+      }
+    });
+  }
+}
+
+// Shared instance; the shell supplies its services as context
+window.ODS = window.ODS || {};
+window.ODS.actions = window.ODS.actions || new ActionRegistry();
+
+// Export for modules if available
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ActionRegistry;
+}
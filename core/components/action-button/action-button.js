@@ -0,0 +1,111 @@
+/**
+ * ActionButton - Themed command button for settings panels
+ * @class
+ * @extends FormControl
+ * @description Has no value of its own; onClick may return a Promise, during
+ * which the button is busy and ignores further clicks
+ * @version 1.0.0
+ */
+class ActionButton extends FormControl {
+  /**
+   * Visual variants
+   */
+  static get VARIANTS() {
+    return ['default', 'primary', 'danger'];
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  getType() {
+    return 'action-button';
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  configure(config) {
+    // The label is the button text, not a separate label element
+    this.text = config.text || this.label || 'OK';
+    this.label = '';
+    this.variant = ActionButton.VARIANTS.includes(config.variant) ? config.variant : 'default';
+    this.onClick = config.onClick || (() => {});
+    this.busy = false;
+  }
+  
+  /**
+   * Build the button
+   * @protected
+   * @override
+   */
+  buildControl() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.id = this.id;
+    button.className = `action-button action-button--${this.variant}`;
+    button.textContent = this.text;
+    button.addEventListener('click', () => this.click());
+    
+    this.elements.control = button;
+    
+    return button;
+  }
+  
+  /**
+   * Run onClick unless disabled or busy
+   * @returns {Promise<boolean>} Whether onClick ran without throwing
+   */
+  async click() {
+    if (this.disabled || this.busy) return false;
+    
+    this.dispatchEvent('click');
+    this.setBusy(true);
+    
+    try {
+      await this.onClick(this);
+      this.setError(null);
+      return true;
+    } catch (e) {
+      console.error('Failed to run button action:', e);
+      this.setError(e && e.message ? e.message : 'Action failed');
+      return false;
+    } finally {
+      this.setBusy(false);
+    }
+  }
+  
+  /**
+   * Mark the button busy while an action runs
+   * @param {boolean} busy
+   */
+  setBusy(busy) {
+    this.busy = Boolean(busy);
+    const button = this.elements.control;
+    if (!button) return;
+    
+    button.classList.toggle('action-button--busy', this.busy);
+    if (this.busy) {
+      button.setAttribute('aria-busy', 'true');
+    } else {
+      button.removeAttribute('aria-busy');
+    }
+  }
+  
+  /**
+   * Change the button text
+   * @param {string} text
+   */
+  setText(text) {
+    this.text = text;
+    if (this.elements.control) {
+      this.elements.control.textContent = text;
+    }
+  }
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ActionButton;
+}
@@ -153,15 +153,11 @@ class CollapsibleContainer {
   
   /**
    * Set content (replaces existing)
-   * @param {HTMLElement|string} content - Content to set
+   * Strings are shown as text; pass SafeContent.html/trust markup for HTML
+   * @param {HTMLElement|TrustedMarkup|string} content - Content to set
    */
   setContent(content) {
-    if (typeof content === 'string') {
-      this.elements.content.innerHTML = content;
-    } else if (content instanceof HTMLElement) {
-      this.elements.content.innerHTML = '';
-      this.elements.content.appendChild(content);
-    }
+    SafeContent.render(this.elements.content, content);
   }
   
   /**
@@ -221,17 +217,33 @@ class CollapsibleContainer {
   }
   
   /**
-   * Load state from localStorage
+   * Read the state map for this storage key
+   * @private
+   * @returns {Object} Expanded state by container ID
+   */
+  readStates() {
+    const data = window.ODS.storage.readSync(this.storageKey);
+    return data && typeof data === 'object' ? data : {};
+  }
+  
+  /**
+   * Write the state map for this storage key
+   * @private
+   * @param {Object} data - Expanded state by container ID
+   */
+  writeStates(data) {
+    window.ODS.storage.writeSync(this.storageKey, data);
+  }
+  
+  /**
+   * Load saved state
    * @returns {boolean} Expanded state
    */
   loadState() {
     try {
-      const stored = localStorage.getItem(this.storageKey);
-      if (stored) {
-        const data = JSON.parse(stored);
-        if (data && typeof data === 'object' && this.id in data) {
-          return Boolean(data[this.id]);
-        }
+      const data = this.readStates();
+      if (this.id in data) {
+        return Boolean(data[this.id]);
       }
     } catch (e) {
       console.error('Failed to load collapsible state:', e);
@@ -240,23 +252,20 @@ class CollapsibleContainer {
   }
   
   /**
-   * Save state to localStorage
+   * Save current state
    */
   saveState() {
     try {
       let data = {};
-      const stored = localStorage.getItem(this.storageKey);
       
-      if (stored) {
-        try {
-          data = JSON.parse(stored);
-        } catch (e) {
-          data = {};
-        }
+      try {
+        data = { ...this.readStates() };
+      } catch (e) {
+        data = {};
       }
       
       data[this.id] = this.expanded;
-      localStorage.setItem(this.storageKey, JSON.stringify(data));
+      this.writeStates(data);
     } catch (e) {
       console.error('Failed to save collapsible state:', e);
     }
@@ -267,11 +276,10 @@ class CollapsibleContainer {
    */
   clearState() {
     try {
-      const stored = localStorage.getItem(this.storageKey);
-      if (stored) {
-        const data = JSON.parse(stored);
+      const data = { ...this.readStates() };
+      if (this.id in data) {
         delete data[this.id];
-        localStorage.setItem(this.storageKey, JSON.stringify(data));
+        this.writeStates(data);
       }
     } catch (e) {
       console.error('Failed to clear state:', e);
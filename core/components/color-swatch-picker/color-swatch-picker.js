@@ -0,0 +1,173 @@
+/**
+ * ColorSwatchPicker - Pick a color from a row of swatches
+ * @class
+ * @extends FormControl
+ * @description Swatches form a role="radiogroup" with one tab stop; arrow
+ * keys move and select. allowCustom adds a native color input.
+ * @version 1.0.0
+ */
+class ColorSwatchPicker extends FormControl {
+  /**
+   * Swatches used when config.colors is missing
+   */
+  static get DEFAULT_COLORS() {
+    return ['#00ff00', '#00ffff', '#ffb000', '#ff00ff', '#ff0000', '#ffffff'];
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  getType() {
+    return 'color-swatch-picker';
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  configure(config) {
+    const colors = FormControl.normalizeOptions(config.colors || ColorSwatchPicker.DEFAULT_COLORS);
+    this.colors = colors.map(color => ({
+      value: String(color.value).toLowerCase(),
+      label: color.label === String(color.value) ? String(color.value).toUpperCase() : color.label
+    }));
+    this.allowCustom = Boolean(config.allowCustom);
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  getDefaultValue() {
+    return this.colors.length ? this.colors[0].value : '#000000';
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  isGroup() {
+    return true;
+  }
+  
+  /**
+   * Build the swatch row
+   * @protected
+   * @override
+   */
+  buildControl() {
+    const group = document.createElement('div');
+    group.id = this.id;
+    group.className = 'color-swatch-picker';
+    group.setAttribute('role', 'radiogroup');
+    
+    this.elements.swatches = this.colors.map((color, index) => {
+      const swatch = document.createElement('button');
+      swatch.type = 'button';
+      swatch.className = 'color-swatch-picker__swatch';
+      swatch.setAttribute('role', 'radio');
+      swatch.setAttribute('aria-label', color.label);
+      swatch.title = color.label;
+      swatch.style.backgroundColor = color.value;
+      swatch.dataset.color = color.value;
+      
+      swatch.addEventListener('click', () => this.setValue(color.value));
+      swatch.addEventListener('keydown', (e) => this.handleKeydown(e, index));
+      
+      group.appendChild(swatch);
+      return swatch;
+    });
+    
+    if (this.allowCustom) {
+      const custom = document.createElement('input');
+      custom.type = 'color';
+      custom.className = 'color-swatch-picker__custom';
+      custom.setAttribute('aria-label', `Custom ${this.label || 'color'}`.trim());
+      custom.addEventListener('change', () => this.setValue(custom.value));
+      group.appendChild(custom);
+      this.elements.custom = custom;
+    }
+    
+    this.elements.control = group;
+    
+    return group;
+  }
+  
+  /**
+   * Arrow keys move to the next swatch and select it
+   * @private
+   */
+  handleKeydown(e, index) {
+    const count = this.elements.swatches.length;
+    const moves = { ArrowRight: 1, ArrowDown: 1, ArrowLeft: -1, ArrowUp: -1 };
+    let next = null;
+    
+    if (e.key in moves) {
+      next = (index + moves[e.key] + count) % count;
+    } else if (e.key === 'Home') {
+      next = 0;
+    } else if (e.key === 'End') {
+      next = count - 1;
+    }
+    
+    if (next !== null) {
+      e.preventDefault();
+      this.setValue(this.colors[next].value);
+      this.elements.swatches[next].focus();
+    }
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  render() {
+    const swatches = this.elements.swatches;
+    const selected = swatches.findIndex(swatch => swatch.dataset.color === this.value);
+    
+    // One tab stop: the selected swatch, or the first when a custom color is set
+    swatches.forEach((swatch, index) => {
+      swatch.setAttribute('aria-checked', String(index === selected));
+      swatch.tabIndex = index === (selected === -1 ? 0 : selected) ? 0 : -1;
+    });
+    
+    if (this.elements.custom) {
+      this.elements.custom.value = this.value;
+      this.elements.custom.classList.toggle('color-swatch-picker__custom--active', selected === -1);
+    }
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  parseValue(value) {
+    return typeof value === 'string' ? value.trim().toLowerCase() : value;
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  checkValue(value) {
+    if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/.test(value)) return 'Must be a #RRGGBB color';
+    if (!this.allowCustom && !this.colors.some(color => color.value === value)) return 'Not one of the swatches';
+    return null;
+  }
+  
+  /**
+   * Focus the selected swatch
+   * @override
+   */
+  focus() {
+    const swatches = this.elements.swatches || [];
+    const target = swatches.find(swatch => swatch.tabIndex === 0);
+    if (target) target.focus();
+  }
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ColorSwatchPicker;
+}
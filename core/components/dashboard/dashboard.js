@@ -0,0 +1,660 @@
+/**
+ * Dashboard - Widget grid for the shell's dashboard mount point
+ * @class
+ * @description Modules register widgets; users add, remove, move and resize them.
+ * Layout persists to localStorage.
+ * @version 1.0.0
+ */
+class Dashboard {
+  constructor(config = {}) {
+    // Configuration
+    this.storageKey = config.storageKey || 'ods-dashboard-layout';
+    this.columns = config.columns || 4;
+    
+    // Widget registry and placed widgets
+    this.widgets = new Map();
+    this.layout = this.loadLayout();
+    this.instances = new Map();
+    
+    // State
+    this.dragId = null;
+    this.pickerOpen = false;
+    
+    // DOM elements
+    this.elements = {
+      container: null,
+      toolbar: null,
+      addButton: null,
+      picker: null,
+      grid: null,
+      empty: null
+    };
+    
+    // Build on construction
+    this.build();
+    this.render();
+  }
+  
+  /**
+   * Sizes a widget cycles through when resized
+   */
+  static get SIZES() {
+    return [
+      { w: 1, h: 1 },
+      { w: 2, h: 1 },
+      { w: 2, h: 2 },
+      { w: 1, h: 2 }
+    ];
+  }
+  
+  /**
+   * Build DOM structure
+   * @returns {HTMLElement} Container element
+   */
+  build() {
+    const container = document.createElement('div');
+    container.className = 'dashboard';
+    
+    // Toolbar
+    const toolbar = document.createElement('div');
+    toolbar.className = 'dashboard__toolbar';
+    
+    const addButton = document.createElement('button');
+    addButton.className = 'dashboard__add';
+    addButton.type = 'button';
+    addButton.textContent = '+ ADD WIDGET';
+    addButton.setAttribute('aria-expanded', 'false');
+    addButton.addEventListener('click', () => this.togglePicker());
+    
+    const picker = document.createElement('div');
+    picker.className = 'dashboard__picker';
+    picker.setAttribute('role', 'menu');
+    picker.hidden = true;
+    
+    toolbar.appendChild(addButton);
+    toolbar.appendChild(picker);
+    
+    // Grid
+    const grid = document.createElement('div');
+    grid.className = 'dashboard__grid';
+    grid.style.setProperty('--dashboard-columns', this.columns);
+    
+    // Empty state (reuses shell placeholder styling)
+    const empty = document.createElement('div');
+    empty.className = 'placeholder dashboard__empty';
+    empty.textContent = 'No widgets on the dashboard';
+    
+    container.appendChild(toolbar);
+    container.appendChild(grid);
+    container.appendChild(empty);
+    
+    this.elements.container = container;
+    this.elements.toolbar = toolbar;
+    this.elements.addButton = addButton;
+    this.elements.picker = picker;
+    this.elements.grid = grid;
+    this.elements.empty = empty;
+    
+    return container;
+  }
+  
+  /**
+   * Register a widget definition
+   * @param {Object} definition - Widget definition
+   * @param {string} definition.id - Unique widget ID
+   * @param {string} definition.title - Display title
+   * @param {Function} definition.render - render(container, context), may return a cleanup function
+   * @param {Object} definition.defaultSize - Grid size {w, h}
+   * @param {string} definition.modalId - Optional modal opened from the widget title
+   * @returns {boolean} Success status
+   */
+  registerWidget(definition) {
+    if (!definition || !definition.id || typeof definition.render !== 'function') {
+      console.error('Dashboard: Widget requires id and render function', definition);
+      return false;
+    }
+    
+    this.widgets.set(definition.id, {
+      id: definition.id,
+      title: definition.title || definition.id,
+      render: definition.render,
+      defaultSize: this.validateSize(definition.defaultSize),
+      moduleId: definition.moduleId || null,
+      modalId: definition.modalId || null
+    });
+    
+    this.render();
+    return true;
+  }
+  
+  /**
+   * Unregister a widget definition
+   * Its layout entry is kept so it returns when re-registered
+   * @param {string} widgetId - Widget ID
+   */
+  unregisterWidget(widgetId) {
+    this.teardownWidget(widgetId);
+    this.widgets.delete(widgetId);
+    this.render();
+  }
+  
+  /**
+   * Check if a widget is registered
+   * @param {string} widgetId - Widget ID
+   * @returns {boolean}
+   */
+  hasWidget(widgetId) {
+    return this.widgets.has(widgetId);
+  }
+  
+  /**
+   * Place a registered widget on the dashboard
+   * @param {string} widgetId - Widget ID
+   * @returns {boolean} Success status
+   */
+  addWidget(widgetId) {
+    const widget = this.widgets.get(widgetId);
+    if (!widget || this.isPlaced(widgetId)) {
+      return false;
+    }
+    
+    this.layout.push({
+      widgetId: widgetId,
+      size: { ...widget.defaultSize }
+    });
+    
+    this.commit();
+    return true;
+  }
+  
+  /**
+   * Remove a widget from the dashboard
+   * @param {string} widgetId - Widget ID
+   * @returns {boolean} Success status
+   */
+  removeWidget(widgetId) {
+    const index = this.layout.findIndex(entry => entry.widgetId === widgetId);
+    if (index === -1) {
+      return false;
+    }
+    
+    this.teardownWidget(widgetId);
+    this.layout.splice(index, 1);
+    this.commit();
+    return true;
+  }
+  
+  /**
+   * Move a widget to a new index
+   * @param {string} widgetId - Widget ID
+   * @param {number} toIndex - Target index
+   * @returns {boolean} Success status
+   */
+  moveWidget(widgetId, toIndex) {
+    const fromIndex = this.layout.findIndex(entry => entry.widgetId === widgetId);
+    if (fromIndex === -1 || toIndex < 0 || toIndex >= this.layout.length || toIndex === fromIndex) {
+      return false;
+    }
+    
+    const [entry] = this.layout.splice(fromIndex, 1);
+    this.layout.splice(toIndex, 0, entry);
+    this.commit();
+    return true;
+  }
+  
+  /**
+   * Resize a widget
+   * @param {string} widgetId - Widget ID
+   * @param {Object} size - Grid size {w, h}
+   * @returns {boolean} Success status
+   */
+  resizeWidget(widgetId, size) {
+    const entry = this.layout.find(e => e.widgetId === widgetId);
+    if (!entry) {
+      return false;
+    }
+    
+    entry.size = this.validateSize(size);
+    this.teardownWidget(widgetId);
+    this.commit();
+    return true;
+  }
+  
+  /**
+   * Advance a widget to the next size in SIZES
+   * @param {string} widgetId - Widget ID
+   */
+  cycleSize(widgetId) {
+    const entry = this.layout.find(e => e.widgetId === widgetId);
+    if (!entry) return;
+    
+    const sizes = Dashboard.SIZES;
+    const current = sizes.findIndex(s => s.w === entry.size.w && s.h === entry.size.h);
+    this.resizeWidget(widgetId, sizes[(current + 1) % sizes.length]);
+  }
+  
+  /**
+   * Check if a widget is placed on the dashboard
+   * @param {string} widgetId - Widget ID
+   * @returns {boolean}
+   */
+  isPlaced(widgetId) {
+    return this.layout.some(entry => entry.widgetId === widgetId);
+  }
+  
+  /**
+   * Bring a widget into view, placing it first if needed
+   * @param {string} widgetId - Widget ID
+   * @returns {boolean} Whether the widget is shown
+   */
+  focusWidget(widgetId) {
+    if (!this.widgets.has(widgetId)) {
+      console.warn(`Dashboard: Widget ${widgetId} not found`);
+      return false;
+    }
+    
+    if (!this.isPlaced(widgetId)) {
+      this.addWidget(widgetId);
+    }
+    
+    const instance = this.instances.get(widgetId);
+    if (!instance) return false;
+    
+    instance.element.tabIndex = -1;
+    if (typeof instance.element.scrollIntoView === 'function') {
+      instance.element.scrollIntoView({ block: 'nearest' });
+    }
+    instance.element.focus();
+    return true;
+  }
+  
+  /**
+   * Get a copy of the current layout
+   * @returns {Array} Layout entries {widgetId, size}
+   */
+  getLayout() {
+    return this.layout.map(entry => ({ widgetId: entry.widgetId, size: { ...entry.size } }));
+  }
+  
+  /**
+   * Clamp a size to the grid
+   * @param {Object} size - Grid size {w, h}
+   * @returns {Object} Valid size
+   */
+  validateSize(size) {
+    const w = Math.round(Number(size && size.w)) || 1;
+    const h = Math.round(Number(size && size.h)) || 1;
+    
+    return {
+      w: Math.min(Math.max(w, 1), this.columns),
+      h: Math.min(Math.max(h, 1), 4)
+    };
+  }
+  
+  /**
+   * Open a widget's module modal
+   * @param {string} modalId - Modal ID
+   * @returns {boolean} Whether the modal system handled it
+   */
+  openModal(modalId) {
+    if (!modalId || !window.ODS || !window.ODS.modalSystem) {
+      console.warn('Dashboard: Modal system not available');
+      return false;
+    }
+    
+    window.ODS.modalSystem.open(modalId);
+    return true;
+  }
+  
+  /**
+   * Save layout, redraw and notify listeners
+   * @private
+   */
+  commit() {
+    this.saveLayout();
+    this.render();
+    
+    document.dispatchEvent(new CustomEvent('dashboard-layout-changed', {
+      detail: {
+        layout: this.getLayout(),
+        timestamp: Date.now()
+      },
+      bubbles: true
+    }));
+  }
+  
+  /**
+   * Redraw grid and widget picker
+   */
+  render() {
+    if (!this.elements.grid) return;
+    
+    const placed = this.getPlacedEntries();
+    
+    // Remove widgets that are no longer placed
+    Array.from(this.instances.keys()).forEach(widgetId => {
+      if (!placed.some(entry => entry.widgetId === widgetId)) {
+        this.teardownWidget(widgetId);
+      }
+    });
+    
+    // Append in layout order; existing widgets are moved, not re-rendered
+    placed.forEach((entry, index) => {
+      let instance = this.instances.get(entry.widgetId);
+      if (!instance) {
+        instance = this.renderWidget(entry);
+        this.instances.set(entry.widgetId, instance);
+      }
+      this.updateWidgetFrame(instance, entry, index, placed.length);
+      this.elements.grid.appendChild(instance.element);
+    });
+    
+    this.elements.empty.hidden = placed.length > 0;
+    this.renderPicker();
+  }
+  
+  /**
+   * Build a widget frame and run its render function
+   * @private
+   */
+  renderWidget(entry) {
+    const widget = this.widgets.get(entry.widgetId);
+    
+    const element = document.createElement('section');
+    element.className = 'dashboard__widget';
+    element.dataset.widgetId = widget.id;
+    element.draggable = true;
+    
+    // Header
+    const header = document.createElement('div');
+    header.className = 'dashboard__widget-header';
+    
+    const title = document.createElement(widget.modalId ? 'button' : 'h3');
+    title.className = 'dashboard__widget-title';
+    title.textContent = widget.title.toUpperCase();
+    if (widget.modalId) {
+      title.type = 'button';
+      title.setAttribute('aria-label', `Open ${widget.title}`);
+      title.addEventListener('click', () => this.openModal(widget.modalId));
+    }
+    
+    const controls = document.createElement('div');
+    controls.className = 'dashboard__widget-controls';
+    
+    const buttons = {
+      prev: this.buildControl('←', `Move ${widget.title} earlier`, () => this.moveBy(widget.id, -1)),
+      next: this.buildControl('→', `Move ${widget.title} later`, () => this.moveBy(widget.id, 1)),
+      size: this.buildControl('⇲', `Resize ${widget.title}`, () => this.cycleSize(widget.id)),
+      remove: this.buildControl('×', `Remove ${widget.title}`, () => this.removeWidget(widget.id))
+    };
+    Object.values(buttons).forEach(button => controls.appendChild(button));
+    
+    header.appendChild(title);
+    header.appendChild(controls);
+    
+    // Body
+    const body = document.createElement('div');
+    body.className = 'dashboard__widget-body';
+    
+    element.appendChild(header);
+    element.appendChild(body);
+    
+    this.bindDragEvents(element, widget.id);
+    
+    // Run widget render function
+    let cleanup = null;
+    try {
+      const result = widget.render(body, {
+        widgetId: widget.id,
+        size: { ...entry.size },
+        openModal: (modalId = widget.modalId) => this.openModal(modalId),
+        dashboard: this
+      });
+      if (typeof result === 'function') {
+        cleanup = result;
+      }
+    } catch (error) {
+      console.error(`Dashboard: Widget ${widget.id} failed to render`, error);
+      body.textContent = 'Widget failed to load';
+      element.classList.add('dashboard__widget--error');
+    }
+    
+    return { element, buttons, cleanup };
+  }
+  
+  /**
+   * Update size and control state of a widget frame
+   * @private
+   */
+  updateWidgetFrame(instance, entry, index, total) {
+    instance.element.style.gridColumn = `span ${entry.size.w}`;
+    instance.element.style.gridRow = `span ${entry.size.h}`;
+    instance.element.dataset.size = `${entry.size.w}x${entry.size.h}`;
+    instance.buttons.prev.disabled = index === 0;
+    instance.buttons.next.disabled = index === total - 1;
+  }
+  
+  /**
+   * Build a widget header control
+   * @private
+   */
+  buildControl(text, ariaLabel, onClick) {
+    const button = document.createElement('button');
+    button.className = 'dashboard__widget-control';
+    button.type = 'button';
+    button.textContent = text;
+    button.setAttribute('aria-label', ariaLabel);
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+  
+  /**
+   * Layout entries of registered widgets, in the order they are shown
+   * @private
+   */
+  getPlacedEntries() {
+    return this.layout.filter(entry => this.widgets.has(entry.widgetId));
+  }
+  
+  /**
+   * Move a widget relative to its position among the shown widgets
+   * Hidden layout entries (unregistered widgets) are stepped over
+   * @private
+   */
+  moveBy(widgetId, delta) {
+    const placed = this.getPlacedEntries();
+    const index = placed.findIndex(entry => entry.widgetId === widgetId);
+    const target = placed[index + delta];
+    if (index !== -1 && target) {
+      this.moveToWidget(widgetId, target.widgetId);
+    }
+  }
+  
+  /**
+   * Move a widget into another widget's place
+   * It lands before the target when moving earlier and after it when moving later
+   * @private
+   */
+  moveToWidget(widgetId, targetId) {
+    const toIndex = this.layout.findIndex(entry => entry.widgetId === targetId);
+    return this.moveWidget(widgetId, toIndex);
+  }
+  
+  /**
+   * Bind drag and drop events to a widget frame
+   * @private
+   */
+  bindDragEvents(element, widgetId) {
+    element.addEventListener('dragstart', (e) => {
+      this.dragId = widgetId;
+      element.classList.add('dashboard__widget--dragging');
+      if (e.dataTransfer) {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', widgetId);
+      }
+    });
+    
+    element.addEventListener('dragend', () => {
+      this.dragId = null;
+      element.classList.remove('dashboard__widget--dragging');
+    });
+    
+    element.addEventListener('dragover', (e) => {
+      if (!this.dragId || this.dragId === widgetId) return;
+      e.preventDefault();
+      element.classList.add('dashboard__widget--drop-target');
+    });
+    
+    element.addEventListener('dragleave', () => {
+      element.classList.remove('dashboard__widget--drop-target');
+    });
+    
+    element.addEventListener('drop', (e) => {
+      e.preventDefault();
+      element.classList.remove('dashboard__widget--drop-target');
+      if (this.dragId && this.dragId !== widgetId) {
+        this.moveToWidget(this.dragId, widgetId);
+      }
+      this.dragId = null;
+    });
+  }
+  
+  /**
+   * Run a widget's cleanup and remove its frame
+   * @private
+   */
+  teardownWidget(widgetId) {
+    const instance = this.instances.get(widgetId);
+    if (!instance) return;
+    
+    if (instance.cleanup) {
+      try {
+        instance.cleanup();
+      } catch (error) {
+        console.error(`Dashboard: Widget ${widgetId} cleanup failed`, error);
+      }
+    }
+    
+    if (instance.element.parentNode) {
+      instance.element.parentNode.removeChild(instance.element);
+    }
+    this.instances.delete(widgetId);
+  }
+  
+  /**
+   * Show or hide the add-widget picker
+   */
+  togglePicker() {
+    this.pickerOpen = !this.pickerOpen;
+    this.renderPicker();
+  }
+  
+  /**
+   * Redraw the list of widgets that can be added
+   * @private
+   */
+  renderPicker() {
+    const { picker, addButton } = this.elements;
+    const available = Array.from(this.widgets.values()).filter(w => !this.isPlaced(w.id));
+    
+    addButton.disabled = available.length === 0;
+    if (available.length === 0) {
+      this.pickerOpen = false;
+    }
+    
+    picker.hidden = !this.pickerOpen;
+    addButton.setAttribute('aria-expanded', String(this.pickerOpen));
+    picker.innerHTML = '';
+    
+    available.forEach(widget => {
+      const option = document.createElement('button');
+      option.className = 'dashboard__picker-option';
+      option.type = 'button';
+      option.setAttribute('role', 'menuitem');
+      option.dataset.widgetId = widget.id;
+      option.textContent = widget.title.toUpperCase();
+      option.addEventListener('click', () => {
+        this.pickerOpen = false;
+        this.addWidget(widget.id);
+      });
+      picker.appendChild(option);
+    });
+  }
+  
+  /**
+   * Load layout from localStorage
+   * @returns {Array} Layout entries
+   */
+  loadLayout() {
+    try {
+      const stored = localStorage.getItem(this.storageKey);
+      if (stored) {
+        const data = JSON.parse(stored);
+        if (Array.isArray(data)) {
+          return data
+            .filter(entry => entry && typeof entry.widgetId === 'string')
+            .map(entry => ({ widgetId: entry.widgetId, size: this.validateSize(entry.size) }));
+        }
+      }
+    } catch (e) {
+      console.error('Failed to load dashboard layout:', e);
+    }
+    return [];
+  }
+  
+  /**
+   * Save layout to localStorage
+   */
+  saveLayout() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(this.layout));
+    } catch (e) {
+      console.error('Failed to save dashboard layout:', e);
+    }
+  }
+  
+  /**
+   * Get container element
+   * @returns {HTMLElement} Container element
+   */
+  getElement() {
+    return this.elements.container;
+  }
+  
+  /**
+   * Mount to parent element
+   * @param {HTMLElement} parent - Parent element
+   */
+  mount(parent) {
+    if (parent && parent instanceof HTMLElement && this.elements.container) {
+      parent.appendChild(this.elements.container);
+    }
+  }
+  
+  /**
+   * Unmount from DOM
+   */
+  unmount() {
+    if (this.elements.container && this.elements.container.parentNode) {
+      this.elements.container.parentNode.removeChild(this.elements.container);
+    }
+  }
+  
+  /**
+   * Destroy and cleanup
+   */
+  destroy() {
+    Array.from(this.instances.keys()).forEach(widgetId => this.teardownWidget(widgetId));
+    this.unmount();
+    this.widgets.clear();
+    this.elements = {};
+  }
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = Dashboard;
+}
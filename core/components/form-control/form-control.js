@@ -0,0 +1,373 @@
+/**
+ * FormControl - Base class for themed settings form controls
+ * @class
+ * @description Shared value/onChange/validate contract: every control has
+ * a label, an optional description and an error line wired to the control
+ * through aria-describedby, and dispatches form-control-change events
+ * @version 1.0.0
+ */
+class FormControl {
+  constructor(config = {}) {
+    // Configuration
+    this.id = config.id || FormControl.generateId(this.getType());
+    this.name = config.name || this.id;
+    this.label = config.label || '';
+    this.description = config.description || '';
+    this.disabled = Boolean(config.disabled);
+    
+    // Callbacks
+    this.onChange = config.onChange || (() => {});
+    this.validator = config.validate || null;
+    
+    // Type-specific options, read before the value and DOM exist
+    this.configure(config);
+    
+    // State
+    this.value = config.value !== undefined ? config.value : this.getDefaultValue();
+    this.error = null;
+    
+    // DOM elements
+    this.elements = {
+      container: null,
+      label: null,
+      control: null,
+      description: null,
+      error: null
+    };
+    
+    // Build on construction
+    this.build();
+  }
+  
+  /**
+   * Unique DOM ID for a control
+   * @param {string} type - Control type used as prefix
+   * @returns {string}
+   */
+  static generateId(type) {
+    FormControl.counter = (FormControl.counter || 0) + 1;
+    return `${type}-${FormControl.counter}`;
+  }
+  
+  /**
+   * Normalize choice lists for select, radio and swatch controls
+   * @param {Array<string|number|Object>} options - Values or { value, label }
+   * @returns {Array<Object>} { value, label } pairs
+   */
+  static normalizeOptions(options = []) {
+    return options.map(option => {
+      if (option && typeof option === 'object') {
+        return { value: option.value, label: option.label !== undefined ? String(option.label) : String(option.value) };
+      }
+      return { value: option, label: String(option) };
+    });
+  }
+  
+  /**
+   * Control type, used for class names and IDs - override in subclasses
+   * @protected
+   * @returns {string}
+   */
+  getType() {
+    return 'form-control';
+  }
+  
+  /**
+   * Read type-specific options - override in subclasses
+   * Runs inside the base constructor, before the DOM is built
+   * @protected
+   * @param {Object} config - Constructor config
+   */
+  configure(config) {}
+  
+  /**
+   * Value used when config.value is missing - override in subclasses
+   * @protected
+   */
+  getDefaultValue() {
+    return null;
+  }
+  
+  /**
+   * Build the control element(s) - override in subclasses
+   * Must set this.elements.control to the element that takes focus
+   * @protected
+   * @returns {HTMLElement}
+   */
+  buildControl() {
+    throw new Error(`${this.constructor.name} must implement buildControl()`);
+  }
+  
+  /**
+   * Show this.value in the control - override in subclasses
+   * @protected
+   */
+  render() {}
+  
+  /**
+   * Type-specific value check - override in subclasses
+   * @protected
+   * @param {*} value
+   * @returns {string|null} Error message
+   */
+  checkValue(value) {
+    return null;
+  }
+  
+  /**
+   * Convert raw input to the control's value type - override in subclasses
+   * @protected
+   */
+  parseValue(value) {
+    return value;
+  }
+  
+  /**
+   * IDs of extra elements that describe the control (e.g. a counter)
+   * - override in subclasses
+   * @protected
+   * @returns {Array<string>}
+   */
+  getDescriptionIds() {
+    return [];
+  }
+  
+  /**
+   * Whether the label names a group (radio buttons, swatches) rather than
+   * a single labelable element
+   * @protected
+   */
+  isGroup() {
+    return false;
+  }
+  
+  /**
+   * Build DOM structure
+   * @returns {HTMLElement} Container element
+   */
+  build() {
+    const type = this.getType();
+    
+    const container = document.createElement('div');
+    container.className = `form-control form-control--${type}`;
+    container.id = `${this.id}-field`;
+    
+    // Label; groups are named through aria-labelledby instead of for=
+    const label = document.createElement(this.isGroup() ? 'span' : 'label');
+    label.className = 'form-control__label';
+    label.id = `${this.id}-label`;
+    label.textContent = this.label;
+    label.hidden = !this.label;
+    if (!this.isGroup()) {
+      label.htmlFor = this.id;
+    }
+    
+    const description = document.createElement('p');
+    description.className = 'form-control__description';
+    description.id = `${this.id}-description`;
+    description.textContent = this.description;
+    description.hidden = !this.description;
+    
+    const error = document.createElement('p');
+    error.className = 'form-control__error';
+    error.id = `${this.id}-error`;
+    error.setAttribute('aria-live', 'polite');
+    error.hidden = true;
+    
+    this.elements.container = container;
+    this.elements.label = label;
+    this.elements.description = description;
+    this.elements.error = error;
+    
+    const body = this.buildControl();
+    const control = this.elements.control;
+    
+    const describedBy = [
+      this.description ? description.id : null,
+      ...this.getDescriptionIds(),
+      error.id
+    ].filter(Boolean);
+    control.setAttribute('aria-describedby', describedBy.join(' '));
+    if (this.isGroup() && this.label) {
+      control.setAttribute('aria-labelledby', label.id);
+    }
+    
+    container.appendChild(label);
+    container.appendChild(body);
+    container.appendChild(description);
+    container.appendChild(error);
+    
+    this.render();
+    this.setDisabled(this.disabled);
+    
+    return container;
+  }
+  
+  /**
+   * Get the current value
+   * @returns {*}
+   */
+  getValue() {
+    return this.value;
+  }
+  
+  /**
+   * Set a new value
+   * Invalid values are rejected and shown as an error; valid changes call
+   * onChange and dispatch form-control-change unless silent
+   * @param {*} value - New value
+   * @param {Object} options - { silent: true } skips onChange and the event
+   * @returns {boolean} Whether the value was accepted
+   */
+  setValue(value, options = {}) {
+    const parsed = this.parseValue(value);
+    const error = this.validate(parsed);
+    
+    if (error) {
+      this.setError(error);
+      this.dispatchEvent('invalid', { value: parsed, error });
+      return false;
+    }
+    
+    const changed = parsed !== this.value;
+    this.value = parsed;
+    this.setError(null);
+    this.render();
+    
+    if (changed && !options.silent) {
+      this.onChange(parsed, this);
+      this.dispatchEvent('change', { value: parsed });
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Check a value without applying it
+   * @param {*} value - Defaults to the current value
+   * @returns {string|null} Error message, null when valid
+   */
+  validate(value = this.value) {
+    const error = this.checkValue(value);
+    if (error) return error;
+    
+    if (typeof this.validator === 'function') {
+      const result = this.validator(value, this);
+      if (result === false) return 'Invalid value';
+      if (typeof result === 'string') return result;
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Show or clear an error message
+   * @param {string|null} message
+   */
+  setError(message) {
+    this.error = message || null;
+    
+    if (this.elements.error) {
+      this.elements.error.textContent = this.error || '';
+      this.elements.error.hidden = !this.error;
+    }
+    if (this.elements.control) {
+      if (this.error) {
+        this.elements.control.setAttribute('aria-invalid', 'true');
+      } else {
+        this.elements.control.removeAttribute('aria-invalid');
+      }
+    }
+    if (this.elements.container) {
+      this.elements.container.classList.toggle('form-control--invalid', Boolean(this.error));
+    }
+  }
+  
+  /**
+   * Enable or disable the control
+   * @param {boolean} disabled
+   */
+  setDisabled(disabled) {
+    this.disabled = Boolean(disabled);
+    
+    if (this.elements.container) {
+      this.elements.container.classList.toggle('form-control--disabled', this.disabled);
+      this.elements.container
+        .querySelectorAll('input, select, button, textarea')
+        .forEach(element => { element.disabled = this.disabled; });
+    }
+    if (this.elements.control) {
+      this.elements.control.setAttribute('aria-disabled', String(this.disabled));
+    }
+  }
+  
+  /**
+   * Move focus to the control
+   */
+  focus() {
+    if (this.elements.control) {
+      this.elements.control.focus();
+    }
+  }
+  
+  /**
+   * Get container element
+   * @returns {HTMLElement} Container element
+   */
+  getElement() {
+    return this.elements.container;
+  }
+  
+  /**
+   * Mount to parent element
+   * @param {HTMLElement} parent - Parent element
+   */
+  mount(parent) {
+    if (parent && parent instanceof HTMLElement && this.elements.container) {
+      parent.appendChild(this.elements.container);
+    }
+  }
+  
+  /**
+   * Unmount from DOM
+   */
+  unmount() {
+    if (this.elements.container && this.elements.container.parentNode) {
+      this.elements.container.parentNode.removeChild(this.elements.container);
+    }
+  }
+  
+  /**
+   * Dispatch custom event from the container
+   * @param {string} eventType - change or invalid
+   * @param {Object} detail - Extra detail
+   */
+  dispatchEvent(eventType, detail = {}) {
+    const event = new CustomEvent(`form-control-${eventType}`, {
+      detail: {
+        id: this.id,
+        name: this.name,
+        type: this.getType(),
+        ...detail
+      },
+      bubbles: true
+    });
+    
+    if (this.elements.container) {
+      this.elements.container.dispatchEvent(event);
+    }
+  }
+  
+  /**
+   * Destroy and cleanup
+   */
+  destroy() {
+    this.unmount();
+    this.elements = {};
+  }
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = FormControl;
+}
@@ -33,6 +33,9 @@ class ModalSettings {
     // Event handling
     this.eventHandlers = [];
     
+    // Form controls added through addSection, destroyed with the panel
+    this.components = [];
+    
     // Build base structure
     this.buildBaseStructure();
     
@@ -72,18 +75,30 @@ class ModalSettings {
   
   /**
    * Add a section to the settings panel
-   * @param {HTMLElement|string} section - Section to add
+   * Strings are shown as text; pass SafeContent.html/trust markup for HTML.
+   * Components (anything with getElement(), e.g. a FormControl) are
+   * appended as-is and destroyed with the panel.
+   * @param {HTMLElement|FormControl|TrustedMarkup|string} section - Section to add
    * @param {string} className - Optional class name
    * @returns {HTMLElement} The section element
    */
   addSection(section, className = '') {
     let sectionElement;
     
-    if (typeof section === 'string') {
+    if (typeof section === 'string' || SafeContent.isTrusted(section)) {
       sectionElement = document.createElement('div');
-      sectionElement.innerHTML = section;
+      SafeContent.render(sectionElement, section);
     } else if (section instanceof HTMLElement) {
       sectionElement = section;
+    } else if (section && typeof section.getElement === 'function' && section.getElement() instanceof HTMLElement) {
+      sectionElement = section.getElement();
+      this.components.push(section);
+      
+      // Keep the component's own classes
+      if (className) {
+        sectionElement.classList.add(...className.split(/\s+/).filter(Boolean));
+        className = '';
+      }
     } else {
       return null;
     }
@@ -100,40 +115,37 @@ class ModalSettings {
   
   /**
    * Add a description section
-   * @param {string} text - Description text
+   * @param {string|TrustedMarkup} text - Description text (escaped)
    * @param {boolean} includeOrgLink - Include organization link
    * @returns {HTMLElement} Description element
    */
   addDescription(text, includeOrgLink = false) {
+    const { html } = SafeContent;
     const description = document.createElement('div');
     description.className = 'modal-settings__description';
     
-    if (includeOrgLink) {
-      description.innerHTML = `
-        <p>${text}</p>
-        <p>To rearrange items, use the <span class="modal-settings__link">Organization</span> module.</p>
-      `;
-    } else {
-      description.innerHTML = `<p>${text}</p>`;
-    }
+    SafeContent.render(description, html`
+      <p>${text}</p>
+      ${includeOrgLink ? html`<p>To rearrange items, use the <span class="modal-settings__link">Organization</span> module.</p>` : ''}
+    `);
     
     return this.addSection(description);
   }
   
   /**
    * Add a placeholder section
-   * @param {string} text - Placeholder text
+   * @param {string|TrustedMarkup} text - Placeholder text (escaped)
    * @param {string} className - Class name for the section
    * @returns {HTMLElement} Placeholder element
    */
   addPlaceholder(text, className) {
     const placeholder = document.createElement('div');
     placeholder.className = className;
-    placeholder.innerHTML = `
+    SafeContent.render(placeholder, SafeContent.html`
       <div class="modal-settings__placeholder">
         ${text}
       </div>
-    `;
+    `);
     
     return this.addSection(placeholder);
   }
@@ -241,6 +253,10 @@ class ModalSettings {
    */
   destroy() {
     this.cleanupEventHandlers();
+    this.components.forEach(component => {
+      if (typeof component.destroy === 'function') component.destroy();
+    });
+    this.components = [];
     this.container.destroy();
     this.elements = {};
   }
@@ -0,0 +1,181 @@
+/**
+ * NumberStepper - Numeric field with decrease/increase buttons
+ * @class
+ * @extends FormControl
+ * @description The field is a spinbutton: ArrowUp/ArrowDown step, Home/End
+ * jump to the limits and typed numbers are committed on change
+ * @version 1.0.0
+ */
+class NumberStepper extends FormControl {
+  /**
+   * @protected
+   * @override
+   */
+  getType() {
+    return 'number-stepper';
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  configure(config) {
+    this.min = typeof config.min === 'number' ? config.min : null;
+    this.max = typeof config.max === 'number' ? config.max : null;
+    this.step = typeof config.step === 'number' && config.step > 0 ? config.step : 1;
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  getDefaultValue() {
+    return this.min !== null ? this.min : 0;
+  }
+  
+  /**
+   * Build the field and its buttons
+   * @protected
+   * @override
+   */
+  buildControl() {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'number-stepper';
+    
+    const decrease = this.createButton('−', 'Decrease', -1);
+    const increase = this.createButton('+', 'Increase', 1);
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = this.id;
+    input.name = this.name;
+    input.className = 'number-stepper__field';
+    input.inputMode = 'decimal';
+    input.autocomplete = 'off';
+    input.setAttribute('role', 'spinbutton');
+    if (this.min !== null) input.setAttribute('aria-valuemin', String(this.min));
+    if (this.max !== null) input.setAttribute('aria-valuemax', String(this.max));
+    
+    input.addEventListener('change', () => this.setValue(input.value));
+    input.addEventListener('keydown', (e) => this.handleKeydown(e));
+    
+    wrapper.appendChild(decrease);
+    wrapper.appendChild(input);
+    wrapper.appendChild(increase);
+    
+    this.elements.control = input;
+    this.elements.decrease = decrease;
+    this.elements.increase = increase;
+    
+    return wrapper;
+  }
+  
+  /**
+   * Create a step button
+   * Buttons stay out of the tab order; the field's arrow keys do the same
+   * @private
+   */
+  createButton(text, action, direction) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = `number-stepper__button number-stepper__button--${direction > 0 ? 'increase' : 'decrease'}`;
+    button.textContent = text;
+    button.tabIndex = -1;
+    button.setAttribute('aria-label', `${action} ${this.label}`.trim());
+    button.addEventListener('click', () => this.stepBy(direction));
+    return button;
+  }
+  
+  /**
+   * Keyboard support on the field
+   * @private
+   */
+  handleKeydown(e) {
+    const keys = {
+      ArrowUp: () => this.stepBy(1),
+      ArrowDown: () => this.stepBy(-1),
+      Home: () => this.min !== null && this.setValue(this.min),
+      End: () => this.max !== null && this.setValue(this.max)
+    };
+    
+    if (keys[e.key]) {
+      e.preventDefault();
+      keys[e.key]();
+    }
+  }
+  
+  /**
+   * Move by whole steps, stopping at the limits
+   * @param {number} direction - Number of steps, negative to decrease
+   * @returns {boolean} Whether the change was accepted
+   */
+  stepBy(direction) {
+    if (this.disabled) return false;
+    
+    const base = Number.isFinite(this.value) ? this.value : this.getDefaultValue();
+    let next = this.round(base + direction * this.step);
+    if (this.min !== null) next = Math.max(this.min, next);
+    if (this.max !== null) next = Math.min(this.max, next);
+    
+    return this.setValue(next);
+  }
+  
+  /**
+   * Remove float noise to the step's precision
+   * @private
+   */
+  round(value) {
+    const decimals = (String(this.step).split('.')[1] || '').length;
+    return Number(value.toFixed(decimals));
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  render() {
+    const input = this.elements.control;
+    input.value = String(this.value);
+    input.setAttribute('aria-valuenow', String(this.value));
+    
+    this.elements.decrease.disabled = this.disabled || (this.min !== null && this.value <= this.min);
+    this.elements.increase.disabled = this.disabled || (this.max !== null && this.value >= this.max);
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  parseValue(value) {
+    if (typeof value === 'string') {
+      return value.trim() === '' ? NaN : Number(value.trim());
+    }
+    return value;
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  checkValue(value) {
+    if (typeof value !== 'number' || !Number.isFinite(value)) return 'Must be a number';
+    if (this.min !== null && value < this.min) return `Must be at least ${this.min}`;
+    if (this.max !== null && value > this.max) return `Must be at most ${this.max}`;
+    return null;
+  }
+  
+  /**
+   * @override
+   */
+  setDisabled(disabled) {
+    super.setDisabled(disabled);
+    if (this.elements.decrease) {
+      this.render();
+    }
+  }
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = NumberStepper;
+}
@@ -0,0 +1,122 @@
+/**
+ * RadioGroup - One choice from a short, always visible list
+ * @class
+ * @extends FormControl
+ * @description Native radio inputs in a role="radiogroup" named by the
+ * label, so arrow keys move and select as users expect
+ * @version 1.0.0
+ */
+class RadioGroup extends FormControl {
+  /**
+   * @protected
+   * @override
+   */
+  getType() {
+    return 'radio-group';
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  configure(config) {
+    this.options = FormControl.normalizeOptions(config.options);
+    this.inline = Boolean(config.inline);
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  getDefaultValue() {
+    return this.options.length ? this.options[0].value : null;
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  isGroup() {
+    return true;
+  }
+  
+  /**
+   * Build the group and its radios
+   * @protected
+   * @override
+   */
+  buildControl() {
+    const group = document.createElement('div');
+    group.id = this.id;
+    group.className = `radio-group${this.inline ? ' radio-group--inline' : ''}`;
+    group.setAttribute('role', 'radiogroup');
+    
+    this.elements.radios = this.options.map((option, index) => {
+      const label = document.createElement('label');
+      label.className = 'radio-group__option';
+      
+      const input = document.createElement('input');
+      input.type = 'radio';
+      input.id = `${this.id}-${index}`;
+      input.name = this.name;
+      input.value = String(option.value);
+      input.className = 'radio-group__input';
+      // A rejected choice (see validate) puts the check back
+      input.addEventListener('change', () => {
+        if (input.checked && !this.setValue(option.value)) this.render();
+      });
+      
+      const mark = document.createElement('span');
+      mark.className = 'radio-group__mark';
+      mark.setAttribute('aria-hidden', 'true');
+      
+      const text = document.createElement('span');
+      text.className = 'radio-group__text';
+      text.textContent = option.label;
+      
+      label.appendChild(input);
+      label.appendChild(mark);
+      label.appendChild(text);
+      group.appendChild(label);
+      
+      return input;
+    });
+    
+    this.elements.control = group;
+    
+    return group;
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  render() {
+    this.elements.radios.forEach((input, index) => {
+      input.checked = this.options[index].value === this.value;
+    });
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  checkValue(value) {
+    return this.options.some(option => option.value === value) ? null : 'Not one of the choices';
+  }
+  
+  /**
+   * Focus the checked radio (or the first one)
+   * @override
+   */
+  focus() {
+    const radios = this.elements.radios || [];
+    const target = radios.find(input => input.checked) || radios[0];
+    if (target) target.focus();
+  }
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = RadioGroup;
+}
@@ -0,0 +1,126 @@
+/**
+ * SelectField - Drop-down choice from a fixed list
+ * @class
+ * @extends FormControl
+ * @description Wraps a native select so keyboard and screen reader support
+ * come from the browser; option values keep their original type
+ * @version 1.0.0
+ */
+class SelectField extends FormControl {
+  /**
+   * @protected
+   * @override
+   */
+  getType() {
+    return 'select-field';
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  configure(config) {
+    this.options = FormControl.normalizeOptions(config.options);
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  getDefaultValue() {
+    return this.options.length ? this.options[0].value : null;
+  }
+  
+  /**
+   * Build the select element
+   * @protected
+   * @override
+   */
+  buildControl() {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'select-field';
+    
+    const select = document.createElement('select');
+    select.id = this.id;
+    select.name = this.name;
+    select.className = 'select-field__input';
+    select.addEventListener('change', () => {
+      const option = this.findOption(select.value);
+      // A rejected choice (see validate) puts the selection back
+      if (!this.setValue(option ? option.value : select.value)) this.render();
+    });
+    
+    const arrow = document.createElement('span');
+    arrow.className = 'select-field__arrow';
+    arrow.setAttribute('aria-hidden', 'true');
+    arrow.textContent = '▼';
+    
+    wrapper.appendChild(select);
+    wrapper.appendChild(arrow);
+    
+    this.elements.control = select;
+    this.renderOptions();
+    
+    return wrapper;
+  }
+  
+  /**
+   * Replace the option list
+   * Falls back to the first option when the current value is gone
+   * @param {Array<string|number|Object>} options - Values or { value, label }
+   */
+  setOptions(options) {
+    this.options = FormControl.normalizeOptions(options);
+    this.renderOptions();
+    
+    if (!this.options.some(option => option.value === this.value)) {
+      this.setValue(this.getDefaultValue(), { silent: true });
+    } else {
+      this.render();
+    }
+  }
+  
+  /**
+   * @private
+   */
+  renderOptions() {
+    const select = this.elements.control;
+    select.textContent = '';
+    
+    this.options.forEach(option => {
+      const element = document.createElement('option');
+      element.value = String(option.value);
+      element.textContent = option.label;
+      select.appendChild(element);
+    });
+  }
+  
+  /**
+   * Option whose value matches a select string
+   * @private
+   */
+  findOption(text) {
+    return this.options.find(option => String(option.value) === text);
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  render() {
+    this.elements.control.value = String(this.value);
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  checkValue(value) {
+    return this.options.some(option => option.value === value) ? null : 'Not one of the choices';
+  }
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SelectField;
+}
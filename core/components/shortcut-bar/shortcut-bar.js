@@ -0,0 +1,215 @@
+/**
+ * ShortcutBar - Renders enabled shortcuts into the shell's shortcut bar
+ * @class
+ * @description Draws one button per visible shortcut and redraws on shortcuts-updated
+ * @version 1.0.0
+ */
+class ShortcutBar {
+  constructor(config = {}) {
+    // Configuration
+    this.store = config.store || new ShortcutDataStore();
+    this.emptyText = config.emptyText || 'No Shortcuts Enabled';
+    
+    // DOM elements
+    this.elements = {
+      container: null,
+      list: null,
+      empty: null
+    };
+    
+    // Event handling
+    this.eventHandlers = [];
+    
+    // Build on construction
+    this.build();
+    this.bindEvents();
+    this.render();
+  }
+  
+  /**
+   * Build DOM structure
+   * @returns {HTMLElement} Container element
+   */
+  build() {
+    // Create container
+    const container = document.createElement('nav');
+    container.className = 'shortcut-bar';
+    container.setAttribute('aria-label', 'Shortcuts');
+    
+    // Button list
+    const list = document.createElement('div');
+    list.className = 'shortcut-bar__list';
+    list.setAttribute('role', 'toolbar');
+    
+    // Empty state (reuses shell placeholder styling)
+    const empty = document.createElement('div');
+    empty.className = 'placeholder shortcut-bar__empty';
+    empty.textContent = this.emptyText;
+    
+    container.appendChild(list);
+    container.appendChild(empty);
+    
+    // Store element references
+    this.elements.container = container;
+    this.elements.list = list;
+    this.elements.empty = empty;
+    
+    return container;
+  }
+  
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    const onUpdate = (e) => {
+      const shortcuts = e.detail && Array.isArray(e.detail.shortcuts) ? e.detail.shortcuts : undefined;
+      this.render(shortcuts);
+    };
+    
+    document.addEventListener('shortcuts-updated', onUpdate);
+    this.eventHandlers.push({ event: 'shortcuts-updated', handler: onUpdate, element: document });
+  }
+  
+  /**
+   * Filter and order shortcuts for display
+   * @param {Array} shortcuts - Shortcut records
+   * @returns {Array} Enabled, visible shortcuts in position order
+   */
+  getVisibleShortcuts(shortcuts) {
+    return shortcuts
+      .filter(s => s.enabled === true && s.visible !== false)
+      .sort((a, b) => a.position - b.position);
+  }
+  
+  /**
+   * Redraw all buttons
+   * @param {Array} shortcuts - Shortcut records (defaults to store contents)
+   */
+  render(shortcuts = this.store.getEnabledShortcuts()) {
+    if (!this.elements.list) return;
+    
+    const visible = this.getVisibleShortcuts(shortcuts);
+    
+    this.elements.list.innerHTML = '';
+    visible.forEach(shortcut => {
+      const button = ShortcutBar.createButton(shortcut);
+      button.addEventListener('click', () => this.executeAction(shortcut));
+      this.elements.list.appendChild(button);
+    });
+    
+    this.elements.empty.hidden = visible.length > 0;
+  }
+  
+  /**
+   * Create a shortcut button element
+   * Shared so previews can render exactly like the bar
+   * @param {Object} shortcut - Shortcut record
+   * @returns {HTMLButtonElement} Button element
+   */
+  static createButton(shortcut) {
+    const button = document.createElement('button');
+    button.className = 'shortcut-bar__button';
+    button.setAttribute('type', 'button');
+    button.dataset.shortcutId = shortcut.id;
+    button.textContent = shortcut.label;
+    button.title = shortcut.label;
+    
+    if (shortcut.hotkey) {
+      button.title = `${shortcut.label} (${shortcut.hotkey})`;
+      button.setAttribute('aria-keyshortcuts', shortcut.hotkey.replace('Ctrl', 'Control'));
+    }
+    return button;
+  }
+  
+  /**
+   * Run a shortcut's action
+   * Uses the shared action registry when loaded; asynchronous failures
+   * are reported by the registry's action-failed event
+   * @param {Object} shortcut - Shortcut record
+   * @returns {boolean} Whether the action was handled
+   */
+  executeAction(shortcut) {
+    const action = shortcut.action || {};
+    const registry = window.ODS && window.ODS.actions;
+    let handled = false;
+    
+    if (registry) {
+      const error = registry.validate(action);
+      if (error) {
+        console.warn(`ShortcutBar: ${error}`);
+      } else {
+        registry.execute(action);
+        handled = true;
+      }
+    } else {
+      switch (action.type) {
+        case 'modal':
+          if (window.ODS && window.ODS.modalSystem) {
+            window.ODS.modalSystem.open(action.target);
+            handled = true;
+          } else {
+            console.warn('ShortcutBar: Modal system not available');
+          }
+          break;
+        default:
+          console.warn(`ShortcutBar: Unknown action type "${action.type}"`);
+      }
+    }
+    
+    document.dispatchEvent(new CustomEvent('shortcut-activated', {
+      detail: {
+        shortcutId: shortcut.id,
+        action: action,
+        handled: handled,
+        timestamp: Date.now()
+      },
+      bubbles: true
+    }));
+    
+    return handled;
+  }
+  
+  /**
+   * Get container element
+   * @returns {HTMLElement} Container element
+   */
+  getElement() {
+    return this.elements.container;
+  }
+  
+  /**
+   * Mount to parent element
+   * @param {HTMLElement} parent - Parent element
+   */
+  mount(parent) {
+    if (parent && parent instanceof HTMLElement && this.elements.container) {
+      parent.appendChild(this.elements.container);
+    }
+  }
+  
+  /**
+   * Unmount from DOM
+   */
+  unmount() {
+    if (this.elements.container && this.elements.container.parentNode) {
+      this.elements.container.parentNode.removeChild(this.elements.container);
+    }
+  }
+  
+  /**
+   * Destroy and cleanup
+   */
+  destroy() {
+    this.eventHandlers.forEach(({ event, handler, element }) => {
+      element.removeEventListener(event, handler);
+    });
+    this.eventHandlers = [];
+    this.unmount();
+    this.elements = {};
+  }
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ShortcutBar;
+}
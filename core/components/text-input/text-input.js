@@ -0,0 +1,131 @@
+/**
+ * TextInput - Single-line text field with an optional character counter
+ * @class
+ * @extends FormControl
+ * @description The value is committed on change (Enter or leaving the
+ * field); the counter follows every keystroke
+ * @version 1.0.0
+ */
+class TextInput extends FormControl {
+  /**
+   * @protected
+   * @override
+   */
+  getType() {
+    return 'text-input';
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  configure(config) {
+    this.maxLength = config.maxLength || null;
+    this.placeholder = config.placeholder || '';
+    this.required = Boolean(config.required);
+    this.pattern = config.pattern ? new RegExp(config.pattern) : null;
+    this.patternMessage = config.patternMessage || 'Invalid format';
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  getDefaultValue() {
+    return '';
+  }
+  
+  /**
+   * Build the input and counter
+   * @protected
+   * @override
+   */
+  buildControl() {
+    const wrapper = document.createElement('div');
+    wrapper.className = 'text-input';
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = this.id;
+    input.name = this.name;
+    input.className = 'text-input__field';
+    input.placeholder = this.placeholder;
+    input.autocomplete = 'off';
+    input.spellcheck = false;
+    if (this.maxLength) {
+      input.maxLength = this.maxLength;
+    }
+    if (this.required) {
+      input.setAttribute('aria-required', 'true');
+    }
+    
+    const counter = document.createElement('span');
+    counter.className = 'text-input__counter';
+    counter.id = `${this.id}-counter`;
+    counter.hidden = !this.maxLength;
+    
+    input.addEventListener('input', () => this.updateCounter(input.value));
+    input.addEventListener('change', () => this.setValue(input.value));
+    
+    wrapper.appendChild(input);
+    wrapper.appendChild(counter);
+    
+    this.elements.control = input;
+    this.elements.counter = counter;
+    
+    return wrapper;
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  getDescriptionIds() {
+    return this.maxLength ? [`${this.id}-counter`] : [];
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  render() {
+    if (this.elements.control.value !== this.value) {
+      this.elements.control.value = this.value;
+    }
+    this.updateCounter(this.value);
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  parseValue(value) {
+    return value === null || value === undefined ? '' : String(value);
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  checkValue(value) {
+    if (this.required && !value.trim()) return 'Required';
+    if (this.maxLength && value.length > this.maxLength) return `At most ${this.maxLength} characters`;
+    if (this.pattern && value && !this.pattern.test(value)) return this.patternMessage;
+    return null;
+  }
+  
+  /**
+   * Show the typed length against the limit
+   * @private
+   */
+  updateCounter(text) {
+    if (!this.maxLength) return;
+    this.elements.counter.textContent = `${text.length}/${this.maxLength}`;
+    this.elements.counter.classList.toggle('text-input__counter--full', text.length >= this.maxLength);
+  }
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TextInput;
+}
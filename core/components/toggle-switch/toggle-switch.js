@@ -0,0 +1,103 @@
+/**
+ * ToggleSwitch - On/off switch for boolean settings
+ * @class
+ * @extends FormControl
+ * @description A button with role="switch"; Space, Enter or a click flips it
+ * @version 1.0.0
+ */
+class ToggleSwitch extends FormControl {
+  /**
+   * @protected
+   * @override
+   */
+  getType() {
+    return 'toggle-switch';
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  configure(config) {
+    this.onText = config.onText || 'ON';
+    this.offText = config.offText || 'OFF';
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  getDefaultValue() {
+    return false;
+  }
+  
+  /**
+   * Build the switch button
+   * @protected
+   * @override
+   */
+  buildControl() {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.id = this.id;
+    button.className = 'toggle-switch';
+    button.setAttribute('role', 'switch');
+    
+    const track = document.createElement('span');
+    track.className = 'toggle-switch__track';
+    track.setAttribute('aria-hidden', 'true');
+    
+    const thumb = document.createElement('span');
+    thumb.className = 'toggle-switch__thumb';
+    track.appendChild(thumb);
+    
+    // Visible state text; the switch role already announces on/off
+    const state = document.createElement('span');
+    state.className = 'toggle-switch__state';
+    state.setAttribute('aria-hidden', 'true');
+    
+    button.appendChild(track);
+    button.appendChild(state);
+    
+    button.addEventListener('click', (e) => {
+      e.preventDefault();
+      this.toggle();
+    });
+    
+    this.elements.control = button;
+    this.elements.state = state;
+    
+    return button;
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  render() {
+    this.elements.control.setAttribute('aria-checked', String(this.value));
+    this.elements.state.textContent = this.value ? this.onText : this.offText;
+  }
+  
+  /**
+   * @protected
+   * @override
+   */
+  checkValue(value) {
+    return typeof value === 'boolean' ? null : 'Must be on or off';
+  }
+  
+  /**
+   * Flip the switch
+   * @returns {boolean} Whether the change was accepted
+   */
+  toggle() {
+    if (this.disabled) return false;
+    return this.setValue(!this.value);
+  }
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ToggleSwitch;
+}
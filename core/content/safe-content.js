@@ -0,0 +1,184 @@
+/**
+ * SafeContent - Escaped-by-default rendering for modal and settings content
+ * @class
+ * @description Strings are always shown as text. Markup has to be opted
+ * into with SafeContent.trust(), SafeContent.sanitize() or the
+ * SafeContent.html tagged template, whose interpolated values are escaped.
+ * @version 1.0.0
+ */
+class SafeContent {
+  /**
+   * Elements dropped by sanitize()
+   */
+  static get BLOCKED_ELEMENTS() {
+    return ['script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed',
+      'link', 'meta', 'base', 'template', 'noscript'];
+  }
+  
+  /**
+   * Attributes whose value is a URL, checked by sanitize()
+   */
+  static get URL_ATTRIBUTES() {
+    return ['href', 'src', 'action', 'formaction', 'xlink:href', 'poster', 'background'];
+  }
+  
+  /**
+   * Escape a value for use as HTML text or a quoted attribute
+   * @param {*} value - Converted with String(); null/undefined become ''
+   * @returns {string}
+   */
+  static escape(value) {
+    if (value === null || value === undefined) return '';
+    
+    return String(value)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;')
+      .replace(/'/g, '&#39;');
+  }
+  
+  /**
+   * Mark developer-authored HTML as trusted; it is inserted as is
+   * Never pass user input here; use sanitize() or html`` instead
+   * @param {string} html
+   * @returns {TrustedMarkup}
+   */
+  static trust(html) {
+    return new TrustedMarkup(html === null || html === undefined ? '' : String(html));
+  }
+  
+  /**
+   * Clean untrusted HTML: drops script-like elements, event handler
+   * attributes and javascript:/data: URLs
+   * @param {string} html
+   * @returns {TrustedMarkup}
+   */
+  static sanitize(html) {
+    const template = document.createElement('template');
+    template.innerHTML = html === null || html === undefined ? '' : String(html);
+    
+    SafeContent.BLOCKED_ELEMENTS.forEach(tag => {
+      template.content.querySelectorAll(tag).forEach(el => el.remove());
+    });
+    
+    template.content.querySelectorAll('*').forEach(el => {
+      Array.from(el.attributes).forEach(attr => {
+        const name = attr.name.toLowerCase();
+        if (name.startsWith('on') || name === 'srcdoc' || name === 'style' ||
+            (SafeContent.URL_ATTRIBUTES.includes(name) && !SafeContent.isSafeUrl(attr.value))) {
+          el.removeAttribute(attr.name);
+        }
+      });
+    });
+    
+    return new TrustedMarkup(template.innerHTML);
+  }
+  
+  /**
+   * Tagged template for markup; interpolated values are escaped unless
+   * they are TrustedMarkup (e.g. a nested html``). Arrays are joined.
+   * @example SafeContent.html`<p class="note">${userText}</p>`
+   * @returns {TrustedMarkup}
+   */
+  static html(strings, ...values) {
+    const output = strings.reduce((result, string, i) => {
+      return result + string + (i < values.length ? SafeContent.toHTML(values[i]) : '');
+    }, '');
+    
+    return new TrustedMarkup(output);
+  }
+  
+  /**
+   * Check for markup produced by trust(), sanitize() or html``
+   * @param {*} value
+   * @returns {boolean}
+   */
+  static isTrusted(value) {
+    return value instanceof TrustedMarkup;
+  }
+  
+  /**
+   * Convert content to a DOM node
+   * Nodes pass through, trusted markup is parsed, arrays are combined and
+   * anything else becomes a text node
+   * @param {Node|TrustedMarkup|string|Array|null} content
+   * @returns {Node}
+   */
+  static toNode(content) {
+    if (content instanceof Node) {
+      return content;
+    }
+    
+    if (content instanceof TrustedMarkup) {
+      const template = document.createElement('template');
+      template.innerHTML = content.toString();
+      return template.content;
+    }
+    
+    if (Array.isArray(content)) {
+      const fragment = document.createDocumentFragment();
+      content.forEach(item => fragment.appendChild(SafeContent.toNode(item)));
+      return fragment;
+    }
+    
+    if (content === null || content === undefined || content === false) {
+      return document.createDocumentFragment();
+    }
+    
+    return document.createTextNode(String(content));
+  }
+  
+  /**
+   * Replace an element's children with content
+   * @param {HTMLElement} target - Element to fill
+   * @param {Node|TrustedMarkup|string|Array|null} content - See toNode
+   * @returns {HTMLElement} The target
+   */
+  static render(target, content) {
+    target.textContent = '';
+    target.appendChild(SafeContent.toNode(content));
+    return target;
+  }
+  
+  /**
+   * HTML for one interpolated value
+   * @private
+   */
+  static toHTML(value) {
+    if (value instanceof TrustedMarkup) return value.toString();
+    if (Array.isArray(value)) return value.map(item => SafeContent.toHTML(item)).join('');
+    if (value === false) return '';
+    return SafeContent.escape(value);
+  }
+  
+  /**
+   * Allow relative, http(s), mailto and tel URLs
+   * @private
+   */
+  static isSafeUrl(value) {
+    const url = String(value).trim().replace(/[\u0000-\u001F\s]+/g, '').toLowerCase();
+    const scheme = url.match(/^([a-z][a-z0-9+.-]*):/);
+    return !scheme || ['http', 'https', 'mailto', 'tel'].includes(scheme[1]);
+  }
+}
+
+/**
+ * Markup that SafeContent will insert without escaping
+ * Only created through SafeContent.trust, sanitize and html
+ */
+class TrustedMarkup {
+  constructor(html) {
+    this.html = html;
+    Object.freeze(this);
+  }
+  
+  toString() {
+    return this.html;
+  }
+}
+
+// Export for modules if available
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SafeContent;
+}
@@ -0,0 +1,441 @@
+/**
+ * HotkeyManager - Global key combinations bound to shortcuts
+ * @class
+ * @description Listens for keydown on the document and runs the action of
+ * the enabled shortcut whose hotkey matches. Combinations are stored in a
+ * canonical form such as 'Ctrl+Shift+T' so they can be compared directly.
+ * @version 1.0.0
+ */
+class HotkeyManager {
+  constructor(config = {}) {
+    this.store = config.store || null;
+    this.actions = config.actions || null;
+    this.target = config.target || document;
+    
+    // Combinations owned by something other than a shortcut
+    this.reserved = new Map(Object.entries(HotkeyManager.RESERVED));
+    
+    this.recording = null;
+    this.attached = false;
+    this.eventHandlers = [];
+  }
+  
+  /**
+   * Combinations that shortcuts may not use, with their owner
+   */
+  static get RESERVED() {
+    return {
+      'Escape': 'Close modal',
+      'Ctrl+W': 'Browser',
+      'Ctrl+T': 'Browser',
+      'Ctrl+N': 'Browser',
+      'Ctrl+Q': 'Browser',
+      'Ctrl+R': 'Browser',
+      'Ctrl+L': 'Browser',
+      'Ctrl+Tab': 'Browser',
+      'Alt+F4': 'System',
+      'F5': 'Browser'
+    };
+  }
+  
+  /**
+   * Named keys and their canonical spelling
+   */
+  static get KEY_NAMES() {
+    return {
+      ' ': 'Space',
+      'space': 'Space',
+      'spacebar': 'Space',
+      'enter': 'Enter',
+      'return': 'Enter',
+      'tab': 'Tab',
+      'backspace': 'Backspace',
+      'delete': 'Delete',
+      'del': 'Delete',
+      'insert': 'Insert',
+      'escape': 'Escape',
+      'esc': 'Escape',
+      'home': 'Home',
+      'end': 'End',
+      'pageup': 'PageUp',
+      'pagedown': 'PageDown',
+      'arrowup': 'ArrowUp',
+      'up': 'ArrowUp',
+      'arrowdown': 'ArrowDown',
+      'down': 'ArrowDown',
+      'arrowleft': 'ArrowLeft',
+      'left': 'ArrowLeft',
+      'arrowright': 'ArrowRight',
+      'right': 'ArrowRight'
+    };
+  }
+  
+  /**
+   * Split a combination into modifiers and key
+   * @param {string} combo - e.g. 'shift+ctrl+t'
+   * @returns {Object|null} { ctrl, alt, shift, meta, key } or null if unparseable
+   */
+  static parse(combo) {
+    if (typeof combo !== 'string' || !combo.trim()) return null;
+    
+    const parts = combo.split('+').map(p => p.trim());
+    // 'Ctrl++' means the plus key
+    if (parts.length > 1 && parts[parts.length - 1] === '' && parts[parts.length - 2] === '') {
+      parts.splice(-2, 2, '+');
+    }
+    
+    const result = { ctrl: false, alt: false, shift: false, meta: false, key: null };
+    
+    for (const part of parts) {
+      const lower = part.toLowerCase();
+      if (lower === 'ctrl' || lower === 'control') {
+        result.ctrl = true;
+      } else if (lower === 'alt' || lower === 'option') {
+        result.alt = true;
+      } else if (lower === 'shift') {
+        result.shift = true;
+      } else if (lower === 'meta' || lower === 'cmd' || lower === 'command' || lower === 'win') {
+        result.meta = true;
+      } else if (result.key === null) {
+        result.key = HotkeyManager.normalizeKey(part);
+        if (!result.key) return null;
+      } else {
+        return null;
+      }
+    }
+    
+    return result.key ? result : null;
+  }
+  
+  /**
+   * Canonical spelling of a single key
+   * @param {string} key - Key name or character
+   * @returns {string|null} Canonical key or null if unsupported
+   */
+  static normalizeKey(key) {
+    if (typeof key !== 'string' || key === '') return null;
+    
+    const named = HotkeyManager.KEY_NAMES[key.toLowerCase()];
+    if (named) return named;
+    
+    if (/^f([1-9]|1[0-2])$/i.test(key)) return key.toUpperCase();
+    if (key.length === 1 && /[a-z0-9,.\/;'\[\]\\`\-=+]/i.test(key)) return key.toUpperCase();
+    
+    return null;
+  }
+  
+  /**
+   * Build the canonical string for parsed parts
+   * Modifiers are always ordered Ctrl, Alt, Shift, Meta
+   * @param {Object} parts - Result of parse()
+   * @returns {string} Combination
+   */
+  static format(parts) {
+    const keys = [];
+    if (parts.ctrl) keys.push('Ctrl');
+    if (parts.alt) keys.push('Alt');
+    if (parts.shift) keys.push('Shift');
+    if (parts.meta) keys.push('Meta');
+    keys.push(parts.key);
+    return keys.join('+');
+  }
+  
+  /**
+   * Normalise a combination that shortcuts may use
+   * Requires Ctrl, Alt or Meta unless the key is a function key, so plain
+   * typing can never trigger a shortcut
+   * @param {string} combo - Combination in any supported spelling
+   * @returns {string|null} Canonical combination or null if not allowed
+   */
+  static normalize(combo) {
+    const parts = HotkeyManager.parse(combo);
+    if (!parts) return null;
+    
+    const isFunctionKey = /^F\d+$/.test(parts.key);
+    if (!parts.ctrl && !parts.alt && !parts.meta && !isFunctionKey) {
+      return null;
+    }
+    
+    return HotkeyManager.format(parts);
+  }
+  
+  /**
+   * Read the combination from a keyboard event
+   * Letters and digits use the physical key so Alt combinations work on
+   * layouts where Alt changes the character
+   * @param {KeyboardEvent} event - Keydown event
+   * @returns {string|null} Canonical combination, null for modifier-only presses
+   */
+  static fromEvent(event) {
+    if (['Control', 'Alt', 'Shift', 'Meta', 'AltGraph', 'CapsLock'].includes(event.key)) {
+      return null;
+    }
+    
+    let key = null;
+    const code = event.code || '';
+    if (/^Key[A-Z]$/.test(code)) {
+      key = code.charAt(3);
+    } else if (/^(Digit|Numpad)\d$/.test(code)) {
+      key = code.charAt(code.length - 1);
+    } else {
+      key = HotkeyManager.normalizeKey(event.key);
+    }
+    
+    if (!key) return null;
+    
+    return HotkeyManager.format({
+      ctrl: event.ctrlKey,
+      alt: event.altKey,
+      shift: event.shiftKey,
+      meta: event.metaKey,
+      key: key
+    });
+  }
+  
+  /**
+   * Check whether an element accepts typed text
+   * @param {Element} element - Usually the event target
+   * @returns {boolean}
+   */
+  static isTypingTarget(element) {
+    if (!element || element.nodeType !== 1) return false;
+    if (element.isContentEditable) return true;
+    
+    const tag = element.tagName;
+    if (tag === 'TEXTAREA' || tag === 'SELECT') return true;
+    if (tag === 'INPUT') {
+      const nonText = ['checkbox', 'radio', 'button', 'submit', 'reset', 'range', 'color', 'file', 'image'];
+      return !nonText.includes((element.type || 'text').toLowerCase());
+    }
+    
+    return false;
+  }
+  
+  /**
+   * Start listening for hotkeys
+   */
+  attach() {
+    if (this.attached) return;
+    
+    this.registerEventHandler('keydown', this.handleKeydown);
+    // Recording listens first so Escape and bound combinations are captured
+    this.registerEventHandler('keydown', this.handleRecordKeydown, window, true);
+    this.attached = true;
+  }
+  
+  /**
+   * Stop listening for hotkeys
+   */
+  detach() {
+    this.stopRecording();
+    this.eventHandlers.forEach(({ event, handler, element, capture }) => {
+      element.removeEventListener(event, handler, capture);
+    });
+    this.eventHandlers = [];
+    this.attached = false;
+  }
+  
+  /**
+   * Register event handler with cleanup tracking
+   * @private
+   */
+  registerEventHandler(event, handler, element = this.target, capture = false) {
+    const boundHandler = handler.bind(this);
+    element.addEventListener(event, boundHandler, capture);
+    this.eventHandlers.push({ event, handler: boundHandler, element, capture });
+  }
+  
+  /**
+   * Run the shortcut bound to a pressed combination
+   * While typing in a field only Ctrl and Meta combinations are honoured
+   * @param {KeyboardEvent} event - Keydown event
+   * @returns {boolean} Whether a shortcut ran
+   */
+  handleKeydown(event) {
+    if (this.recording || event.defaultPrevented || event.repeat || event.isComposing) {
+      return false;
+    }
+    
+    const combo = HotkeyManager.fromEvent(event);
+    if (!combo || !this.store) return false;
+    
+    if (HotkeyManager.isTypingTarget(event.target) && !event.ctrlKey && !event.metaKey) {
+      return false;
+    }
+    
+    const shortcut = this.store.findByHotkey(combo);
+    if (!shortcut || !shortcut.enabled) return false;
+    
+    event.preventDefault();
+    this.run(shortcut, combo);
+    return true;
+  }
+  
+  /**
+   * Run a shortcut's action
+   * @private
+   */
+  run(shortcut, combo) {
+    const registry = this.actions || (window.ODS && window.ODS.actions);
+    const action = shortcut.action || {};
+    
+    if (registry) {
+      registry.execute(action);
+    } else if (action.type === 'modal' && window.ODS && window.ODS.modalSystem) {
+      window.ODS.modalSystem.open(action.target);
+    } else {
+      console.warn(`HotkeyManager: Cannot run ${action.type} action without the action registry`);
+      return;
+    }
+    
+    document.dispatchEvent(new CustomEvent('hotkey-triggered', {
+      detail: {
+        combo: combo,
+        shortcutId: shortcut.id,
+        action: action,
+        timestamp: Date.now()
+      },
+      bubbles: true
+    }));
+  }
+  
+  /**
+   * Reserve a combination for something other than a shortcut
+   * @param {string} combo - Combination
+   * @param {string} owner - Shown to users when they pick it
+   * @returns {boolean} Whether the combination was valid
+   */
+  reserve(combo, owner) {
+    const parts = HotkeyManager.parse(combo);
+    if (!parts) return false;
+    
+    this.reserved.set(HotkeyManager.format(parts), owner);
+    return true;
+  }
+  
+  /**
+   * Release a reserved combination
+   * @param {string} combo - Combination
+   */
+  release(combo) {
+    const parts = HotkeyManager.parse(combo);
+    if (parts) {
+      this.reserved.delete(HotkeyManager.format(parts));
+    }
+  }
+  
+  /**
+   * Find what already uses a combination
+   * @param {string} combo - Canonical combination
+   * @param {string} exceptShortcutId - Shortcut being edited
+   * @returns {Object|null} { combo, type: 'reserved'|'shortcut', owner, shortcutId }
+   */
+  getConflict(combo, exceptShortcutId = null) {
+    if (this.reserved.has(combo)) {
+      return { combo, type: 'reserved', owner: this.reserved.get(combo), shortcutId: null };
+    }
+    
+    const shortcut = this.store && this.store.findByHotkey(combo);
+    if (shortcut && shortcut.id !== exceptShortcutId) {
+      return { combo, type: 'shortcut', owner: shortcut.label, shortcutId: shortcut.id };
+    }
+    
+    return null;
+  }
+  
+  /**
+   * Bind a combination to a shortcut after checking for conflicts
+   * @param {string} shortcutId - Shortcut ID
+   * @param {string|null} combo - Combination, or null to clear
+   * @returns {Object} { success, hotkey, error, conflict }
+   */
+  assign(shortcutId, combo) {
+    if (!this.store) {
+      return { success: false, hotkey: null, error: 'No shortcut store', conflict: null };
+    }
+    
+    if (combo === null) {
+      const cleared = this.store.setHotkey(shortcutId, null);
+      return { success: cleared, hotkey: null, error: cleared ? null : 'Shortcut not found', conflict: null };
+    }
+    
+    const hotkey = HotkeyManager.normalize(combo);
+    if (!hotkey) {
+      return { success: false, hotkey: null, error: 'Use Ctrl, Alt or Meta with a key, or a function key', conflict: null };
+    }
+    
+    const conflict = this.getConflict(hotkey, shortcutId);
+    if (conflict) {
+      return { success: false, hotkey: hotkey, error: `${hotkey} is used by ${conflict.owner}`, conflict: conflict };
+    }
+    
+    const saved = this.store.setHotkey(shortcutId, hotkey);
+    return { success: saved, hotkey: hotkey, error: saved ? null : 'Shortcut not found', conflict: null };
+  }
+  
+  /**
+   * Capture the next key combination instead of running hotkeys
+   * Escape on its own cancels
+   * @param {Function} onRecord - Called with the recorded combination
+   * @param {Function} onCancel - Called when recording is cancelled
+   */
+  startRecording(onRecord, onCancel = () => {}) {
+    this.stopRecording();
+    this.recording = { onRecord, onCancel };
+  }
+  
+  /**
+   * Stop recording, cancelling if still active
+   */
+  stopRecording() {
+    if (!this.recording) return;
+    
+    const { onCancel } = this.recording;
+    this.recording = null;
+    onCancel();
+  }
+  
+  /**
+   * Check if a combination is being recorded
+   * @returns {boolean}
+   */
+  isRecording() {
+    return this.recording !== null;
+  }
+  
+  /**
+   * Keydown handler while recording
+   * @private
+   */
+  handleRecordKeydown(event) {
+    if (!this.recording) return;
+    
+    const combo = HotkeyManager.fromEvent(event);
+    if (!combo) return;
+    
+    event.preventDefault();
+    event.stopImmediatePropagation();
+    
+    if (combo === 'Escape') {
+      this.stopRecording();
+      return;
+    }
+    
+    const { onRecord } = this.recording;
+    this.recording = null;
+    onRecord(combo);
+  }
+  
+  /**
+   * Destroy manager
+   */
+  destroy() {
+    this.detach();
+    this.store = null;
+  }
+}
+
+// Export for modules if available
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = HotkeyManager;
+}
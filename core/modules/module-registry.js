@@ -0,0 +1,513 @@
+/**
+ * ModuleRegistry - Formal plug-in point for ODS modules
+ * @class
+ * @description Registers modules, resolves dependency order and runs their
+ * init/mount/unmount/destroy lifecycle. Creates each module's Modal with a
+ * ShortcutSettings footer and places its dashboard widgets.
+ * @version 1.0.0
+ */
+class ModuleRegistry {
+  constructor(config = {}) {
+    // Services handed to module hooks
+    this.services = config.services || {};
+    
+    // Callbacks
+    this.onError = config.onError || (() => {});
+    
+    // Registry of module records by id
+    this.modules = new Map();
+    this.started = false;
+    this.resolving = false;
+    this.defaultsKey = config.defaultsKey || 'ods-module-defaults-applied';
+  }
+  
+  /**
+   * Lifecycle states a module moves through
+   */
+  static get STATES() {
+    return {
+      REGISTERED: 'registered',
+      WAITING: 'waiting',
+      INITIALIZED: 'initialized',
+      MOUNTED: 'mounted',
+      UNMOUNTED: 'unmounted',
+      FAILED: 'failed'
+    };
+  }
+  
+  /**
+   * Register a module definition
+   * @param {Object} definition - Module definition
+   * @param {string} definition.id - Unique module ID
+   * @param {string} definition.title - Display title
+   * @param {Array<string>} definition.dependencies - IDs of modules that must mount first
+   * @param {Object|false} definition.modal - Modal config (content or load, onOpen, mount, settingsSchema, ...); false for none
+   * @param {Object} definition.settings - Settings panels ({ shortcut: true })
+   * @param {Object} definition.shortcutDefaults - First-run shortcut ({ enabled, label })
+   * @param {Array<Object>} definition.widgets - Dashboard widget definitions
+   * @param {Function} definition.init - Lifecycle hooks receive a context object
+   * @returns {Promise<boolean>} Whether the module was accepted
+   */
+  async register(definition) {
+    if (!definition || typeof definition.id !== 'string' || !definition.id) {
+      this.fail(null, new Error('Module definition requires an id'));
+      return false;
+    }
+    
+    if (this.modules.has(definition.id)) {
+      // Report without an id so the registered module keeps its state
+      this.fail(null, new Error(`Module ${definition.id} is already registered`), { id: definition.id });
+      return false;
+    }
+    
+    this.modules.set(definition.id, {
+      definition: {
+        title: definition.id,
+        dependencies: [],
+        modal: false,
+        settings: {},
+        shortcutDefaults: null,
+        widgets: [],
+        ...definition
+      },
+      state: ModuleRegistry.STATES.REGISTERED,
+      modal: null,
+      shortcutSettings: null,
+      error: null,
+      destroying: false
+    });
+    
+    if (this.started) {
+      await this.resolve();
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Start all registered modules in dependency order
+   * @returns {Promise<void>}
+   */
+  async start() {
+    this.started = true;
+    await this.resolve();
+    
+    // Dependents of the modules failed here fail on the next pass
+    if (this.detectMissingDependencies()) {
+      await this.resolve();
+    }
+  }
+  
+  /**
+   * Mount every module whose dependencies are mounted
+   * Repeats until no further module can start
+   * @private
+   */
+  async resolve() {
+    // The running pass also picks up modules registered or mounted meanwhile
+    if (this.resolving) return;
+    this.resolving = true;
+    
+    const { REGISTERED, WAITING, MOUNTED, FAILED } = ModuleRegistry.STATES;
+    let progressed = true;
+    
+    while (progressed) {
+      progressed = false;
+      
+      for (const [id, record] of this.modules) {
+        if (record.state !== REGISTERED && record.state !== WAITING) continue;
+        
+        const deps = record.definition.dependencies;
+        const failedDep = deps.find(dep => this.modules.has(dep) && this.modules.get(dep).state === FAILED);
+        
+        if (failedDep) {
+          this.fail(id, new Error(`Dependency ${failedDep} failed`));
+          progressed = true;
+        } else if (deps.every(dep => this.modules.has(dep) && this.modules.get(dep).state === MOUNTED)) {
+          await this.startModule(id);
+          progressed = true;
+        } else {
+          record.state = WAITING;
+        }
+      }
+    }
+    
+    this.resolving = false;
+    this.detectCycles();
+  }
+  
+  /**
+   * Fail modules that wait on each other
+   * @private
+   */
+  detectCycles() {
+    const { WAITING } = ModuleRegistry.STATES;
+    
+    const waitsOn = (id, target, seen = new Set()) => {
+      if (seen.has(id)) return false;
+      seen.add(id);
+      const record = this.modules.get(id);
+      if (!record || record.state !== WAITING) return false;
+      return record.definition.dependencies.some(dep => dep === target || waitsOn(dep, target, seen));
+    };
+    
+    const cyclic = Array.from(this.modules.keys()).filter(id => waitsOn(id, id));
+    cyclic.forEach(id => this.fail(id, new Error(`Circular dependency involving ${id}`)));
+  }
+  
+  /**
+   * Fail waiting modules that depend on a module that was never registered
+   * @returns {boolean} Whether any module failed
+   * @private
+   */
+  detectMissingDependencies() {
+    const { WAITING } = ModuleRegistry.STATES;
+    let failed = false;
+    
+    for (const [id, record] of this.modules) {
+      if (record.state !== WAITING) continue;
+      
+      const missing = record.definition.dependencies.find(dep => !this.modules.has(dep));
+      if (missing) {
+        this.fail(id, new Error(`Missing dependency ${missing}`));
+        failed = true;
+      }
+    }
+    
+    return failed;
+  }
+  
+  /**
+   * Run init and mount for a single module
+   * @private
+   */
+  async startModule(id) {
+    const record = this.modules.get(id);
+    
+    try {
+      await this.callHook(record, 'init');
+      this.createModal(record);
+      record.state = ModuleRegistry.STATES.INITIALIZED;
+      
+      await this.mount(id);
+    } catch (error) {
+      this.fail(id, error);
+    }
+  }
+  
+  /**
+   * Mount an initialized or unmounted module
+   * @param {string} id - Module ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async mount(id) {
+    const { INITIALIZED, UNMOUNTED, MOUNTED } = ModuleRegistry.STATES;
+    const record = this.modules.get(id);
+    
+    if (!record || (record.state !== INITIALIZED && record.state !== UNMOUNTED)) {
+      return false;
+    }
+    
+    try {
+      this.registerWidgets(record);
+      this.applyShortcutDefaults(record);
+      await this.callHook(record, 'mount');
+      record.state = MOUNTED;
+      this.dispatchEvent('module-mounted', id);
+    } catch (error) {
+      this.fail(id, error);
+      return false;
+    }
+    
+    // Dependents may now be able to start
+    if (this.started) {
+      await this.resolve();
+    }
+    
+    return true;
+  }
+  
+  /**
+   * Unmount a module and, first, everything that depends on it
+   * @param {string} id - Module ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async unmount(id) {
+    const { MOUNTED, UNMOUNTED } = ModuleRegistry.STATES;
+    const record = this.modules.get(id);
+    
+    if (!record || record.state !== MOUNTED) {
+      return false;
+    }
+    
+    for (const dependent of this.getDependents(id)) {
+      await this.unmount(dependent);
+    }
+    
+    try {
+      await this.callHook(record, 'unmount');
+    } catch (error) {
+      this.fail(id, error);
+    }
+    
+    this.unregisterWidgets(record);
+    
+    const modalSystem = this.services.modalSystem;
+    if (record.modal && modalSystem) {
+      // Also closes anything stacked above it, skipping beforeClose hooks
+      modalSystem.close(record.modal.config.id, { force: true });
+    }
+    
+    if (record.state === MOUNTED) {
+      record.state = UNMOUNTED;
+    }
+    this.dispatchEvent('module-unmounted', id);
+    return true;
+  }
+  
+  /**
+   * Destroy a module and remove it from the registry
+   * @param {string} id - Module ID
+   * @returns {Promise<boolean>} Success status
+   */
+  async destroy(id) {
+    const record = this.modules.get(id);
+    // Modules that depend on each other reach this again through getDependents
+    if (!record || record.destroying) {
+      return false;
+    }
+    record.destroying = true;
+    
+    for (const dependent of this.getDependents(id)) {
+      await this.destroy(dependent);
+    }
+    
+    await this.unmount(id);
+    
+    try {
+      await this.callHook(record, 'destroy');
+    } catch (error) {
+      this.fail(id, error);
+    }
+    
+    const modalSystem = this.services.modalSystem;
+    if (record.modal && modalSystem) {
+      modalSystem.unregister(record.modal.config.id);
+    }
+    if (record.shortcutSettings) {
+      record.shortcutSettings.destroy();
+    }
+    
+    this.modules.delete(id);
+    this.dispatchEvent('module-destroyed', id);
+    return true;
+  }
+  
+  /**
+   * Destroy all modules, dependents first
+   * @returns {Promise<void>}
+   */
+  async destroyAll() {
+    for (const id of Array.from(this.modules.keys()).reverse()) {
+      if (this.modules.has(id)) {
+        await this.destroy(id);
+      }
+    }
+    this.started = false;
+  }
+  
+  /**
+   * Get IDs of modules that list this one as a dependency
+   * @param {string} id - Module ID
+   * @returns {Array<string>} Dependent module IDs
+   */
+  getDependents(id) {
+    return Array.from(this.modules.entries())
+      .filter(([, record]) => record.definition.dependencies.includes(id))
+      .map(([dependentId]) => dependentId);
+  }
+  
+  /**
+   * Create the module's modal with its ShortcutSettings footer
+   * @private
+   */
+  createModal(record) {
+    const { definition } = record;
+    const modalSystem = this.services.modalSystem;
+    
+    if (!definition.modal) return;
+    
+    if (!modalSystem) {
+      throw new Error('Modal system not available');
+    }
+    
+    const modalId = definition.modal.id || definition.id;
+    const title = definition.modal.title || definition.title;
+    const footerPanels = [...(definition.modal.footerPanels || [])];
+    
+    if (definition.settings.shortcut !== false && typeof ShortcutSettings !== 'undefined') {
+      record.shortcutSettings = new ShortcutSettings({
+        modalId: modalId,
+        modalTitle: title,
+        store: this.services.shortcutStore || null,
+        hotkeys: this.services.hotkeys || null
+      });
+      footerPanels.push(record.shortcutSettings.getElement());
+    }
+    
+    record.modal = modalSystem.register({
+      ...definition.modal,
+      id: modalId,
+      title: title,
+      moduleId: definition.id,
+      footerPanels: footerPanels
+    });
+  }
+  
+  /**
+   * Add the module's widgets to the dashboard
+   * @private
+   */
+  registerWidgets(record) {
+    const dashboard = this.services.dashboard;
+    if (!dashboard) return;
+    
+    const modalId = record.modal ? record.modal.config.id : null;
+    record.definition.widgets.forEach(widget => {
+      dashboard.registerWidget({
+        moduleId: record.definition.id,
+        modalId: modalId,
+        ...widget
+      });
+    });
+  }
+  
+  /**
+   * Remove the module's widgets from the dashboard
+   * @private
+   */
+  unregisterWidgets(record) {
+    const dashboard = this.services.dashboard;
+    if (!dashboard) return;
+    
+    record.definition.widgets.forEach(widget => dashboard.unregisterWidget(widget.id));
+  }
+  
+  /**
+   * Create the module's shortcut on first run only
+   * A shortcut the user later deletes is not recreated
+   * @private
+   */
+  applyShortcutDefaults(record) {
+    const defaults = record.definition.shortcutDefaults;
+    const store = this.services.shortcutStore;
+    
+    if (!defaults || !record.modal || !store) return;
+    
+    let applied = [];
+    try {
+      const stored = window.ODS.storage.readSync(this.defaultsKey, []);
+      applied = Array.isArray(stored) ? stored : [];
+    } catch (e) {
+      applied = [];
+    }
+    
+    const modalId = record.modal.config.id;
+    if (applied.includes(modalId)) return;
+    
+    if (!store.getShortcut(modalId)) {
+      store.toggle(modalId, defaults.enabled !== false, record.modal.config.title);
+      if (defaults.label) {
+        store.updateLabel(modalId, defaults.label);
+      }
+    }
+    
+    applied.push(modalId);
+    window.ODS.storage.writeSync(this.defaultsKey, applied);
+  }
+  
+  /**
+   * Call a lifecycle hook if the module defines it
+   * @private
+   */
+  async callHook(record, hook) {
+    if (typeof record.definition[hook] === 'function') {
+      await record.definition[hook](this.getContext(record));
+    }
+  }
+  
+  /**
+   * Build the context object passed to lifecycle hooks
+   * @private
+   */
+  getContext(record) {
+    return {
+      ...this.services,
+      moduleId: record.definition.id,
+      modal: record.modal,
+      shortcutSettings: record.shortcutSettings,
+      registry: this
+    };
+  }
+  
+  /**
+   * Mark a module failed and report it
+   * A null id reports a rejected registration without touching any record
+   * @private
+   */
+  fail(id, error, detail = {}) {
+    console.error(`Module ${id || detail.id || '(unknown)'} failed:`, error);
+    
+    const record = id ? this.modules.get(id) : null;
+    if (record) {
+      record.state = ModuleRegistry.STATES.FAILED;
+      record.error = error;
+    }
+    
+    this.onError(id, error);
+    this.dispatchEvent('module-failed', id, { ...detail, error: error.message });
+  }
+  
+  /**
+   * Get a module's current state
+   * @param {string} id - Module ID
+   * @returns {string|null} Lifecycle state
+   */
+  getState(id) {
+    const record = this.modules.get(id);
+    return record ? record.state : null;
+  }
+  
+  /**
+   * Summarise all modules
+   * @returns {Array<Object>} {id, title, state, error}
+   */
+  list() {
+    return Array.from(this.modules.values()).map(record => ({
+      id: record.definition.id,
+      title: record.definition.title,
+      state: record.state,
+      error: record.error ? record.error.message : null
+    }));
+  }
+  
+  /**
+   * Dispatch module lifecycle event
+   * @private
+   */
+  dispatchEvent(eventName, moduleId, detail = {}) {
+    document.dispatchEvent(new CustomEvent(eventName, {
+      detail: {
+        moduleId: moduleId,
+        ...detail,
+        timestamp: Date.now()
+      },
+      bubbles: true
+    }));
+  }
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ModuleRegistry;
+}
@@ -6,12 +6,43 @@
 class ShortcutDataStore {
   constructor() {
     this.STORAGE_KEY = 'ods-shortcuts';
+    this.BACKUP_KEY = 'ods-shortcuts-backup';
     this.cache = null;
     this.SCHEMA_VERSION = '1.0.0';
+    this.migrations = ShortcutDataStore.MIGRATIONS;
+    
+    // Version of loaded data written by a newer build; saving is blocked
+    // while set so that data is never downgraded
+    this.newerVersion = null;
   }
-
+  
   /**
-   * Load shortcuts from localStorage with validation
+   * Longest label kept by updateLabel; longer labels are truncated
+   */
+  static get MAX_LABEL_LENGTH() {
+    return 20;
+  }
+  
+  /**
+   * Schema migrations, applied in order from the stored version
+   * Each step receives the payload at `from` and returns an envelope at `to`;
+   * version 0.0.0 is the original unversioned bare array
+   */
+  static get MIGRATIONS() {
+    return [
+      {
+        from: '0.0.0',
+        to: '1.0.0',
+        migrate: (shortcuts) => ({
+          version: '1.0.0',
+          shortcuts: Array.isArray(shortcuts) ? shortcuts : []
+        })
+      }
+    ];
+  }
+  
+  /**
+   * Load shortcuts from storage with validation
    * Returns empty array if corrupted or missing
    */
   load() {
@@ -19,36 +50,45 @@ class ShortcutDataStore {
       return this.cache;
     }
     
+    let parsed;
     try {
-      const rawData = localStorage.getItem(this.STORAGE_KEY);
-      if (!rawData) {
+      parsed = window.ODS.storage.readSync(this.STORAGE_KEY);
+      if (!parsed) {
         this.cache = [];
         return this.cache;
       }
       
-      const parsed = JSON.parse(rawData);
-      const shortcuts = Array.isArray(parsed) ? parsed : [];
-      this.cache = this.validateShortcuts(shortcuts);
+      const envelope = this.migrate(parsed);
+      this.cache = this.validateShortcuts(envelope.shortcuts);
       return this.cache;
       
     } catch (error) {
       console.error('Failed to load shortcuts:', error);
       this.cache = [];
-      this.save([]);
+      
+      // Only reset the stored bar once its old value is backed up
+      if (this.backup(parsed === undefined ? this.readRaw() : parsed, null)) {
+        this.save([]);
+      }
       return this.cache;
     }
   }
-
+  
   /**
-   * Save shortcuts to localStorage
+   * Save shortcuts to storage
    * Validates and reindexes before saving
    */
   save(shortcuts) {
+    if (this.newerVersion) {
+      console.warn(`Shortcut data is version ${this.newerVersion}, newer than ${this.SCHEMA_VERSION}; not saving`);
+      return false;
+    }
+    
     try {
       const validated = this.validateShortcuts(shortcuts);
       const reindexed = this.reindexPositions(validated);
       
-      localStorage.setItem(this.STORAGE_KEY, JSON.stringify(reindexed));
+      window.ODS.storage.writeSync(this.STORAGE_KEY, this.createEnvelope(reindexed));
       this.cache = reindexed;
       this.dispatchChangeEvent(reindexed);
       
@@ -58,15 +98,192 @@ class ShortcutDataStore {
       return false;
     }
   }
-
+  
+  /**
+   * Stored value as text, for backing up data that could not be parsed
+   * @private
+   */
+  readRaw() {
+    try {
+      return localStorage.getItem(this.STORAGE_KEY);
+    } catch (error) {
+      return null;
+    }
+  }
+  
+  /**
+   * Wrap shortcuts in a versioned envelope
+   */
+  createEnvelope(shortcuts) {
+    return {
+      version: this.SCHEMA_VERSION,
+      shortcuts: shortcuts
+    };
+  }
+  
+  /**
+   * Detect the schema version of a stored payload
+   * @returns {string|null} Version, '0.0.0' for a bare array, null if unrecognised
+   */
+  getVersion(payload) {
+    if (Array.isArray(payload)) {
+      return '0.0.0';
+    }
+    if (payload && typeof payload === 'object' && typeof payload.version === 'string') {
+      return payload.version;
+    }
+    return null;
+  }
+  
+  /**
+   * Compare dotted version strings
+   * @returns {number} Negative, zero or positive
+   */
+  compareVersions(a, b) {
+    const left = a.split('.').map(Number);
+    const right = b.split('.').map(Number);
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+      const diff = (left[i] || 0) - (right[i] || 0);
+      if (diff !== 0) return diff;
+    }
+    return 0;
+  }
+  
+  /**
+   * Upgrade a stored payload to the current schema
+   * The original payload is backed up before any step runs, and the
+   * upgraded envelope is written back only when every step succeeds
+   * @param {Array|Object} payload - Stored data
+   * @returns {Object} Envelope with version and shortcuts
+   */
+  migrate(payload) {
+    const original = this.getVersion(payload);
+    
+    if (original === this.SCHEMA_VERSION) {
+      return payload;
+    }
+    
+    if (original === null) {
+      console.warn('Shortcut data has no recognisable version; keeping a backup');
+      this.backup(payload, null);
+      return this.createEnvelope([]);
+    }
+    
+    // Data written by a newer build: use what we can, never downgrade it
+    if (this.compareVersions(original, this.SCHEMA_VERSION) > 0) {
+      console.warn(`Shortcut data is version ${original}, newer than ${this.SCHEMA_VERSION}; shortcuts are read-only`);
+      this.backup(payload, original);
+      this.newerVersion = original;
+      return { version: original, shortcuts: Array.isArray(payload.shortcuts) ? payload.shortcuts : [] };
+    }
+    
+    this.backup(payload, original);
+    
+    let current;
+    try {
+      current = this.upgrade(payload);
+    } catch (error) {
+      // Leave stored data untouched; the backup still holds the original
+      console.error('Failed to migrate shortcuts:', error);
+      const fallback = Array.isArray(payload) ? payload : payload.shortcuts;
+      return { version: original, shortcuts: Array.isArray(fallback) ? fallback : [] };
+    }
+    
+    window.ODS.storage.writeSync(this.STORAGE_KEY, current);
+    this.dispatchMigratedEvent(original, current.version);
+    
+    return current;
+  }
+  
+  /**
+   * Run migration steps from the payload's version to the current schema
+   * @param {Array|Object} payload - Data at any known older version
+   * @returns {Object} Envelope at SCHEMA_VERSION
+   * @throws {Error} If the version is unknown, newer, or a step is missing
+   */
+  upgrade(payload) {
+    let version = this.getVersion(payload);
+    
+    if (version === null) {
+      throw new Error('Unrecognised shortcut data');
+    }
+    if (this.compareVersions(version, this.SCHEMA_VERSION) > 0) {
+      throw new Error(`Shortcut data version ${version} is newer than ${this.SCHEMA_VERSION}`);
+    }
+    
+    let current = payload;
+    while (version !== this.SCHEMA_VERSION) {
+      const step = this.migrations.find(m => m.from === version);
+      if (!step) {
+        throw new Error(`No migration from version ${version}`);
+      }
+      
+      current = step.migrate(current);
+      version = step.to;
+      current.version = version;
+    }
+    
+    return current;
+  }
+  
+  /**
+   * Keep a copy of stored data before it is migrated
+   * @param {*} payload - Original stored data
+   * @param {string|null} version - Detected version
+   * @returns {boolean} Whether the backup was written
+   */
+  backup(payload, version) {
+    try {
+      window.ODS.storage.writeSync(this.BACKUP_KEY, {
+        version: version,
+        backed_up_at: new Date().toISOString(),
+        data: payload
+      });
+      return true;
+    } catch (error) {
+      console.error('Failed to back up shortcuts:', error);
+      return false;
+    }
+  }
+  
+  /**
+   * Get the most recent pre-migration backup
+   * @returns {Object|null} { version, backed_up_at, data }
+   */
+  getBackup() {
+    try {
+      return window.ODS.storage.readSync(this.BACKUP_KEY);
+    } catch (error) {
+      console.error('Failed to read shortcut backup:', error);
+      return null;
+    }
+  }
+  
   /**
    * Get a specific shortcut by modal ID
+   * Only shortcuts with a modal action match
    */
   getShortcut(modalId) {
     const shortcuts = this.load();
-    return shortcuts.find(s => s.action?.target === modalId) || null;
+    return this.findModalShortcut(shortcuts, modalId) || null;
   }
-
+  
+  /**
+   * Get a shortcut by its own ID, whatever its action type
+   */
+  getShortcutById(id) {
+    const shortcuts = this.load();
+    return shortcuts.find(s => s.id === id) || null;
+  }
+  
+  /**
+   * Find the shortcut that opens a modal
+   * @private
+   */
+  findModalShortcut(shortcuts, modalId) {
+    return shortcuts.find(s => s.action?.type === 'modal' && s.action.target === modalId);
+  }
+  
   /**
    * Get only enabled shortcuts
    */
@@ -74,14 +291,14 @@ class ShortcutDataStore {
     const shortcuts = this.load();
     return shortcuts.filter(s => s.enabled === true);
   }
-
+  
   /**
    * Toggle shortcut on/off
    * Creates new if doesn't exist and enabled=true
    */
   toggle(modalId, enabled, modalTitle = '') {
     const shortcuts = this.load();
-    let shortcut = shortcuts.find(s => s.action?.target === modalId);
+    let shortcut = this.findModalShortcut(shortcuts, modalId);
     
     if (!shortcut && enabled) {
       // Create new shortcut
@@ -107,14 +324,14 @@ class ShortcutDataStore {
     
     return this.save(shortcuts);
   }
-
+  
   /**
    * Update shortcut label
    * Validates and truncates to 20 chars
    */
   updateLabel(modalId, label) {
     const shortcuts = this.load();
-    const shortcut = shortcuts.find(s => s.action?.target === modalId);
+    const shortcut = this.findModalShortcut(shortcuts, modalId);
     
     if (!shortcut) {
       return false;
@@ -124,8 +341,8 @@ class ShortcutDataStore {
     let validLabel = (label || '').trim();
     if (!validLabel) {
       validLabel = 'XX';
-    } else if (validLabel.length > 20) {
-      validLabel = validLabel.substring(0, 20);
+    } else if (validLabel.length > ShortcutDataStore.MAX_LABEL_LENGTH) {
+      validLabel = validLabel.substring(0, ShortcutDataStore.MAX_LABEL_LENGTH);
     }
     
     shortcut.label = validLabel;
@@ -133,13 +350,102 @@ class ShortcutDataStore {
     
     return this.save(shortcuts);
   }
-
+  
   /**
    * Remove a shortcut completely
    */
   remove(modalId) {
     const shortcuts = this.load();
-    const index = shortcuts.findIndex(s => s.action?.target === modalId);
+    const shortcut = this.findModalShortcut(shortcuts, modalId);
+    
+    if (!shortcut) {
+      return false;
+    }
+    
+    shortcuts.splice(shortcuts.indexOf(shortcut), 1);
+    return this.save(shortcuts);
+  }
+  
+  /**
+   * Add a shortcut for any action type
+   * @param {Object} action - Action, e.g. { type: 'url', target: 'https://...' }
+   * @param {string} label - Button label
+   * @returns {Object|null} Created shortcut, or null if the action is invalid
+   */
+  add(action, label) {
+    const reason = this.validateAction(action);
+    if (reason) {
+      console.warn(`ShortcutDataStore: ${reason}`);
+      return null;
+    }
+    
+    const shortcuts = this.load();
+    const normalized = this.normalizeAction(action);
+    const now = new Date().toISOString();
+    const shortcut = {
+      id: this.generateId(normalized),
+      label: this.validateLabel(label),
+      enabled: true,
+      action: normalized,
+      position: shortcuts.length,
+      visible: true,
+      created_at: now,
+      updated_at: now
+    };
+    
+    // Modal shortcuts stay unique per modal
+    if (shortcuts.some(s => s.id === shortcut.id)) {
+      return null;
+    }
+    
+    shortcuts.push(shortcut);
+    return this.save(shortcuts) ? this.getShortcutById(shortcut.id) : null;
+  }
+  
+  /**
+   * Bind or clear a shortcut's hotkey
+   * Fails if another shortcut already uses the combination
+   * @param {string} id - Shortcut ID
+   * @param {string|null} hotkey - Combination, or null to clear
+   * @returns {boolean} Success status
+   */
+  setHotkey(id, hotkey) {
+    const shortcuts = this.load();
+    const shortcut = shortcuts.find(s => s.id === id);
+    if (!shortcut) {
+      return false;
+    }
+    
+    if (hotkey === null) {
+      delete shortcut.hotkey;
+    } else {
+      const normalized = this.validateHotkey(hotkey);
+      const owner = normalized && this.findByHotkey(normalized);
+      if (!normalized || (owner && owner.id !== id)) {
+        return false;
+      }
+      shortcut.hotkey = normalized;
+    }
+    
+    shortcut.updated_at = new Date().toISOString();
+    return this.save(shortcuts);
+  }
+  
+  /**
+   * Get the shortcut bound to a hotkey
+   * @param {string} hotkey - Canonical combination
+   */
+  findByHotkey(hotkey) {
+    const shortcuts = this.load();
+    return shortcuts.find(s => s.hotkey === hotkey) || null;
+  }
+  
+  /**
+   * Remove a shortcut by its own ID
+   */
+  removeById(id) {
+    const shortcuts = this.load();
+    const index = shortcuts.findIndex(s => s.id === id);
     
     if (index === -1) {
       return false;
@@ -148,14 +454,14 @@ class ShortcutDataStore {
     shortcuts.splice(index, 1);
     return this.save(shortcuts);
   }
-
+  
   /**
    * Clear all shortcuts
    */
   clear() {
     return this.save([]);
   }
-
+  
   /**
    * Generate default label from modal title
    * Takes first letter of each word, max 3 chars
@@ -167,34 +473,142 @@ class ShortcutDataStore {
     const letters = words.map(w => w[0]).join('').toUpperCase();
     return letters.substring(0, 3) || 'XX';
   }
-
+  
   /**
    * Validate and repair shortcuts array
+   * Entries without a valid action are dropped
    */
   validateShortcuts(shortcuts) {
+    return this.checkShortcuts(shortcuts).valid;
+  }
+  
+  /**
+   * Repair valid shortcuts and report the ones that were dropped
+   * @param {Array} shortcuts - Raw shortcut entries
+   * @returns {Object} { valid, dropped: [{ index, entry, reason }] }
+   */
+  checkShortcuts(shortcuts) {
+    const result = { valid: [], dropped: [] };
     if (!Array.isArray(shortcuts)) {
-      return [];
+      return result;
     }
     
     const now = new Date().toISOString();
+    const hotkeys = new Set();
     
-    return shortcuts
-      .filter(s => s && typeof s === 'object' && s.action?.target)
-      .map(s => ({
-        id: s.id || `shortcut-${s.action.target}`,
+    shortcuts.forEach((s, index) => {
+      let reason = null;
+      let action = null;
+      
+      if (!s || typeof s !== 'object') {
+        reason = 'Shortcut must be an object';
+      } else if (!s.action || typeof s.action !== 'object') {
+        reason = 'Shortcut has no action';
+      } else {
+        // Shortcuts saved before typed actions have no type
+        action = { ...s.action, type: s.action.type || 'modal' };
+        reason = this.validateAction(action);
+      }
+      
+      if (reason) {
+        result.dropped.push({ index, entry: s, reason });
+        return;
+      }
+      
+      const normalized = this.normalizeAction(action);
+      const shortcut = {
+        id: s.id || this.generateId(normalized),
         label: this.validateLabel(s.label),
         enabled: Boolean(s.enabled),
-        action: {
-          type: s.action.type || 'modal',
-          target: s.action.target
-        },
+        action: normalized,
         position: Number(s.position) || 0,
         visible: s.visible !== false,
         created_at: s.created_at || now,
         updated_at: s.updated_at || now
-      }));
+      };
+      
+      // A hotkey belongs to the first shortcut that claims it
+      const hotkey = this.validateHotkey(s.hotkey);
+      if (hotkey && !hotkeys.has(hotkey)) {
+        hotkeys.add(hotkey);
+        shortcut.hotkey = hotkey;
+      } else if (hotkey) {
+        console.warn(`ShortcutDataStore: ${hotkey} is already bound; removed from ${shortcut.id}`);
+      }
+      
+      result.valid.push(shortcut);
+    });
+    
+    return result;
   }
-
+  
+  /**
+   * Get the shared action registry, if loaded
+   * @private
+   */
+  getActionRegistry() {
+    return (window.ODS && window.ODS.actions) || null;
+  }
+  
+  /**
+   * Validate an action against the registered action types
+   * Without the registry only modal actions are accepted
+   * @returns {string|null} Reason the action is invalid, or null
+   */
+  validateAction(action) {
+    const registry = this.getActionRegistry();
+    if (registry) {
+      return registry.validate(action);
+    }
+    
+    if (!action || action.type !== 'modal') {
+      return `Unknown action type "${action && action.type}"`;
+    }
+    return typeof action.target === 'string' && action.target ? null : 'modal action requires a target';
+  }
+  
+  /**
+   * Clean a valid action for storage
+   * @private
+   */
+  normalizeAction(action) {
+    const registry = this.getActionRegistry();
+    return registry ? registry.normalize(action) : { type: 'modal', target: action.target };
+  }
+  
+  /**
+   * Describe an action for display
+   * @returns {string} e.g. 'settings' or 'command: tasks.new'
+   */
+  describeAction(action) {
+    const registry = this.getActionRegistry();
+    return registry ? registry.describe(action) : String(action && action.target);
+  }
+  
+  /**
+   * Generate a shortcut ID; modal shortcuts keep their stable ID
+   * @private
+   */
+  generateId(action) {
+    if (action.type === 'modal') {
+      return `shortcut-${action.target}`;
+    }
+    return `shortcut-${action.type}-${Date.now().toString(36)}${Math.random().toString(36).substring(2, 6)}`;
+  }
+  
+  /**
+   * Normalise an optional hotkey
+   * @returns {string|null} Canonical combination, or null if missing or invalid
+   */
+  validateHotkey(hotkey) {
+    if (typeof hotkey !== 'string' || !hotkey.trim()) return null;
+    
+    if (typeof HotkeyManager !== 'undefined') {
+      return HotkeyManager.normalize(hotkey);
+    }
+    return hotkey.trim();
+  }
+  
   /**
    * Validate individual label
    */
@@ -203,13 +617,13 @@ class ShortcutDataStore {
     
     let cleaned = String(label).trim();
     if (!cleaned) return 'XX';
-    if (cleaned.length > 20) {
-      cleaned = cleaned.substring(0, 20);
+    if (cleaned.length > ShortcutDataStore.MAX_LABEL_LENGTH) {
+      cleaned = cleaned.substring(0, ShortcutDataStore.MAX_LABEL_LENGTH);
     }
     
     return cleaned;
   }
-
+  
   /**
    * Ensure positions are sequential 0,1,2...
    */
@@ -221,7 +635,7 @@ class ShortcutDataStore {
         position: index
       }));
   }
-
+  
   /**
    * Dispatch change event for listeners
    */
@@ -236,33 +650,73 @@ class ShortcutDataStore {
     
     document.dispatchEvent(event);
   }
-
+  
+  /**
+   * Dispatch migration event for listeners
+   */
+  dispatchMigratedEvent(from, to) {
+    const event = new CustomEvent('shortcuts-migrated', {
+      detail: {
+        from: from,
+        to: to,
+        backupKey: this.BACKUP_KEY,
+        timestamp: Date.now()
+      },
+      bubbles: true
+    });
+    
+    document.dispatchEvent(event);
+  }
+  
   /**
-   * Export data as JSON string
+   * Export data as versioned JSON string
    */
   exportData() {
     const shortcuts = this.load();
-    return JSON.stringify(shortcuts, null, 2);
+    return JSON.stringify(this.createEnvelope(shortcuts), null, 2);
   }
-
+  
   /**
    * Import data from JSON string
+   * Accepts a versioned envelope or an older bare array
+   * @returns {boolean} Success status
    */
   importData(jsonString) {
+    return this.importDataWithReport(jsonString).success;
+  }
+  
+  /**
+   * Import data from JSON string, reporting what was kept
+   * Entries that fail validation are dropped rather than failing the import
+   * @returns {Object} { success, imported, dropped: [{ index, entry, reason }], error }
+   */
+  importDataWithReport(jsonString) {
     try {
       const data = JSON.parse(jsonString);
-      return this.save(data);
+      const envelope = this.upgrade(data);
+      const { valid, dropped } = this.checkShortcuts(envelope.shortcuts);
+      
+      dropped.forEach(item => {
+        console.warn(`Dropped imported shortcut ${item.index}: ${item.reason}`);
+      });
+      
+      const success = this.save(valid);
+      return {
+        success: success,
+        imported: success ? valid.length : 0,
+        dropped: dropped
+      };
     } catch (error) {
       console.error('Failed to import data:', error);
-      return false;
+      return { success: false, imported: 0, dropped: [], error: error.message };
     }
   }
-
+  
   /**
    * Get storage size information
    */
   getStorageInfo() {
-    const data = localStorage.getItem(this.STORAGE_KEY) || '';
+    const data = JSON.stringify(this.load());
     const count = this.load().length;
     
     return {
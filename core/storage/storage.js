@@ -0,0 +1,428 @@
+/**
+ * ODS Storage - Async key/value storage shared by all stores
+ * @description IndexedDB backend with a localStorage fallback. Records are
+ * preloaded on open so components that read during construction can use
+ * peek() synchronously; writes update that cache before reaching the backend.
+ * readSync()/writeSync() also work before open: they use localStorage and
+ * queue writes until the backend is ready.
+ * @version 1.0.0
+ */
+
+/**
+ * LocalStorageBackend - Fallback backend using localStorage
+ * @class
+ */
+class LocalStorageBackend {
+  constructor() {
+    this.name = 'localstorage';
+  }
+  
+  /**
+   * Check that localStorage is usable
+   */
+  async open() {
+    const testKey = 'ods-storage-test';
+    localStorage.setItem(testKey, '1');
+    localStorage.removeItem(testKey);
+  }
+  
+  /**
+   * Get a value; non-JSON strings are returned as stored
+   */
+  async get(key) {
+    const raw = localStorage.getItem(key);
+    if (raw === null) return undefined;
+    
+    try {
+      return JSON.parse(raw);
+    } catch (e) {
+      return raw;
+    }
+  }
+  
+  async put(key, value) {
+    localStorage.setItem(key, JSON.stringify(value));
+  }
+  
+  async delete(key) {
+    localStorage.removeItem(key);
+  }
+  
+  async list(prefix = '') {
+    const keys = [];
+    for (let i = 0; i < localStorage.length; i++) {
+      const key = localStorage.key(i);
+      if (key.startsWith(prefix)) keys.push(key);
+    }
+    return keys.sort();
+  }
+}
+
+/**
+ * IndexedDBBackend - Primary backend using a single object store
+ * @class
+ */
+class IndexedDBBackend {
+  constructor(config = {}) {
+    this.name = 'indexeddb';
+    this.dbName = config.dbName || 'ods';
+    this.storeName = config.storeName || 'records';
+    this.db = null;
+  }
+  
+  /**
+   * Open the database, creating the object store on first run
+   */
+  open() {
+    if (typeof indexedDB === 'undefined') {
+      return Promise.reject(new Error('IndexedDB not available'));
+    }
+    
+    return new Promise((resolve, reject) => {
+      const request = indexedDB.open(this.dbName, 1);
+      
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(this.storeName)) {
+          db.createObjectStore(this.storeName);
+        }
+      };
+      request.onsuccess = () => {
+        this.db = request.result;
+        resolve();
+      };
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB open blocked'));
+    });
+  }
+  
+  /**
+   * Run a single request in its own transaction
+   * @private
+   */
+  request(mode, build) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(this.storeName, mode);
+      const request = build(transaction.objectStore(this.storeName));
+      let result;
+      
+      request.onsuccess = () => {
+        result = request.result;
+      };
+      transaction.oncomplete = () => resolve(result);
+      transaction.onerror = () => reject(transaction.error || request.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+  
+  get(key) {
+    return this.request('readonly', store => store.get(key));
+  }
+  
+  put(key, value) {
+    return this.request('readwrite', store => store.put(value, key)).then(() => undefined);
+  }
+  
+  delete(key) {
+    return this.request('readwrite', store => store.delete(key)).then(() => undefined);
+  }
+  
+  async list(prefix = '') {
+    const keys = await this.request('readonly', store => store.getAllKeys());
+    return keys.map(String).filter(key => key.startsWith(prefix)).sort();
+  }
+  
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+    }
+  }
+}
+
+/**
+ * ODSStorage - Storage facade with backend selection and migration
+ * @class
+ */
+class ODSStorage {
+  constructor(config = {}) {
+    // Backends are tried in order until one opens
+    this.backends = config.backends || [new IndexedDBBackend(), new LocalStorageBackend()];
+    this.legacyKeys = config.legacyKeys || ODSStorage.LEGACY_KEYS;
+    this.migrationKey = config.migrationKey || 'ods-storage-migrated';
+    
+    this.backend = null;
+    this.cache = new Map();
+    this.ready = false;
+    this.opening = null;
+    
+    // writeSync values made before open, flushed once the backend is ready
+    this.pending = new Map();
+  }
+  
+  /**
+   * localStorage keys moved into the backend on first open
+   */
+  static get LEGACY_KEYS() {
+    return [
+      'ods-shortcuts',
+      'ods-shortcuts-backup',
+      'ods-tasks',
+      'modal-settings-state',
+      'module-settings-values',
+      'shortcut-settings-state',
+      'collapsible-state',
+      'ods-module-defaults-applied'
+    ];
+  }
+  
+  /**
+   * Open the first available backend, migrate and preload records
+   * Safe to call repeatedly; later calls share the first result
+   * @returns {Promise<ODSStorage>}
+   */
+  open() {
+    if (!this.opening) {
+      this.opening = this.openBackend()
+        .then(() => this.migrate())
+        .then(() => this.preload())
+        .then(() => this.flushPending())
+        .then(() => {
+          this.ready = true;
+          this.dispatchEvent('storage-ready', { backend: this.backend.name });
+          return this;
+        })
+        .catch(error => {
+          this.opening = null;
+          throw error;
+        });
+    }
+    
+    return this.opening;
+  }
+  
+  /**
+   * Use the first backend that opens
+   * @private
+   */
+  async openBackend() {
+    for (const backend of this.backends) {
+      try {
+        await backend.open();
+        this.backend = backend;
+        return;
+      } catch (e) {
+        console.warn(`Storage: ${backend.name} unavailable`, e);
+      }
+    }
+    
+    throw new Error('No storage backend available');
+  }
+  
+  /**
+   * Copy legacy localStorage keys into the backend once
+   * Legacy keys are removed only after every copy succeeded
+   * @returns {Promise<Array<string>>} Keys that were migrated
+   */
+  async migrate() {
+    if (this.backend instanceof LocalStorageBackend) {
+      return [];
+    }
+    
+    let done = null;
+    try {
+      done = localStorage.getItem(this.migrationKey);
+    } catch (e) {
+      return [];
+    }
+    if (done) return [];
+    
+    const migrated = [];
+    for (const key of this.legacyKeys) {
+      const raw = localStorage.getItem(key);
+      if (raw === null) continue;
+      
+      let value;
+      try {
+        value = JSON.parse(raw);
+      } catch (e) {
+        console.error(`Failed to migrate ${key}:`, e);
+        continue;
+      }
+      
+      // Never overwrite data already in the backend
+      if (await this.backend.get(key) === undefined) {
+        await this.backend.put(key, value);
+      }
+      migrated.push(key);
+    }
+    
+    migrated.forEach(key => localStorage.removeItem(key));
+    localStorage.setItem(this.migrationKey, new Date().toISOString());
+    
+    if (migrated.length > 0) {
+      this.dispatchEvent('storage-migrated', { keys: migrated, backend: this.backend.name });
+    }
+    
+    return migrated;
+  }
+  
+  /**
+   * Load every record into the cache
+   * @private
+   */
+  async preload() {
+    const keys = await this.backend.list();
+    for (const key of keys) {
+      this.cache.set(key, await this.backend.get(key));
+    }
+  }
+  
+  /**
+   * Write values queued by writeSync before open into the backend
+   * Their localStorage copies are removed so later sessions don't read them
+   * before open
+   * @private
+   */
+  async flushPending() {
+    while (this.pending.size > 0) {
+      const entries = Array.from(this.pending);
+      this.pending.clear();
+      
+      for (const [key, value] of entries) {
+        this.cache.set(key, value);
+        try {
+          await this.backend.put(key, value);
+          if (!(this.backend instanceof LocalStorageBackend)) {
+            localStorage.removeItem(key);
+          }
+        } catch (e) {
+          console.error(`Failed to persist ${key}:`, e);
+        }
+      }
+    }
+  }
+  
+  /**
+   * Check if the storage has opened
+   * @returns {boolean}
+   */
+  isReady() {
+    return this.ready;
+  }
+  
+  /**
+   * Read a cached value synchronously
+   * @param {string} key - Record key
+   * @param {*} fallback - Returned when missing or not yet open
+   * @returns {*} Stored value
+   */
+  peek(key, fallback = null) {
+    if (!this.ready || !this.cache.has(key)) {
+      return fallback;
+    }
+    return this.cache.get(key);
+  }
+  
+  /**
+   * Read a value synchronously, before or after open
+   * Uses the cache once open, otherwise localStorage
+   * @param {string} key - Record key
+   * @param {*} fallback - Returned when missing
+   * @returns {*} Stored value
+   * @throws {SyntaxError} When the localStorage value is not JSON
+   */
+  readSync(key, fallback = null) {
+    if (this.ready) {
+      return this.peek(key, fallback);
+    }
+    
+    const raw = localStorage.getItem(key);
+    return raw === null ? fallback : JSON.parse(raw);
+  }
+  
+  /**
+   * Write a value synchronously, before or after open
+   * Once open the cache is updated and the backend write finishes in the
+   * background; before open the value goes to localStorage and is queued
+   * for the backend
+   * @param {string} key - Record key
+   * @param {*} value - Structured-cloneable value
+   */
+  writeSync(key, value) {
+    if (this.ready) {
+      this.cache.set(key, value);
+      this.backend.put(key, value).catch(e => {
+        console.error(`Failed to persist ${key}:`, e);
+      });
+      return;
+    }
+    
+    this.pending.set(key, value);
+    localStorage.setItem(key, JSON.stringify(value));
+  }
+  
+  /**
+   * Get a value
+   * @param {string} key - Record key
+   * @returns {Promise<*>} Stored value or undefined
+   */
+  async get(key) {
+    if (!this.ready) await this.open();
+    return this.cache.get(key);
+  }
+  
+  /**
+   * Store a value
+   * The cache is updated synchronously when already open
+   * @param {string} key - Record key
+   * @param {*} value - Structured-cloneable value
+   * @returns {Promise<void>}
+   */
+  async put(key, value) {
+    if (!this.ready) await this.open();
+    this.cache.set(key, value);
+    await this.backend.put(key, value);
+  }
+  
+  /**
+   * Delete a value
+   * @param {string} key - Record key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    if (!this.ready) await this.open();
+    this.cache.delete(key);
+    await this.backend.delete(key);
+  }
+  
+  /**
+   * List keys
+   * @param {string} prefix - Only keys starting with this prefix
+   * @returns {Promise<Array<string>>} Sorted keys
+   */
+  async list(prefix = '') {
+    if (!this.ready) await this.open();
+    return Array.from(this.cache.keys()).filter(key => key.startsWith(prefix)).sort();
+  }
+  
+  /**
+   * Dispatch storage event
+   * @private
+   */
+  dispatchEvent(name, detail) {
+    document.dispatchEvent(new CustomEvent(name, {
+      detail: { ...detail, timestamp: Date.now() },
+      bubbles: true
+    }));
+  }
+}
+
+// Shared instance; the shell opens it before building components
+window.ODS = window.ODS || {};
+window.ODS.storage = window.ODS.storage || new ODSStorage();
+
+// Export for modules if available
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = { ODSStorage, IndexedDBBackend, LocalStorageBackend };
+}
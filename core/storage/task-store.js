@@ -0,0 +1,494 @@
+/**
+ * TaskDataStore - Manages persistence of tasks
+ * @class
+ * @version 1.0.0
+ */
+class TaskDataStore {
+  constructor() {
+    this.STORAGE_KEY = 'ods-tasks';
+    this.BACKUP_KEY = 'ods-tasks-backup';
+    this.cache = null;
+    
+    this.STATUSES = ['todo', 'in-progress', 'blocked', 'done'];
+    this.PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+    this.TITLE_MAX = 200;
+    this.NOTES_MAX = 5000;
+    this.TAG_MAX = 24;
+    this.TAGS_MAX = 10;
+  }
+
+  /**
+   * Load tasks from storage with validation
+   * Returns empty array if corrupted or missing
+   */
+  load() {
+    if (this.cache !== null) {
+      return this.cache;
+    }
+    
+    let parsed;
+    try {
+      parsed = window.ODS.storage.readSync(this.STORAGE_KEY);
+      if (!parsed) {
+        this.cache = [];
+        return this.cache;
+      }
+      
+      const tasks = Array.isArray(parsed) ? parsed : [];
+      this.cache = this.validateTasks(tasks);
+      return this.cache;
+      
+    } catch (error) {
+      console.error('Failed to load tasks:', error);
+      this.cache = [];
+      
+      // Only reset the stored tasks once their old value is backed up
+      if (this.backup(parsed === undefined ? this.readRaw() : parsed)) {
+        this.save([]);
+      }
+      return this.cache;
+    }
+  }
+
+  /**
+   * Save tasks to storage
+   * Validates before saving
+   */
+  save(tasks) {
+    try {
+      const validated = this.validateTasks(tasks);
+      
+      window.ODS.storage.writeSync(this.STORAGE_KEY, validated);
+      this.cache = validated;
+      this.dispatchChangeEvent(validated);
+      
+      return true;
+    } catch (error) {
+      console.error('Failed to save tasks:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Stored value as text, for backing up data that could not be parsed
+   */
+  readRaw() {
+    try {
+      return localStorage.getItem(this.STORAGE_KEY);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Keep a copy of stored data before it is reset
+   * @returns {boolean} Whether the backup was written
+   */
+  backup(payload) {
+    try {
+      window.ODS.storage.writeSync(this.BACKUP_KEY, {
+        backed_up_at: new Date().toISOString(),
+        data: payload
+      });
+      return true;
+    } catch (error) {
+      console.error('Failed to back up tasks:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get the data saved by the last reset
+   * @returns {Object|null} { backed_up_at, data }
+   */
+  getBackup() {
+    try {
+      return window.ODS.storage.readSync(this.BACKUP_KEY);
+    } catch (error) {
+      console.error('Failed to read task backup:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Get a specific task by ID
+   */
+  getTask(taskId) {
+    const tasks = this.load();
+    return tasks.find(t => t.id === taskId) || null;
+  }
+
+  /**
+   * Get tasks matching a filter
+   * @param {Object} filter - { status, priority, tag, search, due }
+   *   status may be 'open' for everything not done;
+   *   due may be 'overdue', 'today' or 'week'
+   * @returns {Array} Matching tasks, sorted for display
+   */
+  getTasks(filter = {}) {
+    const today = this.today();
+    const weekEnd = this.addDays(today, 7);
+    const search = (filter.search || '').trim().toLowerCase();
+    
+    return this.load()
+      .filter(t => {
+        if (filter.status === 'open' && t.status === 'done') return false;
+        if (filter.status && filter.status !== 'open' && t.status !== filter.status) return false;
+        if (filter.priority && t.priority !== filter.priority) return false;
+        if (filter.tag && !t.tags.includes(this.validateTag(filter.tag))) return false;
+        if (filter.due === 'overdue' && !this.isOverdue(t)) return false;
+        if (filter.due === 'today' && t.due_date !== today) return false;
+        if (filter.due === 'week' && (!t.due_date || t.due_date > weekEnd)) return false;
+        if (search && !`${t.title} ${t.notes} ${t.tags.join(' ')}`.toLowerCase().includes(search)) return false;
+        return true;
+      })
+      .sort((a, b) => this.compareTasks(a, b));
+  }
+
+  /**
+   * Create a new task
+   * @param {Object} data - Task fields (title required)
+   * @returns {Object|null} Created task or null if invalid
+   */
+  create(data = {}) {
+    const title = this.validateTitle(data.title);
+    if (!title) {
+      return null;
+    }
+    
+    const now = new Date().toISOString();
+    const task = {
+      ...data,
+      id: this.generateId(),
+      title: title,
+      created_at: now,
+      updated_at: now
+    };
+    
+    // Build a new array so the cache is untouched if saving fails
+    const tasks = this.load().concat(task);
+    
+    if (!this.save(tasks)) {
+      return null;
+    }
+    return this.getTask(task.id);
+  }
+
+  /**
+   * Update task fields
+   * @param {string} taskId - Task ID
+   * @param {Object} changes - Fields to change
+   * @returns {boolean} Success status
+   */
+  update(taskId, changes = {}) {
+    // Work on copies so records handed out by getTask stay unchanged
+    const tasks = this.load().map(t => ({ ...t }));
+    const task = tasks.find(t => t.id === taskId);
+    
+    if (!task) {
+      return false;
+    }
+    
+    if ('title' in changes && !this.validateTitle(changes.title)) {
+      return false;
+    }
+    
+    const { id, created_at, ...allowed } = changes;
+    Object.assign(task, allowed);
+    
+    // Track completion time as status moves in and out of done
+    if ('status' in allowed) {
+      task.completed_at = task.status === 'done' ? (task.completed_at || new Date().toISOString()) : null;
+    }
+    
+    task.updated_at = new Date().toISOString();
+    
+    return this.save(tasks);
+  }
+
+  /**
+   * Mark a task done or reopen it
+   */
+  complete(taskId, done = true) {
+    return this.update(taskId, { status: done ? 'done' : 'todo' });
+  }
+
+  /**
+   * Remove a task completely
+   */
+  remove(taskId) {
+    const tasks = this.load();
+    
+    if (!tasks.some(t => t.id === taskId)) {
+      return false;
+    }
+    
+    return this.save(tasks.filter(t => t.id !== taskId));
+  }
+
+  /**
+   * Clear all tasks
+   */
+  clear() {
+    return this.save([]);
+  }
+
+  /**
+   * Get all tags in use, sorted
+   */
+  getTags() {
+    const tags = new Set();
+    this.load().forEach(t => t.tags.forEach(tag => tags.add(tag)));
+    return Array.from(tags).sort();
+  }
+
+  /**
+   * Count tasks by status plus overdue
+   */
+  getCounts() {
+    const counts = { total: 0, open: 0, overdue: 0 };
+    this.STATUSES.forEach(status => {
+      counts[status] = 0;
+    });
+    
+    this.load().forEach(t => {
+      counts.total++;
+      counts[t.status]++;
+      if (t.status !== 'done') counts.open++;
+      if (this.isOverdue(t)) counts.overdue++;
+    });
+    
+    return counts;
+  }
+
+  /**
+   * Check if a task is past its due date and not done
+   */
+  isOverdue(task) {
+    return Boolean(task.due_date) && task.status !== 'done' && task.due_date < this.today();
+  }
+
+  /**
+   * Display order: open before done, then priority, due date, newest
+   */
+  compareTasks(a, b) {
+    const doneA = a.status === 'done' ? 1 : 0;
+    const doneB = b.status === 'done' ? 1 : 0;
+    if (doneA !== doneB) return doneA - doneB;
+    
+    const priority = this.PRIORITIES.indexOf(b.priority) - this.PRIORITIES.indexOf(a.priority);
+    if (priority !== 0) return priority;
+    
+    if (a.due_date !== b.due_date) {
+      if (!a.due_date) return 1;
+      if (!b.due_date) return -1;
+      return a.due_date < b.due_date ? -1 : 1;
+    }
+    
+    return b.created_at.localeCompare(a.created_at);
+  }
+
+  /**
+   * Generate a unique task ID
+   */
+  generateId() {
+    const random = Math.random().toString(36).substring(2, 8);
+    return `task-${Date.now().toString(36)}-${random}`;
+  }
+
+  /**
+   * Validate and repair tasks array
+   * Drops entries without a usable title
+   */
+  validateTasks(tasks) {
+    if (!Array.isArray(tasks)) {
+      return [];
+    }
+    
+    const now = new Date().toISOString();
+    const seen = new Set();
+    
+    return tasks
+      .filter(t => t && typeof t === 'object' && this.validateTitle(t.title))
+      .map(t => {
+        let id = typeof t.id === 'string' && t.id ? t.id : this.generateId();
+        if (seen.has(id)) id = this.generateId();
+        seen.add(id);
+        
+        const status = this.STATUSES.includes(t.status) ? t.status : 'todo';
+        
+        return {
+          id: id,
+          title: this.validateTitle(t.title),
+          notes: this.validateNotes(t.notes),
+          status: status,
+          priority: this.PRIORITIES.includes(t.priority) ? t.priority : 'normal',
+          due_date: this.validateDate(t.due_date),
+          tags: this.validateTags(t.tags),
+          created_at: this.validateTimestamp(t.created_at, now),
+          updated_at: this.validateTimestamp(t.updated_at, now),
+          completed_at: status === 'done' ? this.validateTimestamp(t.completed_at, now) : null
+        };
+      });
+  }
+
+  /**
+   * Validate title
+   * Returns empty string when unusable
+   */
+  validateTitle(title) {
+    if (title === undefined || title === null) return '';
+    
+    let cleaned = String(title).trim().replace(/\s+/g, ' ');
+    if (cleaned.length > this.TITLE_MAX) {
+      cleaned = cleaned.substring(0, this.TITLE_MAX);
+    }
+    
+    return cleaned;
+  }
+
+  /**
+   * Validate notes
+   */
+  validateNotes(notes) {
+    if (!notes) return '';
+    
+    const cleaned = String(notes);
+    return cleaned.length > this.NOTES_MAX ? cleaned.substring(0, this.NOTES_MAX) : cleaned;
+  }
+
+  /**
+   * Validate due date as YYYY-MM-DD
+   * Returns null when missing or invalid
+   */
+  validateDate(date) {
+    if (!date || typeof date !== 'string') return null;
+    
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(date.trim());
+    if (!match) return null;
+    
+    const parsed = new Date(Date.UTC(Number(match[1]), Number(match[2]) - 1, Number(match[3])));
+    return parsed.getUTCDate() === Number(match[3]) ? match[0] : null;
+  }
+
+  /**
+   * Validate a timestamp as an ISO string
+   * Accepts date strings and epoch milliseconds; returns fallback otherwise
+   */
+  validateTimestamp(value, fallback) {
+    if (typeof value !== 'string' && typeof value !== 'number') return fallback;
+    
+    const time = new Date(value).getTime();
+    return isNaN(time) ? fallback : new Date(time).toISOString();
+  }
+
+  /**
+   * Validate tags
+   * Accepts an array or comma separated string; lowercases and de-duplicates
+   */
+  validateTags(tags) {
+    const list = typeof tags === 'string' ? tags.split(',') : (Array.isArray(tags) ? tags : []);
+    const cleaned = list.map(tag => this.validateTag(tag)).filter(Boolean);
+    return Array.from(new Set(cleaned)).slice(0, this.TAGS_MAX);
+  }
+
+  /**
+   * Validate individual tag
+   */
+  validateTag(tag) {
+    if (tag === undefined || tag === null) return '';
+    
+    return String(tag).trim().toLowerCase().replace(/\s+/g, '-').substring(0, this.TAG_MAX);
+  }
+
+  /**
+   * Today's date as YYYY-MM-DD in local time
+   */
+  today() {
+    return this.formatDate(new Date());
+  }
+
+  /**
+   * Add days to a YYYY-MM-DD date
+   */
+  addDays(date, days) {
+    const [y, m, d] = date.split('-').map(Number);
+    return this.formatDate(new Date(y, m - 1, d + days));
+  }
+
+  /**
+   * Format a Date as YYYY-MM-DD in local time
+   */
+  formatDate(date) {
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${date.getFullYear()}-${month}-${day}`;
+  }
+
+  /**
+   * Dispatch change event for listeners
+   */
+  dispatchChangeEvent(tasks) {
+    const event = new CustomEvent('tasks-updated', {
+      detail: { 
+        tasks: tasks,
+        timestamp: Date.now()
+      },
+      bubbles: true
+    });
+    
+    document.dispatchEvent(event);
+  }
+
+  /**
+   * Export data as JSON string
+   */
+  exportData() {
+    const tasks = this.load();
+    return JSON.stringify(tasks, null, 2);
+  }
+
+  /**
+   * Import data from JSON string
+   * Replaces existing tasks, or merges by ID when merge is true
+   */
+  importData(jsonString, merge = false) {
+    try {
+      const data = JSON.parse(jsonString);
+      if (!Array.isArray(data)) {
+        return false;
+      }
+      
+      if (!merge) {
+        return this.save(data);
+      }
+      
+      // Imported tasks replace existing ones with the same ID
+      const importedIds = new Set(data.filter(t => t && t.id).map(t => t.id));
+      const kept = this.load().filter(t => !importedIds.has(t.id));
+      return this.save(kept.concat(data));
+    } catch (error) {
+      console.error('Failed to import data:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Get storage size information
+   */
+  getStorageInfo() {
+    const data = JSON.stringify(this.load());
+    const count = this.load().length;
+    
+    return {
+      bytes: new Blob([data]).size,
+      kilobytes: (new Blob([data]).size / 1024).toFixed(2),
+      taskCount: count
+    };
+  }
+}
+
+// Export for modules if available
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TaskDataStore;
+}
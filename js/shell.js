@@ -3,14 +3,20 @@
  * Minimal infrastructure for PWA foundation
  * 
  * Integrated Systems:
- * - ops.theme v2: Provides CSS variables for consistent theming
+ * - ops.theme v3: Provides CSS variables for consistent theming
  *   Access via: window.odsShell.getTheme() or CSS variables
+ *   Switch via: window.opsTheme.setTheme(name) (dispatches theme-changed)
  * 
- * Theme CSS Variables Available:
- * --theme-bg: Background color (#000000)
- * --theme-text: Text color (#00FF00)
- * --theme-ui: UI element color (#00FF00)
- * --theme-font: Font family (Share Tech Mono)
+ * Theme CSS Variables Available (values from the active theme):
+ * --theme-bg: Background color
+ * --theme-text: Text color
+ * --theme-ui: UI element color
+ * --theme-font: Font family
+ * plus the design tokens listed in theme/README.md (getThemeStyles())
+ * 
+ * Modules:
+ * - window.odsShell.registerModule(definition) once the shell exists
+ * - window.ODS.moduleQueue.push(definition) from scripts that load earlier
  */
 
 class ODSShell {
@@ -27,9 +33,29 @@ class ODSShell {
             pwaInstalled: false,
             // Theme integration
             themeInitialized: false,
-            themeVersion: '2.0'
+            themeVersion: '3.0',
+            storageBackend: null
         };
         this.deferredPrompt = null;
+        this.storage = null;
+        this.shortcutStore = null;
+        this.shortcutBar = null;
+        this.shortcutOrganization = null;
+        this.taskStore = null;
+        this.tasks = null;
+        this.settings = null;
+        this.themeEditor = null;
+        this.dashboard = null;
+        this.hotkeys = null;
+        this.commandPalette = null;
+        
+        // Commands runnable from command actions, keyed by ID
+        this.commands = new Map();
+        
+        // Module registry (services are attached in initModules)
+        this.modules = typeof ModuleRegistry !== 'undefined'
+            ? new ModuleRegistry({ onError: () => { this.state.errorCount++; } })
+            : null;
     }
     
     /**
@@ -42,8 +68,8 @@ class ODSShell {
             // Register service worker first
             await this.registerServiceWorker();
             
-            // Initialize storage
-            this.initStorage();
+            // Initialize storage before any component reads state
+            await this.initStorage();
             
             // Set up PWA install handling
             this.initPWA();
@@ -51,6 +77,12 @@ class ODSShell {
             // Set up mounting points
             this.prepareMountPoints();
             
+            // Register and start modules
+            await this.initModules();
+            
+            // Search and run everything registered above
+            this.initCommandPalette();
+            
             // Mark as initialized
             this.state.initialized = true;
             this.initialized = true;
@@ -98,9 +130,9 @@ class ODSShell {
     }
     
     /**
-     * Test localStorage availability
+     * Test localStorage availability and open ODS storage
      */
-    initStorage() {
+    async initStorage() {
         const testKey = 'ods-shell-init';
         try {
             localStorage.setItem(testKey, this.version);
@@ -110,6 +142,18 @@ class ODSShell {
             console.warn('Storage: Not available', error);
             // Non-critical - continue without storage
         }
+        
+        const storage = window.ODS && window.ODS.storage;
+        if (!storage) return;
+        
+        try {
+            await storage.open();
+            this.storage = storage;
+            this.state.storageBackend = storage.backend.name;
+            console.log(`Storage: Using ${storage.backend.name}`);
+        } catch (error) {
+            console.warn('Storage: Falling back to localStorage', error);
+        }
     }
     
     /**
@@ -187,9 +231,17 @@ class ODSShell {
             dashboard: dashboardMount
         };
         
-        // Add placeholder content for testing
-        shortcutMount.innerHTML = '<div class="placeholder">Shortcut Bar Mount Point Ready</div>';
-        dashboardMount.innerHTML = '<div class="placeholder">Dashboard Mount Point Ready</div>';
+        // Render shortcut bar (placeholder if its scripts are not loaded)
+        this.initShortcutBar();
+        
+        // Render dashboard (placeholder if its scripts are not loaded)
+        this.initDashboard();
+        
+        // Give shortcut actions access to shell services
+        this.initActions();
+        
+        // Run shortcuts from their key combinations
+        this.initHotkeys();
         
         // Mark mount points as ready
         this.state.mountPointsReady = true;
@@ -197,6 +249,303 @@ class ODSShell {
         console.log('Mount Points: Ready');
     }
     
+    /**
+     * Mount the shortcut bar into its mount point
+     */
+    initShortcutBar() {
+        const mount = this.mountPoints.shortcutBar;
+        
+        if (typeof ShortcutDataStore === 'undefined' || typeof ShortcutBar === 'undefined') {
+            mount.innerHTML = '<div class="placeholder">Shortcut Bar Mount Point Ready</div>';
+            console.warn('Shortcut Bar: Scripts not loaded');
+            return;
+        }
+        
+        mount.innerHTML = '';
+        this.shortcutStore = new ShortcutDataStore();
+        this.shortcutBar = new ShortcutBar({ store: this.shortcutStore });
+        this.shortcutBar.mount(mount);
+        
+        console.log('Shortcut Bar: Ready');
+    }
+    
+    /**
+     * Mount the widget dashboard into its mount point
+     */
+    initDashboard() {
+        const mount = this.mountPoints.dashboard;
+        
+        if (typeof Dashboard === 'undefined') {
+            mount.innerHTML = '<div class="placeholder">Dashboard Mount Point Ready</div>';
+            console.warn('Dashboard: Scripts not loaded');
+            return;
+        }
+        
+        mount.innerHTML = '';
+        this.dashboard = new Dashboard();
+        this.dashboard.mount(mount);
+        
+        console.log('Dashboard: Ready');
+    }
+    
+    /**
+     * Connect the action registry and register built-in commands
+     */
+    initActions() {
+        const actions = window.ODS && window.ODS.actions;
+        
+        if (actions) {
+            actions.context = {
+                shell: this,
+                modalSystem: window.ODS.modalSystem || null,
+                dashboard: this.dashboard
+            };
+        } else {
+            console.warn('Actions: Registry not loaded');
+        }
+        
+        const activeModal = () => window.ODS && window.ODS.modalSystem && window.ODS.modalSystem.activeModal;
+        
+        this.registerCommand({
+            id: 'modal.close',
+            title: 'Close modal',
+            when: () => Boolean(activeModal()),
+            run: () => window.ODS.modalSystem.closeActive()
+        });
+        
+        this.registerCommand({
+            id: 'modal.settings',
+            title: 'Toggle module settings',
+            when: () => Boolean(activeModal() && activeModal().moduleSettings),
+            run: () => activeModal().moduleSettings.toggle()
+        });
+        
+        this.registerCommand({
+            id: 'shortcuts.organize',
+            title: 'Organize shortcuts',
+            run: () => {
+                document.dispatchEvent(new CustomEvent('open-shortcut-organization'));
+            }
+        });
+        
+        this.registerCommand({
+            id: 'shortcuts.export',
+            title: 'Export shortcuts',
+            when: () => Boolean(this.shortcutStore),
+            run: () => this.downloadFile('ods-shortcuts.json', this.shortcutStore.exportData())
+        });
+        
+        this.registerCommand({
+            id: 'app.install',
+            title: 'Install app',
+            when: () => Boolean(this.deferredPrompt),
+            run: () => this.installPWA()
+        });
+    }
+    
+    /**
+     * Save text as a file through a temporary download link
+     * @param {string} filename - Suggested file name
+     * @param {string} text - File contents
+     * @param {string} type - MIME type
+     */
+    downloadFile(filename, text, type = 'application/json') {
+        const url = URL.createObjectURL(new Blob([text], { type: type }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Listen for shortcut hotkeys
+     */
+    initHotkeys() {
+        if (typeof HotkeyManager === 'undefined' || !this.shortcutStore) {
+            console.warn('Hotkeys: Scripts not loaded');
+            return;
+        }
+        
+        this.hotkeys = new HotkeyManager({ store: this.shortcutStore });
+        this.hotkeys.attach();
+        
+        console.log('Hotkeys: Ready');
+    }
+    
+    /**
+     * Set up the Ctrl+K command palette
+     */
+    initCommandPalette() {
+        if (typeof CommandPalette === 'undefined') {
+            console.warn('Command Palette: Scripts not loaded');
+            return;
+        }
+        
+        this.commandPalette = new CommandPalette({
+            shell: this,
+            store: this.shortcutStore,
+            modalSystem: (window.ODS && window.ODS.modalSystem) || null,
+            hotkeys: this.hotkeys
+        });
+        this.commandPalette.mount();
+        
+        // Runnable from command shortcuts; pointless inside the palette itself
+        this.registerCommand({
+            id: 'palette.open',
+            title: 'Open command palette',
+            when: () => false,
+            run: () => this.commandPalette.open()
+        });
+        
+        console.log('Command Palette: Ready');
+    }
+    
+    /**
+     * Register built-in and queued modules, then start the registry
+     */
+    async initModules() {
+        const modalSystem = window.ODS && window.ODS.modalSystem;
+        
+        if (!this.modules) {
+            console.warn('Modules: Registry not loaded');
+            return;
+        }
+        
+        if (!modalSystem) {
+            console.warn('Modules: Modal system not available');
+        }
+        
+        if (typeof TaskDataStore !== 'undefined') {
+            this.taskStore = new TaskDataStore();
+        }
+        
+        this.modules.services = {
+            shell: this,
+            storage: this.storage,
+            modalSystem: modalSystem || null,
+            dashboard: this.dashboard,
+            actions: (window.ODS && window.ODS.actions) || null,
+            shortcutStore: this.shortcutStore,
+            hotkeys: this.hotkeys,
+            taskStore: this.taskStore
+        };
+        
+        // Built-in modules
+        if (typeof ShortcutOrganization !== 'undefined') {
+            this.shortcutOrganization = new ShortcutOrganization({
+                store: this.shortcutStore || undefined
+            });
+            this.registerModule(this.shortcutOrganization.getModule());
+        }
+        
+        if (typeof TasksModule !== 'undefined' && this.taskStore) {
+            this.tasks = new TasksModule({ store: this.taskStore });
+            this.registerModule(this.tasks.getModule());
+        }
+        
+        if (typeof SettingsModule !== 'undefined') {
+            this.settings = new SettingsModule({ theme: window.opsTheme || null });
+            this.registerModule(this.settings.getModule());
+        }
+        
+        if (typeof ThemeEditor !== 'undefined' && window.opsTheme) {
+            this.themeEditor = new ThemeEditor({ theme: window.opsTheme });
+            this.registerModule(this.themeEditor.getModule());
+        }
+        
+        // Modules queued before the shell existed; later pushes register directly
+        window.ODS = window.ODS || {};
+        const queued = Array.isArray(window.ODS.moduleQueue) ? window.ODS.moduleQueue : [];
+        queued.forEach(definition => this.registerModule(definition));
+        window.ODS.moduleQueue = {
+            push: (definition) => this.registerModule(definition)
+        };
+        
+        await this.modules.start();
+        
+        console.log('Modules: Ready');
+    }
+    
+    /**
+     * Register a module with the shell
+     * @param {Object} definition - See ModuleRegistry.register
+     * @returns {Promise<boolean>} Whether the module was accepted
+     */
+    registerModule(definition) {
+        if (!this.modules) {
+            console.warn('Modules: Registry not loaded');
+            return Promise.resolve(false);
+        }
+        return this.modules.register(definition);
+    }
+    
+    /**
+     * Register a command for command actions and the command palette
+     * @param {Object} command - { id, title, run(args), when() }; commands
+     *   whose when() returns false are hidden from the palette
+     * @returns {boolean} Whether the command was registered
+     */
+    registerCommand(command) {
+        if (!command || !command.id || typeof command.run !== 'function') {
+            console.error('Commands: A command needs an id and a run function', command);
+            return false;
+        }
+        
+        if (this.commands.has(command.id)) {
+            console.warn(`Commands: Replacing ${command.id}`);
+        }
+        
+        this.commands.set(command.id, {
+            id: command.id,
+            title: command.title || command.id,
+            run: command.run,
+            when: command.when || null
+        });
+        return true;
+    }
+    
+    /**
+     * Remove a command
+     * @param {string} id - Command ID
+     */
+    unregisterCommand(id) {
+        this.commands.delete(id);
+    }
+    
+    /**
+     * Run a registered command
+     * @param {string} id - Command ID
+     * @param {*} args - Passed to the command's run function
+     * @returns {Promise<*>} The command's result
+     */
+    async executeCommand(id, args) {
+        const command = this.commands.get(id);
+        if (!command) {
+            throw new Error(`Command ${id} not found`);
+        }
+        return command.run(args);
+    }
+    
+    /**
+     * List commands that are currently available
+     * @returns {Array<Object>} { id, title }
+     */
+    getCommands() {
+        return Array.from(this.commands.values())
+            .filter(command => {
+                try {
+                    return !command.when || command.when();
+                } catch (e) {
+                    console.error(`Failed to check command ${command.id}:`, e);
+                    return false;
+                }
+            })
+            .map(command => ({ id: command.id, title: command.title }));
+    }
+    
     /**
      * Get current shell state
      */
@@ -221,12 +570,18 @@ document.addEventListener('DOMContentLoaded', () => {
     
     // Method to get current theme information
     window.odsShell.getTheme = function() {
-        // Return theme data if available
+        // Return the active theme if available
         if (window.opsTheme && window.opsTheme.initialized) {
+            const theme = window.opsTheme.getTheme();
             return {
                 initialized: true,
                 version: window.odsShell.state.themeVersion,
-                colors: window.opsTheme.getTheme(),
+                name: theme.name,
+                label: theme.label,
+                mode: window.opsTheme.getMode(),
+                colors: theme,
+                themes: window.opsTheme.getThemes().map(entry => entry.name),
+                font: window.opsTheme.getFontStatus(),
                 cssVariables: {
                     '--theme-bg': getComputedStyle(document.documentElement)
                         .getPropertyValue('--theme-bg').trim(),
@@ -242,7 +597,12 @@ document.addEventListener('DOMContentLoaded', () => {
         return {
             initialized: false,
             version: null,
+            name: null,
+            label: null,
+            mode: null,
             colors: null,
+            themes: [],
+            font: null,
             cssVariables: null
         };
     };
@@ -253,12 +613,35 @@ document.addEventListener('DOMContentLoaded', () => {
     };
     
     // Method for mounted systems to get theme-aware styles
+    // Every design token as a var() with the default theme's value as fallback;
+    // space-*, font-size-* and radius-* are grouped (styles.space.sm)
     window.odsShell.getThemeStyles = function() {
-        return {
-            background: 'var(--theme-bg, #000000)',
-            text: 'var(--theme-text, #00FF00)',
-            ui: 'var(--theme-ui, #00FF00)',
-            font: 'var(--theme-font, monospace)'
-        };
+        if (!window.opsTheme || typeof window.opsTheme.getTokens !== 'function') {
+            return {
+                background: 'var(--theme-bg, #000000)',
+                text: 'var(--theme-text, #00FF00)',
+                ui: 'var(--theme-ui, #00FF00)',
+                font: 'var(--theme-font, monospace)'
+            };
+        }
+        
+        const tokens = window.opsTheme.getTokens(window.themeConstants ? window.themeConstants.DEFAULT_THEME : 'terminal');
+        const groups = { 'space-': 'space', 'font-size-': 'fontSize', 'radius-': 'radius' };
+        const camel = (text) => text.replace(/-([a-z0-9])/g, (match, c) => c.toUpperCase());
+        const styles = { space: {}, fontSize: {}, radius: {} };
+        
+        Object.entries(tokens).forEach(([property, fallback]) => {
+            const name = property.replace('--theme-', '');
+            const value = `var(${property}, ${fallback})`;
+            const prefix = Object.keys(groups).find(p => name.startsWith(p));
+            
+            if (prefix) {
+                styles[groups[prefix]][camel(name.slice(prefix.length))] = value;
+            } else {
+                styles[name === 'bg' ? 'background' : camel(name)] = value;
+            }
+        });
+        
+        return styles;
     };
 });
\ No newline at end of file
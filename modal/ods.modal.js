@@ -5,54 +5,96 @@
 
 // Import Module Settings
 import { ModuleSettings } from './ods.settings.js';
+// Import history routing
+import { ModalRouter } from './ods.router.js';
 
 /**
  * Manages runtime state for the modal system
- * Tracks active modal, prevents multiple modals, calculates durations
+ * Tracks the stack of open modals, calculates durations
  */
 class ModalState {
   constructor() {
-    this.activeModalId = null;
+    this.stack = [];              // Open modals, bottom first: { modalId, moduleId, openedAt }
+    this.activeModalId = null;    // Top of the stack
     this.activeModuleId = null;
     this.openedAt = null;
-    this.previousModalId = null;
-    this.isTransitioning = false;
+    this.previousModalId = null;  // Modal underneath the top one
+    this.isTransitioning = false;  // True while animating or awaiting a hook
   }
 
   /**
-   * Opens a modal if not transitioning
+   * Pushes a modal onto the stack if not transitioning
    * @param {string} modalId - The modal identifier
    * @param {string} moduleId - The module being displayed
-   * @returns {boolean} Success status
+   * @returns {boolean} Success status (false if already open)
    */
   open(modalId, moduleId) {
-    // Prevent multiple modals
-    if (this.isTransitioning || this.activeModalId) return false;
+    if (this.isTransitioning || this.has(modalId)) return false;
     
-    this.isTransitioning = true;
-    this.previousModalId = this.activeModalId;
-    this.activeModalId = modalId;
-    this.activeModuleId = moduleId;
-    this.openedAt = Date.now();
-    this.isTransitioning = false;
+    this.stack.push({ modalId, moduleId, openedAt: Date.now() });
+    this.sync();
     
     return true;
   }
 
   /**
-   * Closes the active modal
+   * Marks the start of an animation or a pending before-hook
+   */
+  beginTransition() {
+    this.isTransitioning = true;
+  }
+
+  /**
+   * Marks the end of a transition
+   */
+  endTransition() {
+    this.isTransitioning = false;
+  }
+
+  /**
+   * Pops the top modal
    * @returns {number} Duration in milliseconds
    */
   close() {
-    const duration = this.openedAt ? Date.now() - this.openedAt : 0;
+    const entry = this.stack.pop();
+    const duration = entry ? Date.now() - entry.openedAt : 0;
     
-    this.activeModalId = null;
-    this.activeModuleId = null;
-    this.openedAt = null;
+    this.sync();
     
     return duration;
   }
 
+  /**
+   * Mirror the top of the stack into the active fields
+   * @private
+   */
+  sync() {
+    const top = this.stack[this.stack.length - 1] || null;
+    const below = this.stack[this.stack.length - 2] || null;
+    
+    this.activeModalId = top ? top.modalId : null;
+    this.activeModuleId = top ? top.moduleId : null;
+    this.openedAt = top ? top.openedAt : null;
+    this.previousModalId = below ? below.modalId : null;
+  }
+
+  /**
+   * Check if a modal is anywhere in the stack
+   * @param {string} modalId
+   * @returns {boolean}
+   */
+  has(modalId) {
+    return this.stack.some(entry => entry.modalId === modalId);
+  }
+
+  /**
+   * Number of open modals
+   * @returns {number}
+   */
+  getDepth() {
+    return this.stack.length;
+  }
+
   /**
    * Check if a modal is currently active
    * @returns {boolean}
@@ -74,14 +116,29 @@ class Modal {
       moduleId: config.moduleId,        // Required: associated module
       closable: config.closable !== false,  // Default true
       showModuleSettings: config.showModuleSettings !== false, // Default true
-      content: config.content || null,  // HTMLElement or string
+      settingsSchema: config.settingsSchema || {}, // Module Settings fields, see ModuleSettings
+      content: config.content || null,  // HTMLElement, SafeContent markup or text
+      load: config.load || null,        // Lazy content: () => Promise of content, a factory or a module
+      mount: config.mount || null,      // (contentElement, params, modal) on each open, once content is ready
+      unmount: config.unmount || null,  // (contentElement, modal) on each close
+      initialFocus: config.initialFocus || null, // Selector, HTMLElement or () => HTMLElement
+      role: config.role === 'alertdialog' ? 'alertdialog' : 'dialog',
+      route: config.route !== false,    // Default true: opening pushes #/modal/<id>
+      footerPanels: config.footerPanels || [], // Extra HTMLElements for the footer
       onOpen: config.onOpen || null,    // Callback
-      onClose: config.onClose || null   // Callback
+      onClose: config.onClose || null,  // Callback
+      beforeOpen: config.beforeOpen || null,   // (modal) => false or Promise<false> cancels
+      beforeClose: config.beforeClose || null  // (modal) => false or Promise<false> cancels
     };
     
     this.system = system;  // Reference to ModalSystem
     this.element = null;   // DOM element
     this.moduleSettings = null; // Module Settings instance
+    this.params = {};      // Sub-state carried in the route query
+    this.isOpen = false;
+    this.mounted = false;  // config.mount has run for this open
+    this.loadState = config.load ? 'idle' : 'loaded'; // idle | loading | loaded | error
+    this.loadPromise = null;
     
     this.build();
   }
@@ -95,6 +152,12 @@ class Modal {
     container.className = 'modal-container';
     container.dataset.modalId = this.config.id;
     
+    // WAI-ARIA dialog pattern; the container takes focus as a last resort
+    container.setAttribute('role', this.config.role);
+    container.setAttribute('aria-modal', 'true');
+    container.setAttribute('aria-labelledby', this.getTitleId());
+    container.tabIndex = -1;
+    
     // Add header
     const header = this.buildHeader();
     container.appendChild(header);
@@ -117,6 +180,7 @@ class Modal {
     // Title
     const title = document.createElement('h2');
     title.className = 'modal-header__title';
+    title.id = this.getTitleId();
     title.textContent = this.config.title.toUpperCase();
     header.appendChild(title);
     
@@ -138,11 +202,7 @@ class Modal {
     contentArea.className = 'modal-content-area';
     
     if (this.config.content) {
-      if (typeof this.config.content === 'string') {
-        contentArea.innerHTML = this.config.content;
-      } else {
-        contentArea.appendChild(this.config.content);
-      }
+      SafeContent.render(contentArea, this.config.content);
     }
     
     this.contentElement = contentArea;
@@ -153,9 +213,16 @@ class Modal {
     const footer = document.createElement('div');
     footer.className = 'modal-footer';
     
+    // Add module-provided panels (e.g. ShortcutSettings)
+    this.config.footerPanels.forEach(panel => {
+      if (panel instanceof HTMLElement) {
+        footer.appendChild(panel);
+      }
+    });
+    
     // Add Module Settings if enabled
     if (this.config.showModuleSettings) {
-      this.moduleSettings = new ModuleSettings(this.config.id);
+      this.moduleSettings = new ModuleSettings(this.config.id, this.config.settingsSchema);
       footer.appendChild(this.moduleSettings.render());
     }
     
@@ -163,12 +230,82 @@ class Modal {
     return footer;
   }
 
+  /**
+   * ID of the title element, referenced by aria-labelledby
+   * @returns {string}
+   */
+  getTitleId() {
+    return `modal-title-${this.config.id}`;
+  }
+
+  /**
+   * Elements inside the modal that can take keyboard focus
+   * @returns {Array<HTMLElement>} In tab order
+   */
+  getFocusableElements() {
+    if (!this.element) return [];
+    
+    const selector = [
+      'a[href]', 'area[href]', 'button', 'input', 'select', 'textarea',
+      'iframe', 'summary', '[contenteditable="true"]', '[tabindex]'
+    ].join(',');
+    
+    return Array.from(this.element.querySelectorAll(selector)).filter(el =>
+      !el.disabled &&
+      el.tabIndex >= 0 &&
+      el.type !== 'hidden' &&
+      !el.closest('[hidden], [inert]')
+    );
+  }
+
+  /**
+   * Moves focus into the modal
+   * Uses config.initialFocus, then the first focusable element in the
+   * content area, then the first one anywhere, then the container
+   */
+  focusInitial() {
+    if (!this.element) return;
+    
+    let target = this.config.initialFocus;
+    if (typeof target === 'function') {
+      target = target(this);
+    } else if (typeof target === 'string') {
+      target = this.element.querySelector(target);
+    }
+    
+    if (!(target instanceof HTMLElement) || !this.element.contains(target)) {
+      const focusable = this.getFocusableElements();
+      target = focusable.find(el => this.contentElement && this.contentElement.contains(el)) ||
+               focusable[0] ||
+               this.element;
+    }
+    
+    target.focus();
+  }
+
   /**
    * Opens this modal
+   * @param {Object} params - Route params, passed on to onOpen
    */
-  open() {
-    if (this.config.onOpen) {
-      this.config.onOpen();
+  open(params = {}) {
+    this.params = { ...params };
+    this.isOpen = true;
+    
+    // A failing callback is logged; the open still completes
+    try {
+      if (this.config.onOpen) {
+        this.config.onOpen(this.params);
+      }
+    } catch (e) {
+      console.error(`Modal ${this.config.id} onOpen failed:`, e);
+    }
+    
+    // Lazy content loads on first open (or retries after a failure)
+    // and mounts when ready
+    if (this.loadState === 'loaded') {
+      this.mountContent();
+    } else if (this.loadState !== 'loading') {
+      this.load();
     }
   }
 
@@ -176,27 +313,195 @@ class Modal {
    * Closes this modal
    */
   close() {
-    if (this.config.onClose) {
-      this.config.onClose();
+    this.isOpen = false;
+    
+    if (this.mounted) {
+      this.mounted = false;
+      try {
+        if (this.config.unmount) {
+          this.config.unmount(this.contentElement, this);
+        }
+      } catch (e) {
+        console.error(`Failed to unmount modal ${this.config.id}:`, e);
+      }
+    }
+    
+    try {
+      if (this.config.onClose) {
+        this.config.onClose();
+      }
+    } catch (e) {
+      console.error(`Modal ${this.config.id} onClose failed:`, e);
     }
   }
 
+  /**
+   * Runs config.load once and shows the result
+   * Shows a loading state meanwhile and an error panel with retry on failure
+   * @returns {Promise<boolean>} Whether the content is ready
+   */
+  load() {
+    if (this.loadState === 'loaded') return Promise.resolve(true);
+    if (this.loadState === 'loading') return this.loadPromise;
+    
+    this.loadState = 'loading';
+    this.showStatus('loading');
+    
+    this.loadPromise = Promise.resolve()
+      .then(() => this.config.load(this))
+      .then(result => this.resolveContent(result))
+      .then(content => {
+        if (!this.element) return false; // Destroyed while loading
+        
+        this.loadState = 'loaded';
+        this.contentElement.removeAttribute('aria-busy');
+        this.setContent(content || '');
+        this.dispatchEvent('modal-loaded');
+        
+        if (this.isOpen) {
+          this.mountContent();
+          
+          // Focus parked on the container or header moves into the content
+          if (this.element.contains(document.activeElement) &&
+              !this.contentElement.contains(document.activeElement)) {
+            this.focusInitial();
+          }
+        }
+        return true;
+      })
+      .catch(error => {
+        console.error(`Failed to load modal ${this.config.id}:`, error);
+        if (!this.element) return false;
+        
+        this.loadState = 'error';
+        this.showStatus('error', error);
+        this.dispatchEvent('modal-load-failed', { error: error && error.message });
+        return false;
+      });
+    
+    return this.loadPromise;
+  }
+
+  /**
+   * Unwrap what config.load resolved to
+   * Accepts content (strings are text), a module namespace from import()
+   * (its default export)
+   * or a factory called with this modal
+   * @private
+   */
+  async resolveContent(result) {
+    let content = result;
+    
+    if (content && typeof content === 'object' && !(content instanceof Node) &&
+        !SafeContent.isTrusted(content) && 'default' in content) {
+      content = content.default;
+    }
+    if (typeof content === 'function') {
+      content = await content(this);
+    }
+    if (content && typeof content !== 'string' && !(content instanceof Node) && !SafeContent.isTrusted(content)) {
+      throw new Error('load must resolve to an HTMLElement, SafeContent markup or text');
+    }
+    return content;
+  }
+
+  /**
+   * Call config.mount once per open
+   * @private
+   */
+  mountContent() {
+    if (this.mounted || !this.isOpen) return;
+    
+    this.mounted = true;
+    try {
+      if (this.config.mount) {
+        this.config.mount(this.contentElement, this.params, this);
+      }
+    } catch (e) {
+      console.error(`Failed to mount modal ${this.config.id}:`, e);
+    }
+  }
+
+  /**
+   * Show the loading state or the error panel in the content area
+   * @param {string} type - 'loading' or 'error'
+   * @param {Error} error - Failure to describe
+   * @private
+   */
+  showStatus(type, error) {
+    const status = document.createElement('div');
+    status.className = `modal-status modal-status--${type}`;
+    
+    const message = document.createElement('p');
+    message.className = 'modal-status__message';
+    status.appendChild(message);
+    
+    if (type === 'loading') {
+      status.setAttribute('role', 'status');
+      message.textContent = 'LOADING';
+      this.contentElement.setAttribute('aria-busy', 'true');
+    } else {
+      status.setAttribute('role', 'alert');
+      message.textContent = `FAILED TO LOAD ${this.config.title.toUpperCase()}`;
+      this.contentElement.removeAttribute('aria-busy');
+      
+      if (error && error.message) {
+        const detail = document.createElement('p');
+        detail.className = 'modal-status__detail';
+        detail.textContent = error.message;
+        status.appendChild(detail);
+      }
+      
+      const retry = document.createElement('button');
+      retry.className = 'modal-status__retry';
+      retry.type = 'button';
+      retry.textContent = 'RETRY';
+      retry.addEventListener('click', () => {
+        this.load();
+        // Keep focus inside the modal once the button is gone
+        this.element.focus();
+      });
+      status.appendChild(retry);
+    }
+    
+    this.setContent(status);
+  }
+
+  /**
+   * Dispatch a modal lifecycle event
+   * @private
+   */
+  dispatchEvent(name, detail = {}) {
+    document.dispatchEvent(new CustomEvent(name, {
+      detail: {
+        modalId: this.config.id,
+        moduleId: this.config.moduleId,
+        ...detail,
+        timestamp: Date.now()
+      },
+      bubbles: true
+    }));
+  }
+
   /**
    * Updates the content area
-   * @param {HTMLElement|string} content
+   * Strings are shown as text; pass SafeContent.html/trust markup for HTML
+   * @param {HTMLElement|TrustedMarkup|string} content
    */
   setContent(content) {
     if (this.contentElement) {
-      this.contentElement.innerHTML = '';
-      
-      if (typeof content === 'string') {
-        this.contentElement.innerHTML = content;
-      } else {
-        this.contentElement.appendChild(content);
-      }
+      SafeContent.render(this.contentElement, content);
     }
   }
 
+  /**
+   * Current Module Settings values
+   * @returns {Object} Values keyed by setting; empty without a settings panel
+   */
+  getSettings() {
+    return this.moduleSettings ? this.moduleSettings.getValues() : {};
+  }
+
   /**
    * Destroys the modal instance
    */
@@ -212,48 +517,144 @@ class Modal {
 
 /**
  * Main orchestrator for all modals
- * Manages overlay, tracks active modal, handles global events
+ * Manages the modal stack with one overlay per level, handles global events
  */
 class ModalSystem {
   constructor() {
     this.modals = new Map();      // Registry of all modals
-    this.activeModal = null;      // Currently open modal
-    this.overlay = null;          // Background overlay element
+    this.activeModal = null;      // Top modal of the stack
+    this.stack = [];              // Open modals, bottom first: { modal, overlay, returnFocus, routed }
+    this.overlay = null;          // Bottom overlay element
+    this.overlays = [];           // Overlay per stack level
+    this.inerted = [];            // Background elements made inert while modals are open
+    this.maxDepth = 5;            // Nested modals allowed at once
+    this.transitionDuration = 200; // Enter/exit animation in ms
+    this.queue = Promise.resolve(); // Settles when the last scheduled open/close does
+    this.pending = 0;             // Scheduled operations not yet settled
     this.state = new ModalState(); // Runtime state
+    this.router = new ModalRouter(this); // History integration
     
     this.initOverlay();
     this.attachGlobalListeners();
     this.initializeSchema();
+    this.router.attach();
   }
 
   /**
-   * Creates the overlay element
+   * Creates the bottom overlay element
    */
   initOverlay() {
-    this.overlay = document.createElement('div');
-    this.overlay.className = 'modal-overlay';
-    this.overlay.style.display = 'none';
+    this.overlay = this.getOverlay(0);
+  }
+
+  /**
+   * Gets the overlay for a stack level, creating it on first use
+   * @param {number} level - Zero-based stack level
+   * @returns {HTMLElement} Overlay element
+   */
+  getOverlay(level) {
+    if (this.overlays[level]) {
+      return this.overlays[level];
+    }
+    
+    const overlay = document.createElement('div');
+    overlay.className = 'modal-overlay';
+    overlay.style.display = 'none';
+    overlay.style.setProperty('--modal-transition-duration', `${this.transitionDuration}ms`);
+    
+    // Stacked overlays sit above the ones below
+    if (level > 0) {
+      overlay.classList.add('modal-overlay--stacked');
+      overlay.style.zIndex = String(1000 + level * 10);
+    }
     
-    // Click outside to close
-    this.overlay.addEventListener('click', (e) => {
-      if (e.target === this.overlay) {
+    // Click outside closes the top modal only
+    overlay.addEventListener('click', (e) => {
+      const top = this.stack[this.stack.length - 1];
+      if (e.target === overlay && top && top.overlay === overlay) {
         this.closeActive();
       }
     });
     
-    document.body.appendChild(this.overlay);
+    document.body.appendChild(overlay);
+    this.overlays[level] = overlay;
+    return overlay;
   }
 
   /**
    * Attaches global event listeners
    */
   attachGlobalListeners() {
-    // ESC key to close
+    // ESC key closes the top modal, Tab cycles inside it
     document.addEventListener('keydown', (e) => {
       if (e.key === 'Escape' && this.state.isActive()) {
         this.closeActive();
+      } else if (e.key === 'Tab' && this.activeModal) {
+        this.trapFocus(e);
       }
     });
+    
+    // Pull focus back if it escapes the top modal
+    document.addEventListener('focusin', (e) => {
+      if (!this.activeModal || this.activeModal.element.contains(e.target)) return;
+      if (e.target.closest && e.target.closest('[data-modal-layer]')) return;
+      
+      this.activeModal.focusInitial();
+    });
+  }
+
+  /**
+   * Keep Tab and Shift+Tab inside the top modal
+   * @param {KeyboardEvent} e
+   * @private
+   */
+  trapFocus(e) {
+    const container = this.activeModal.element;
+    const focusable = this.activeModal.getFocusableElements();
+    const current = document.activeElement;
+    
+    if (focusable.length === 0) {
+      e.preventDefault();
+      container.focus();
+      return;
+    }
+    
+    const first = focusable[0];
+    const last = focusable[focusable.length - 1];
+    const outside = !container.contains(current) || current === container;
+    
+    if (e.shiftKey && (current === first || outside)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && (current === last || outside)) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  /**
+   * Make everything behind the modals inert
+   * Overlays and elements marked data-modal-layer (e.g. the command
+   * palette) are left alone
+   * @private
+   */
+  inertBackground() {
+    Array.from(document.body.children).forEach(el => {
+      if (this.overlays.includes(el) || el.hasAttribute('data-modal-layer') || el.hasAttribute('inert')) {
+        return;
+      }
+      el.setAttribute('inert', '');
+      this.inerted.push(el);
+    });
+  }
+
+  /**
+   * Undo inertBackground
+   * @private
+   */
+  restoreBackground() {
+    this.inerted.forEach(el => el.removeAttribute('inert'));
+    this.inerted = [];
   }
 
   /**
@@ -266,7 +667,18 @@ class ModalSystem {
     if (!storedVersion) {
       // First run initialization
       localStorage.setItem('ods-modal-version', schemaVersion);
-      localStorage.setItem('modal-settings-state', '{}');
+      
+      // Settings state lives in ODS storage when it is loaded
+      const storage = window.ODS && window.ODS.storage;
+      if (storage) {
+        storage.get('modal-settings-state').then(states => {
+          if (states === undefined) {
+            return storage.put('modal-settings-state', {});
+          }
+        }).catch(e => console.error('Failed to initialize settings state:', e));
+      } else {
+        localStorage.setItem('modal-settings-state', '{}');
+      }
     }
   }
 
@@ -278,77 +690,369 @@ class ModalSystem {
   register(config) {
     const modal = new Modal(config, this);
     this.modals.set(config.id, modal);
+    this.router.registered(config.id);
     return modal;
   }
 
   /**
-   * Opens a modal by ID
+   * Opens a modal by ID on top of any open modals
+   * Opening a modal that is already in the stack closes the modals above it
    * @param {string} modalId - The modal to open
+   * @param {Object} options
+   * @param {Object} options.params - Sub-state for the route query and onOpen
+   * @param {boolean} options.fromHistory - Opened by back/forward; don't push
+   * @returns {Promise<boolean>} Resolves after the enter transition;
+   *   false if the modal was missing or beforeOpen refused
+   */
+  open(modalId, options = {}) {
+    return this.schedule(() => this.openModal(modalId, options));
+  }
+
+  /**
+   * Closes the top modal and returns focus to the one underneath
+   * @param {Object} options
+   * @param {boolean} options.force - Skip the beforeClose hook
+   * @param {boolean} options.fromHistory - Closed by back; don't step history
+   * @returns {Promise<boolean>} Resolves after the exit transition;
+   *   false if nothing was open or beforeClose refused
+   */
+  closeActive(options = {}) {
+    return this.schedule(() => this.closeTop(options));
+  }
+
+  /**
+   * Closes a modal and every modal stacked above it
+   * @param {string} modalId
+   * @param {Object} options - See closeActive
+   * @returns {Promise<boolean>} Whether the modal was open and closed
+   */
+  close(modalId, options = {}) {
+    return this.schedule(async () => {
+      const index = this.stack.findIndex(entry => entry.modal.config.id === modalId);
+      if (index === -1) return false;
+      
+      while (this.stack.length > index) {
+        if (!(await this.closeTop(options))) return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Closes every open modal, top first
+   * Stops at the first modal whose beforeClose refuses
+   * @param {Object} options - See closeActive
+   * @returns {Promise<boolean>} Whether every modal closed
+   */
+  closeAll(options = {}) {
+    return this.schedule(async () => {
+      while (this.stack.length > 0) {
+        if (!(await this.closeTop(options))) return false;
+      }
+      return true;
+    });
+  }
+
+  /**
+   * Run open/close operations one at a time
+   * Runs straight away when idle, otherwise after the previous one settles
+   * @param {Function} task - Returns a Promise
+   * @returns {Promise}
+   * @private
+   */
+  schedule(task) {
+    const idle = this.pending === 0;
+    this.pending++;
+    
+    const result = idle ? task() : this.queue.then(() => task());
+    
+    // Registered before any caller's handlers, so callers awaiting the
+    // result already see the system idle
+    const release = () => {
+      this.pending--;
+    };
+    this.queue = result.then(release, release);
+    return result;
+  }
+
+  /**
+   * Ask a before-hook whether to continue
+   * @returns {boolean|Promise<boolean>} false cancels
+   * @private
+   */
+  checkHook(hook, modal) {
+    if (typeof hook !== 'function') return true;
+    
+    const fail = (e) => {
+      console.error(`Modal ${modal.config.id} hook failed:`, e);
+      return false;
+    };
+    
+    try {
+      const verdict = hook(modal);
+      if (verdict && typeof verdict.then === 'function') {
+        return verdict.then(result => result !== false, fail);
+      }
+      return verdict !== false;
+    } catch (e) {
+      return fail(e);
+    }
+  }
+
+  /**
+   * Wait for an async hook, marking the state as transitioning meanwhile
+   * @private
+   */
+  async awaitHook(verdict) {
+    this.state.beginTransition();
+    try {
+      return await verdict;
+    } finally {
+      this.state.endTransition();
+    }
+  }
+
+  /**
+   * Animation length, zero when the user prefers reduced motion
+   * @returns {number} Milliseconds
+   */
+  getTransitionDuration() {
+    const reduced = typeof window.matchMedia === 'function' &&
+                    window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+    return reduced ? 0 : this.transitionDuration;
+  }
+
+  /**
+   * Resolve once an overlay finishes its transition
+   * Falls back to a timer in case transitionend never fires
+   * @param {HTMLElement} overlay
+   * @returns {Promise}
+   * @private
+   */
+  waitForTransition(overlay) {
+    const duration = this.getTransitionDuration();
+    if (duration <= 0) return Promise.resolve();
+    
+    this.state.beginTransition();
+    return new Promise(resolve => {
+      let timer = null;
+      const done = () => {
+        clearTimeout(timer);
+        overlay.removeEventListener('transitionend', onEnd);
+        this.state.endTransition();
+        resolve();
+      };
+      const onEnd = (e) => {
+        if (e.target === overlay) done();
+      };
+      
+      overlay.addEventListener('transitionend', onEnd);
+      timer = setTimeout(done, duration + 50);
+    });
+  }
+
+  /**
+   * Push a modal onto the stack and animate it in
+   * @private
    */
-  open(modalId) {
+  async openModal(modalId, options = {}) {
     const modal = this.modals.get(modalId);
     
     if (!modal) {
       console.error(`Modal ${modalId} not found`);
-      return;
+      return false;
     }
     
-    // Prevent opening if another modal is active
-    if (this.activeModal) {
-      console.warn('Another modal is already open');
-      return;
+    const index = this.stack.findIndex(entry => entry.modal === modal);
+    if (index !== -1) {
+      while (this.stack.length > index + 1) {
+        if (!(await this.closeTop({ fromHistory: options.fromHistory }))) return false;
+      }
+      return true;
     }
     
+    if (this.stack.length >= this.maxDepth) {
+      console.warn(`Modal stack is full (${this.maxDepth})`);
+      return false;
+    }
+    
+    // Sync hooks decide straight away so an idle open updates state at once
+    let allowed = this.checkHook(modal.config.beforeOpen, modal);
+    if (typeof allowed !== 'boolean') {
+      allowed = await this.awaitHook(allowed);
+    }
+    if (!allowed) return false;
+    
     // Update state
     const opened = this.state.open(modalId, modal.config.moduleId);
-    if (!opened) return;
+    if (!opened) return false;
     
-    // Show overlay with modal
-    this.overlay.innerHTML = '';
-    this.overlay.appendChild(modal.element);
-    this.overlay.style.display = 'flex';
+    // Show this level's overlay with the modal, starting from the hidden state
+    const overlay = this.getOverlay(this.stack.length);
+    overlay.innerHTML = '';
+    overlay.appendChild(modal.element);
+    overlay.classList.remove('modal-overlay--visible');
+    overlay.style.display = 'flex';
+    
+    // The modal underneath stays visible but covered and inert;
+    // the first modal makes the page behind it inert
+    const below = this.stack[this.stack.length - 1];
+    if (below) {
+      below.modal.element.classList.add('modal-container--covered');
+      below.overlay.setAttribute('inert', '');
+    } else {
+      this.inertBackground();
+    }
+    
+    const entry = {
+      modal: modal,
+      overlay: overlay,
+      returnFocus: document.activeElement,
+      routed: false
+    };
+    this.stack.push(entry);
     
     // Mark as active
     this.activeModal = modal;
     
-    // Call modal's open handler
-    modal.open();
+    // Call modal's open handler, then move focus into the rendered modal
+    modal.open(options.params);
+    modal.focusInitial();
+    
+    // Push the route once onOpen has settled the params
+    this.router.opened(entry, options);
     
     // Dispatch event
     document.dispatchEvent(new CustomEvent('modal-opened', {
       detail: {
         modalId: modalId,
-        moduleId: modal.config.moduleId
+        moduleId: modal.config.moduleId,
+        depth: this.stack.length
       }
     }));
+    
+    // Enter transition; reading layout commits the hidden state first
+    void overlay.offsetWidth;
+    overlay.classList.add('modal-overlay--visible');
+    await this.waitForTransition(overlay);
+    
+    return true;
   }
 
   /**
-   * Closes the active modal
+   * Pop the top modal and animate it out
+   * @private
    */
-  closeActive() {
-    if (!this.activeModal) return;
+  async closeTop(options = {}) {
+    const entry = this.stack[this.stack.length - 1];
+    if (!entry) return false;
     
-    const modalId = this.activeModal.config.id;
+    if (!options.force) {
+      let allowed = this.checkHook(entry.modal.config.beforeClose, entry.modal);
+      if (typeof allowed !== 'boolean') {
+        allowed = await this.awaitHook(allowed);
+      }
+      if (!allowed) return false;
+    }
+    
+    const modalId = entry.modal.config.id;
+    const depth = this.stack.length;
     const duration = this.state.close();
     
     // Call modal's close handler
-    this.activeModal.close();
+    entry.modal.close();
+    
+    this.stack.pop();
+    this.router.closed(entry, options);
     
-    // Hide overlay
-    this.overlay.style.display = 'none';
-    this.overlay.innerHTML = '';
+    const below = this.stack[this.stack.length - 1] || null;
+    this.activeModal = below ? below.modal : null;
+    
+    if (below) {
+      below.modal.element.classList.remove('modal-container--covered');
+      below.overlay.removeAttribute('inert');
+    } else {
+      this.restoreBackground();
+    }
+    
+    // Back to the element that opened this modal
+    this.restoreFocus(entry.returnFocus, below);
     
     // Dispatch event
     document.dispatchEvent(new CustomEvent('modal-closed', {
       detail: {
         modalId: modalId,
-        duration: duration
+        duration: duration,
+        depth: depth
       }
     }));
     
-    // Clear active modal
-    this.activeModal = null;
+    // Exit transition; the fading overlay takes no input
+    entry.overlay.setAttribute('inert', '');
+    entry.overlay.classList.remove('modal-overlay--visible');
+    await this.waitForTransition(entry.overlay);
+    
+    // Hide this level's overlay
+    entry.overlay.style.display = 'none';
+    entry.overlay.innerHTML = '';
+    entry.overlay.removeAttribute('inert');
+    
+    return true;
+  }
+
+  /**
+   * Return focus after a modal closes
+   * Prefers the element focused before it opened, if that is still inside
+   * the modal underneath (or anywhere on the page when none is left)
+   * @private
+   */
+  restoreFocus(target, below) {
+    const container = below ? below.modal.element : document.body;
+    
+    if (target && target !== document.body && container.contains(target) && typeof target.focus === 'function') {
+      target.focus();
+    } else if (below) {
+      below.modal.focusInitial();
+    }
+  }
+
+  /**
+   * Update a modal's route params (module sub-state)
+   * Replaces the current history entry when it is the top modal
+   * @param {string} modalId
+   * @param {Object} params - String values
+   */
+  setParams(modalId, params = {}) {
+    const modal = this.modals.get(modalId);
+    if (!modal) return;
+    
+    modal.params = { ...params };
+    this.router.update(modal);
+  }
+
+  /**
+   * Checks if a modal is open anywhere in the stack
+   * @param {string} modalId
+   * @returns {boolean}
+   */
+  isOpen(modalId) {
+    return this.stack.some(entry => entry.modal.config.id === modalId);
+  }
+
+  /**
+   * Number of open modals
+   * @returns {number}
+   */
+  getDepth() {
+    return this.stack.length;
+  }
+
+  /**
+   * IDs of open modals, bottom first
+   * @returns {Array<string>}
+   */
+  getStack() {
+    return this.stack.map(entry => entry.modal.config.id);
   }
 
   /**
@@ -370,31 +1074,38 @@ class ModalSystem {
   }
 
   /**
-   * Unregisters a modal
+   * Unregisters a modal, closing it first if open
    * @param {string} modalId
+   * @returns {Promise} Resolves once the modal is destroyed
    */
   unregister(modalId) {
     const modal = this.modals.get(modalId);
-    if (modal) {
-      if (this.activeModal === modal) {
-        this.closeActive();
-      }
-      modal.destroy();
-      this.modals.delete(modalId);
-    }
+    if (!modal) return Promise.resolve();
+    
+    this.modals.delete(modalId);
+    return this.close(modalId, { force: true }).then(() => modal.destroy());
   }
 
   /**
    * Destroys the modal system
+   * @returns {Promise} Resolves once every modal is closed and destroyed
    */
   destroy() {
-    this.closeActive();
-    this.modals.forEach(modal => modal.destroy());
+    const modals = Array.from(this.modals.values());
     this.modals.clear();
+    this.router.detach();
     
-    if (this.overlay && this.overlay.parentNode) {
-      this.overlay.parentNode.removeChild(this.overlay);
-    }
+    return this.closeAll({ force: true }).then(() => {
+      modals.forEach(modal => modal.destroy());
+      
+      this.overlays.forEach(overlay => {
+        if (overlay.parentNode) {
+          overlay.parentNode.removeChild(overlay);
+        }
+      });
+      this.overlays = [];
+      this.overlay = null;
+    });
   }
 }
 
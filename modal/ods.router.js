@@ -0,0 +1,207 @@
+/**
+ * Modal Router - ODS v9.2
+ * Connects the modal stack to the History API so back closes the top
+ * modal and #/modal/<id>?key=value links open a modal
+ */
+
+class ModalRouter {
+  constructor(system) {
+    this.system = system;         // ModalSystem being routed
+    this.pendingRoute = null;     // Deep link waiting for its modal to register
+    this.ignorePops = 0;          // popstate events caused by our own history.go
+    this.backSteps = 0;           // Closed entries not yet popped from history
+    this.enabled = typeof window.history !== 'undefined' &&
+                   typeof window.history.pushState === 'function';
+    
+    this.onPopState = () => this.handlePopState();
+  }
+
+  /**
+   * Route prefix in the URL hash
+   */
+  static get PREFIX() {
+    return '#/modal/';
+  }
+
+  /**
+   * Parse a URL hash into a modal route
+   * @param {string} hash - e.g. '#/modal/tasks?status=done'
+   * @returns {Object|null} { modalId, params }
+   */
+  static parse(hash) {
+    if (typeof hash !== 'string' || !hash.startsWith(ModalRouter.PREFIX)) {
+      return null;
+    }
+    
+    const [path, query = ''] = hash.slice(ModalRouter.PREFIX.length).split('?');
+    if (!path) return null;
+    
+    try {
+      return {
+        modalId: decodeURIComponent(path),
+        params: Object.fromEntries(new URLSearchParams(query))
+      };
+    } catch (e) {
+      console.warn('ModalRouter: Ignoring malformed route', hash);
+      return null;
+    }
+  }
+
+  /**
+   * Build the URL hash for a modal
+   * @param {string} modalId
+   * @param {Object} params - String values; empty ones are left out
+   * @returns {string}
+   */
+  static build(modalId, params = {}) {
+    const query = new URLSearchParams();
+    Object.keys(params).forEach(key => {
+      const value = params[key];
+      if (value !== undefined && value !== null && value !== '') {
+        query.set(key, String(value));
+      }
+    });
+    
+    const search = query.toString();
+    return `${ModalRouter.PREFIX}${encodeURIComponent(modalId)}${search ? `?${search}` : ''}`;
+  }
+
+  /**
+   * Listen for back/forward and remember a deep link in the current URL
+   */
+  attach() {
+    if (!this.enabled) return;
+    
+    window.addEventListener('popstate', this.onPopState);
+    this.pendingRoute = ModalRouter.parse(window.location.hash);
+  }
+
+  /**
+   * Stop listening
+   */
+  detach() {
+    window.removeEventListener('popstate', this.onPopState);
+    this.pendingRoute = null;
+  }
+
+  /**
+   * Called by ModalSystem.register; opens a pending deep link
+   * The link is swapped for a plain entry plus a pushed modal entry, so
+   * back closes the modal instead of leaving the app
+   * @param {string} modalId
+   */
+  registered(modalId) {
+    const route = this.pendingRoute;
+    if (!route || route.modalId !== modalId) return;
+    
+    this.pendingRoute = null;
+    window.history.replaceState(null, '', this.getBaseUrl());
+    
+    // Let the registering module finish setting up first
+    setTimeout(() => {
+      this.system.open(modalId, { params: route.params });
+    }, 0);
+  }
+
+  /**
+   * Called after a modal is pushed onto the stack
+   * @param {Object} entry - Stack entry { modal, overlay, returnFocus }
+   * @param {Object} options - Open options; fromHistory skips the push
+   */
+  opened(entry, options = {}) {
+    const modal = entry.modal;
+    if (!this.enabled || modal.config.route === false) return;
+    
+    entry.routed = true;
+    if (options.fromHistory) return;
+    
+    const state = { odsModal: modal.config.id, depth: this.system.getDepth() };
+    const url = ModalRouter.build(modal.config.id, modal.params);
+    
+    // Reuse an entry still waiting to be popped rather than pushing past it
+    if (this.backSteps > 0) {
+      this.backSteps--;
+      window.history.replaceState(state, '', url);
+    } else {
+      window.history.pushState(state, '', url);
+    }
+  }
+
+  /**
+   * Called after a modal is popped from the stack
+   * Closes made outside the history (buttons, Escape) step history back;
+   * several closes in a row are batched into one history.go
+   * @param {Object} entry - Stack entry
+   * @param {Object} options - Close options; fromHistory skips the step
+   */
+  closed(entry, options = {}) {
+    if (!entry.routed || options.fromHistory) return;
+    
+    this.backSteps++;
+    if (this.backSteps > 1) return;
+    
+    setTimeout(() => {
+      const steps = this.backSteps;
+      this.backSteps = 0;
+      if (steps > 0) {
+        this.ignorePops++;
+        window.history.go(-steps);
+      }
+    }, 0);
+  }
+
+  /**
+   * Replace the current entry's query after module sub-state changes
+   * @param {Modal} modal
+   */
+  update(modal) {
+    const top = this.system.stack[this.system.stack.length - 1];
+    if (!top || top.modal !== modal || !top.routed || this.backSteps > 0) return;
+    
+    window.history.replaceState(window.history.state, '', ModalRouter.build(modal.config.id, modal.params));
+  }
+
+  /**
+   * Sync the stack with the URL after back/forward
+   * @private
+   */
+  handlePopState() {
+    if (this.ignorePops > 0) {
+      this.ignorePops--;
+      return;
+    }
+    
+    const route = ModalRouter.parse(window.location.hash);
+    const done = route
+      ? this.system.open(route.modalId, { params: route.params, fromHistory: true })
+      : this.system.closeAll({ fromHistory: true });
+    
+    // A modal refused to close (or the route was unknown): put its entry back
+    done.then(success => {
+      if (!success) this.restore();
+    });
+  }
+
+  /**
+   * Push the top modal's route again
+   * @private
+   */
+  restore() {
+    const top = this.system.stack[this.system.stack.length - 1];
+    if (!top || !top.routed) return;
+    
+    const state = { odsModal: top.modal.config.id, depth: this.system.getDepth() };
+    window.history.pushState(state, '', ModalRouter.build(top.modal.config.id, top.modal.params));
+  }
+
+  /**
+   * Current URL without the hash
+   * @private
+   */
+  getBaseUrl() {
+    return window.location.pathname + window.location.search;
+  }
+}
+
+// Export for use in modal system
+export { ModalRouter };
@@ -4,19 +4,145 @@
  */
 
 class ModuleSettings {
-  constructor(modalId) {
+  /**
+   * @param {string} modalId - Modal the panel belongs to
+   * @param {Object} schema - Settings keyed by name, e.g.
+   *   { compact: { type: 'boolean', label: 'Compact rows', default: false } }
+   *   Types: boolean, number (min, max, step), enum (options),
+   *   text (maxLength, pattern, required) and color (#rrggbb).
+   *   Any field may add description and validate(value) => true | message.
+   */
+  constructor(modalId, schema = {}) {
     this.modalId = modalId;
+    this.schema = ModuleSettings.normalizeSchema(schema);
+    this.values = this.loadValues();
     this.expanded = this.loadExpandedState();
     this.elements = {};
+    this.fields = {};     // key -> { input, error }
+  }
+
+  /**
+   * Supported field types
+   */
+  static get TYPES() {
+    return ['boolean', 'number', 'enum', 'text', 'color'];
+  }
+
+  /**
+   * Drop unknown field types and give every field a valid default
+   * @param {Object} schema
+   * @returns {Object} Normalized schema
+   */
+  static normalizeSchema(schema) {
+    const normalized = {};
+    
+    Object.keys(schema || {}).forEach(key => {
+      const field = schema[key];
+      if (!field || !ModuleSettings.TYPES.includes(field.type)) {
+        console.warn(`ModuleSettings: Ignoring setting ${key} with unknown type`, field && field.type);
+        return;
+      }
+      
+      const options = (field.options || []).map(option => {
+        return typeof option === 'object' ? option : { value: option, label: String(option) };
+      });
+      const entry = { label: key, ...field, key, options };
+      const checked = ModuleSettings.validateValue(entry, field.default);
+      entry.default = checked.valid ? checked.value : ModuleSettings.fallbackValue(entry);
+      normalized[key] = entry;
+    });
+    
+    return normalized;
+  }
+
+  /**
+   * Default used when a field declares none (or an invalid one)
+   * @private
+   */
+  static fallbackValue(field) {
+    switch (field.type) {
+      case 'boolean': return false;
+      case 'number': return typeof field.min === 'number' ? field.min : 0;
+      case 'enum': return field.options.length ? field.options[0].value : null;
+      case 'color': return '#000000';
+      default: return '';
+    }
+  }
+
+  /**
+   * Check a value against its field
+   * Numbers may arrive as strings from inputs and are converted
+   * @param {Object} field - Normalized field
+   * @param {*} value
+   * @returns {Object} { valid, value, error }
+   */
+  static validateValue(field, value) {
+    const invalid = error => ({ valid: false, value, error });
+    let result = value;
+    
+    switch (field.type) {
+      case 'boolean':
+        if (typeof value !== 'boolean') return invalid('Must be on or off');
+        break;
+        
+      case 'number':
+        result = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        if (typeof result !== 'number' || !Number.isFinite(result)) return invalid('Must be a number');
+        if (typeof field.min === 'number' && result < field.min) return invalid(`Must be at least ${field.min}`);
+        if (typeof field.max === 'number' && result > field.max) return invalid(`Must be at most ${field.max}`);
+        break;
+        
+      case 'enum':
+        if (!field.options.some(option => option.value === value)) return invalid('Not one of the choices');
+        break;
+        
+      case 'text':
+        if (typeof value !== 'string') return invalid('Must be text');
+        if (field.required && !value.trim()) return invalid('Required');
+        if (field.maxLength && value.length > field.maxLength) return invalid(`At most ${field.maxLength} characters`);
+        if (field.pattern && !new RegExp(field.pattern).test(value)) return invalid('Invalid format');
+        break;
+        
+      case 'color':
+        if (typeof value !== 'string' || !/^#[0-9a-f]{6}$/i.test(value)) return invalid('Must be a #RRGGBB color');
+        result = value.toLowerCase();
+        break;
+    }
+    
+    if (typeof field.validate === 'function') {
+      const verdict = field.validate(result);
+      if (verdict !== true && verdict !== undefined) {
+        return invalid(typeof verdict === 'string' ? verdict : 'Invalid value');
+      }
+    }
+    
+    return { valid: true, value: result, error: null };
+  }
+
+  /**
+   * Read a saved record as a copy that can be changed and written back
+   * @param {string} key - 'modal-settings-state' or 'module-settings-values'
+   */
+  readRecord(key) {
+    return { ...window.ODS.storage.readSync(key, {}) };
+  }
+
+  /**
+   * Write a record
+   */
+  writeRecord(key, data) {
+    window.ODS.storage.writeSync(key, data);
   }
 
   /**
-   * Load saved expanded state from localStorage
+   * Load saved expanded state
+   * Falls back to the shared 'module-settings' entry older versions wrote
    */
   loadExpandedState() {
     try {
-      const states = JSON.parse(localStorage.getItem('modal-settings-state') || '{}');
-      return states['module-settings'] || false;
+      const states = this.readRecord('modal-settings-state');
+      const key = `module-settings-${this.modalId}`;
+      return (key in states ? states[key] : states['module-settings']) || false;
     } catch (e) {
       console.error('Failed to load settings state:', e);
       return false;
@@ -24,18 +150,145 @@ class ModuleSettings {
   }
 
   /**
-   * Save expanded state to localStorage
+   * Save expanded state
    */
   saveExpandedState() {
     try {
-      const states = JSON.parse(localStorage.getItem('modal-settings-state') || '{}');
-      states['module-settings'] = this.expanded;
-      localStorage.setItem('modal-settings-state', JSON.stringify(states));
+      const states = this.readRecord('modal-settings-state');
+      states[`module-settings-${this.modalId}`] = this.expanded;
+      this.writeRecord('modal-settings-state', states);
     } catch (e) {
       console.error('Failed to save settings state:', e);
     }
   }
 
+  /**
+   * Load this modal's values; missing or invalid ones use defaults
+   * @returns {Object}
+   */
+  loadValues() {
+    const values = this.getDefaults();
+    
+    try {
+      const saved = this.readRecord('module-settings-values')[this.modalId] || {};
+      Object.keys(this.schema).forEach(key => {
+        if (!(key in saved)) return;
+        const checked = ModuleSettings.validateValue(this.schema[key], saved[key]);
+        if (checked.valid) values[key] = checked.value;
+      });
+    } catch (e) {
+      console.error('Failed to load module settings:', e);
+    }
+    
+    return values;
+  }
+
+  /**
+   * Save this modal's values
+   */
+  saveValues() {
+    try {
+      const all = this.readRecord('module-settings-values');
+      all[this.modalId] = { ...this.values };
+      this.writeRecord('module-settings-values', all);
+    } catch (e) {
+      console.error('Failed to save module settings:', e);
+    }
+  }
+
+  /**
+   * Default value of every field
+   * @returns {Object}
+   */
+  getDefaults() {
+    const defaults = {};
+    Object.keys(this.schema).forEach(key => {
+      defaults[key] = this.schema[key].default;
+    });
+    return defaults;
+  }
+
+  /**
+   * Current values
+   * @returns {Object}
+   */
+  getValues() {
+    return { ...this.values };
+  }
+
+  /**
+   * Current value of one setting
+   * @param {string} key
+   * @returns {*} Value or undefined for unknown keys
+   */
+  get(key) {
+    return this.values[key];
+  }
+
+  /**
+   * Change one setting
+   * @param {string} key
+   * @param {*} value
+   * @returns {Object} { changed, errors } as for setValues
+   */
+  set(key, value) {
+    return this.setValues({ [key]: value });
+  }
+
+  /**
+   * Change several settings at once
+   * Invalid values are rejected individually; the rest are saved and
+   * announced in one module-settings-changed event
+   * @param {Object} values - New values keyed by setting
+   * @returns {Object} { changed: Array<string>, errors: { key: message } }
+   */
+  setValues(values) {
+    const changed = [];
+    const errors = {};
+    
+    Object.keys(values).forEach(key => {
+      const field = this.schema[key];
+      if (!field) {
+        errors[key] = 'Unknown setting';
+        return;
+      }
+      
+      const checked = ModuleSettings.validateValue(field, values[key]);
+      if (!checked.valid) {
+        errors[key] = checked.error;
+      } else if (checked.value !== this.values[key]) {
+        this.values[key] = checked.value;
+        changed.push(key);
+      }
+    });
+    
+    Object.keys(values).forEach(key => {
+      if (this.schema[key]) this.updateField(key, errors[key] || null);
+    });
+    
+    if (changed.length > 0) {
+      this.saveValues();
+      
+      document.dispatchEvent(new CustomEvent('module-settings-changed', {
+        detail: {
+          modalId: this.modalId,
+          changed: changed,
+          values: this.getValues()
+        }
+      }));
+    }
+    
+    return { changed, errors };
+  }
+
+  /**
+   * Restore every default
+   * @returns {Object} { changed, errors }
+   */
+  reset() {
+    return this.setValues(this.getDefaults());
+  }
+
   /**
    * Toggle expanded/collapsed state
    */
@@ -149,31 +402,156 @@ class ModuleSettings {
     content.className = 'modal-settings__content';
     content.hidden = !this.expanded;
     
-    // Placeholder content for now
-    const placeholder = document.createElement('div');
-    placeholder.className = 'modal-settings__placeholder';
-    
-    const text = document.createElement('p');
-    text.textContent = 'Universal Module Settings';
-    text.style.margin = '0';
-    text.style.padding = '12px 0';
-    text.style.color = 'var(--theme-text, #00FF00)';
-    text.style.fontFamily = 'var(--theme-font, "Share Tech Mono", monospace)';
-    text.style.fontSize = '14px';
+    const keys = Object.keys(this.schema);
     
-    placeholder.appendChild(text);
-    content.appendChild(placeholder);
+    if (keys.length === 0) {
+      const placeholder = document.createElement('div');
+      placeholder.className = 'modal-settings__placeholder';
+      
+      const text = document.createElement('p');
+      text.className = 'modal-settings__empty';
+      text.textContent = 'No settings for this module';
+      
+      placeholder.appendChild(text);
+      content.appendChild(placeholder);
+    } else {
+      const form = document.createElement('form');
+      form.className = 'modal-settings__form';
+      form.noValidate = true;
+      form.addEventListener('submit', (e) => e.preventDefault());
+      
+      keys.forEach(key => form.appendChild(this.buildField(this.schema[key])));
+      
+      const reset = document.createElement('button');
+      reset.type = 'button';
+      reset.className = 'modal-settings__reset';
+      reset.textContent = 'RESET TO DEFAULTS';
+      reset.addEventListener('click', () => this.reset());
+      form.appendChild(reset);
+      
+      content.appendChild(form);
+      this.elements.form = form;
+    }
     
     this.elements.content = content;
     
     return content;
   }
 
+  /**
+   * Build the row for one setting
+   * @private
+   */
+  buildField(field) {
+    const id = `module-setting-${this.modalId}-${field.key}`;
+    const row = document.createElement('div');
+    row.className = `modal-settings__field modal-settings__field--${field.type}`;
+    
+    const label = document.createElement('label');
+    label.className = 'modal-settings__label';
+    label.htmlFor = id;
+    label.textContent = field.label;
+    
+    let input;
+    if (field.type === 'enum') {
+      input = document.createElement('select');
+      field.options.forEach(option => {
+        const element = document.createElement('option');
+        element.value = String(option.value);
+        element.textContent = option.label;
+        input.appendChild(element);
+      });
+    } else {
+      input = document.createElement('input');
+      input.type = { boolean: 'checkbox', number: 'number', text: 'text', color: 'color' }[field.type];
+      if (field.type === 'number') {
+        ['min', 'max', 'step'].forEach(attr => {
+          if (typeof field[attr] === 'number') input[attr] = field[attr];
+        });
+      }
+      if (field.type === 'text' && field.maxLength) {
+        input.maxLength = field.maxLength;
+      }
+    }
+    input.id = id;
+    input.className = 'modal-settings__input';
+    input.name = field.key;
+    
+    const error = document.createElement('p');
+    error.className = 'modal-settings__error';
+    error.id = `${id}-error`;
+    error.setAttribute('aria-live', 'polite');
+    error.hidden = true;
+    input.setAttribute('aria-describedby', error.id);
+    
+    input.addEventListener('change', () => {
+      this.set(field.key, this.readInput(field, input));
+    });
+    
+    row.appendChild(label);
+    row.appendChild(input);
+    
+    if (field.description) {
+      const hint = document.createElement('p');
+      hint.className = 'modal-settings__hint';
+      hint.id = `${id}-hint`;
+      hint.textContent = field.description;
+      input.setAttribute('aria-describedby', `${hint.id} ${error.id}`);
+      row.appendChild(hint);
+    }
+    
+    row.appendChild(error);
+    
+    this.fields[field.key] = { input, error };
+    this.updateField(field.key, null);
+    
+    return row;
+  }
+
+  /**
+   * Value of a control in the setting's own type
+   * @private
+   */
+  readInput(field, input) {
+    if (field.type === 'boolean') return input.checked;
+    if (field.type === 'enum') {
+      const option = field.options.find(o => String(o.value) === input.value);
+      return option ? option.value : input.value;
+    }
+    return input.value;
+  }
+
+  /**
+   * Show a setting's value or its validation error
+   * An invalid entry stays in the control so it can be corrected
+   * @private
+   */
+  updateField(key, message) {
+    const field = this.fields[key];
+    if (!field) return;
+    
+    field.error.textContent = message || '';
+    field.error.hidden = !message;
+    
+    if (message) {
+      field.input.setAttribute('aria-invalid', 'true');
+      return;
+    }
+    
+    field.input.removeAttribute('aria-invalid');
+    if (field.input.type === 'checkbox') {
+      field.input.checked = this.values[key];
+    } else {
+      field.input.value = String(this.values[key]);
+    }
+  }
+
   /**
    * Clean up
    */
   destroy() {
     this.elements = {};
+    this.fields = {};
   }
 }
 
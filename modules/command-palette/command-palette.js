@@ -0,0 +1,568 @@
+/**
+ * CommandPalette - Keyboard-driven search over modals, shortcuts and commands
+ * @class
+ * @description Opens with Ctrl+K (Cmd+K on macOS). Items are gathered from
+ * ModalSystem.modals, ShortcutDataStore and the shell's command registry
+ * each time the palette opens; recently used items are listed first.
+ * @version 1.0.0
+ */
+class CommandPalette {
+  constructor(config = {}) {
+    this.shell = config.shell || null;
+    this.store = config.store || null;
+    this.modalSystem = config.modalSystem || null;
+    this.hotkeys = config.hotkeys || null;
+    this.recentKey = config.recentKey || 'ods-palette-recent';
+    this.maxResults = config.maxResults || 50;
+    this.maxRecent = config.maxRecent || 8;
+    
+    this.items = [];
+    this.results = [];
+    this.activeIndex = 0;
+    this.isOpen = false;
+    this.returnFocus = null;
+    
+    this.elements = {
+      overlay: null,
+      dialog: null,
+      input: null,
+      list: null,
+      empty: null
+    };
+    
+    this.eventHandlers = [];
+    
+    this.build();
+    this.bindEvents();
+  }
+  
+  /**
+   * Key combinations that open the palette
+   */
+  static get HOTKEYS() {
+    return ['Ctrl+K', 'Meta+K'];
+  }
+  
+  /**
+   * Labels shown for each item type
+   */
+  static get TYPE_LABELS() {
+    return {
+      modal: 'MODAL',
+      shortcut: 'SHORTCUT',
+      command: 'COMMAND'
+    };
+  }
+  
+  /**
+   * Build DOM structure
+   * @private
+   */
+  build() {
+    const overlay = document.createElement('div');
+    overlay.className = 'command-palette';
+    overlay.hidden = true;
+    // Own layer above modals, kept out of ModalSystem's inert background
+    overlay.dataset.modalLayer = 'command-palette';
+    
+    const dialog = document.createElement('div');
+    dialog.className = 'command-palette__dialog';
+    dialog.setAttribute('role', 'dialog');
+    dialog.setAttribute('aria-modal', 'true');
+    dialog.setAttribute('aria-label', 'Command palette');
+    
+    const input = document.createElement('input');
+    input.className = 'command-palette__input';
+    input.type = 'text';
+    input.placeholder = 'Search modals, shortcuts and commands...';
+    input.autocomplete = 'off';
+    input.spellcheck = false;
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-expanded', 'true');
+    input.setAttribute('aria-controls', 'command-palette-list');
+    input.setAttribute('aria-autocomplete', 'list');
+    
+    const list = document.createElement('ul');
+    list.className = 'command-palette__list';
+    list.id = 'command-palette-list';
+    list.setAttribute('role', 'listbox');
+    list.setAttribute('aria-label', 'Results');
+    
+    const empty = document.createElement('p');
+    empty.className = 'command-palette__empty';
+    empty.textContent = 'NO MATCHES';
+    empty.hidden = true;
+    
+    const hint = document.createElement('p');
+    hint.className = 'command-palette__hint';
+    hint.textContent = '↑↓ SELECT · ENTER RUN · ESC CLOSE';
+    
+    dialog.appendChild(input);
+    dialog.appendChild(list);
+    dialog.appendChild(empty);
+    dialog.appendChild(hint);
+    overlay.appendChild(dialog);
+    
+    this.elements = { overlay, dialog, input, list, empty };
+  }
+  
+  /**
+   * Bind events
+   * @private
+   */
+  bindEvents() {
+    this.registerEventHandler('keydown', this.handleGlobalKeydown);
+    this.registerEventHandler('input', () => this.search(this.elements.input.value), this.elements.input);
+    this.registerEventHandler('keydown', this.handleInputKeydown, this.elements.input);
+    
+    // Click outside the dialog closes
+    this.registerEventHandler('mousedown', (e) => {
+      if (e.target === this.elements.overlay) {
+        this.close();
+      }
+    }, this.elements.overlay);
+  }
+  
+  /**
+   * Register event handler with cleanup tracking
+   * @private
+   */
+  registerEventHandler(event, handler, element = document) {
+    const boundHandler = handler.bind(this);
+    element.addEventListener(event, boundHandler);
+    this.eventHandlers.push({ event, handler: boundHandler, element });
+  }
+  
+  /**
+   * Reserve the palette's combinations so shortcuts cannot take them
+   * @private
+   */
+  reserveHotkeys() {
+    if (!this.hotkeys) return;
+    CommandPalette.HOTKEYS.forEach(combo => this.hotkeys.reserve(combo, 'Command palette'));
+  }
+  
+  /**
+   * Toggle the palette on Ctrl+K / Cmd+K
+   * @private
+   */
+  handleGlobalKeydown(e) {
+    if (e.defaultPrevented || (this.hotkeys && this.hotkeys.isRecording())) return;
+    if (typeof HotkeyManager === 'undefined') {
+      if (!(e.key === 'k' || e.key === 'K') || !(e.ctrlKey || e.metaKey) || e.altKey || e.shiftKey) return;
+    } else if (!CommandPalette.HOTKEYS.includes(HotkeyManager.fromEvent(e))) {
+      return;
+    }
+    
+    e.preventDefault();
+    if (this.isOpen) {
+      this.close();
+    } else {
+      this.open();
+    }
+  }
+  
+  /**
+   * Keyboard navigation inside the palette
+   * Events stop here so Escape does not also close an open modal
+   * @private
+   */
+  handleInputKeydown(e) {
+    let handled = true;
+    
+    switch (e.key) {
+      case 'ArrowDown':
+        this.setActive(this.activeIndex + 1);
+        break;
+      case 'ArrowUp':
+        this.setActive(this.activeIndex - 1);
+        break;
+      case 'PageDown':
+        this.setActive(Math.min(this.activeIndex + 5, this.results.length - 1));
+        break;
+      case 'PageUp':
+        this.setActive(Math.max(this.activeIndex - 5, 0));
+        break;
+      case 'Enter':
+        this.runActive();
+        break;
+      case 'Escape':
+        this.close();
+        break;
+      case 'Tab':
+        // Focus stays in the search field
+        break;
+      default:
+        handled = false;
+    }
+    
+    if (handled) {
+      e.preventDefault();
+      e.stopPropagation();
+    }
+  }
+  
+  /**
+   * Open the palette
+   */
+  open() {
+    if (this.isOpen) return;
+    
+    if (!this.elements.overlay.parentNode) {
+      document.body.appendChild(this.elements.overlay);
+    }
+    
+    this.returnFocus = document.activeElement;
+    this.items = this.collectItems();
+    this.isOpen = true;
+    this.elements.overlay.hidden = false;
+    this.elements.input.value = '';
+    this.search('');
+    this.elements.input.focus();
+    
+    this.dispatchEvent('command-palette-opened', { itemCount: this.items.length });
+  }
+  
+  /**
+   * Close the palette
+   * @param {boolean} restoreFocus - Return focus to where it was
+   */
+  close(restoreFocus = true) {
+    if (!this.isOpen) return;
+    
+    this.isOpen = false;
+    this.elements.overlay.hidden = true;
+    this.elements.input.removeAttribute('aria-activedescendant');
+    
+    if (restoreFocus && this.returnFocus && typeof this.returnFocus.focus === 'function') {
+      this.returnFocus.focus();
+    }
+    this.returnFocus = null;
+    
+    this.dispatchEvent('command-palette-closed');
+  }
+  
+  /**
+   * Gather everything the palette can run
+   * @returns {Array<Object>} Items { id, type, title, detail, hotkey, run }
+   */
+  collectItems() {
+    const items = [];
+    const actions = window.ODS && window.ODS.actions;
+    const modalSystem = this.modalSystem || (window.ODS && window.ODS.modalSystem);
+    
+    if (modalSystem && modalSystem.modals) {
+      modalSystem.modals.forEach((modal, modalId) => {
+        items.push({
+          id: `modal:${modalId}`,
+          type: 'modal',
+          title: modal.config.title,
+          detail: `Open ${modalId}`,
+          hotkey: null,
+          run: () => (actions
+            ? actions.execute({ type: 'modal', target: modalId })
+            : modalSystem.open(modalId))
+        });
+      });
+    }
+    
+    if (this.store) {
+      this.store.load().forEach(shortcut => {
+        items.push({
+          id: `shortcut:${shortcut.id}`,
+          type: 'shortcut',
+          title: shortcut.label,
+          detail: this.store.describeAction(shortcut.action),
+          hotkey: shortcut.hotkey || null,
+          run: () => {
+            if (!actions) throw new Error('Action registry not available');
+            return actions.execute(shortcut.action);
+          }
+        });
+      });
+    }
+    
+    if (this.shell && typeof this.shell.getCommands === 'function') {
+      this.shell.getCommands().forEach(command => {
+        items.push({
+          id: `command:${command.id}`,
+          type: 'command',
+          title: command.title,
+          detail: command.id,
+          hotkey: null,
+          run: () => this.shell.executeCommand(command.id)
+        });
+      });
+    }
+    
+    return items;
+  }
+  
+  /**
+   * Fuzzy match a query against text
+   * Every query character must appear in order; consecutive characters,
+   * word starts and a match at the start score higher
+   * @param {string} query - Lowercase query
+   * @param {string} text - Text to search
+   * @returns {number} Score, or -1 when the text does not match
+   */
+  static score(query, text) {
+    if (!query) return 0;
+    if (!text) return -1;
+    
+    const haystack = String(text).toLowerCase();
+    let score = 0;
+    let position = 0;
+    let previous = -2;
+    
+    for (const char of query) {
+      if (char === ' ') continue;
+      
+      const index = haystack.indexOf(char, position);
+      if (index === -1) return -1;
+      
+      score += 1;
+      if (index === previous + 1) score += 5;
+      if (index === 0 || /[\s\-_.:/]/.test(haystack[index - 1])) score += 3;
+      
+      previous = index;
+      position = index + 1;
+    }
+    
+    if (haystack.startsWith(query)) score += 10;
+    
+    // Prefer shorter texts for equal matches
+    return score - haystack.length * 0.01;
+  }
+  
+  /**
+   * Filter and rank items for a query
+   * With no query, recent items come first in the order they were used
+   * @param {string} query - Search text
+   * @returns {Array<Object>} Matching items
+   */
+  search(query) {
+    const recent = this.getRecent();
+    const text = (query || '').trim().toLowerCase();
+    
+    const ranked = this.items
+      .map(item => {
+        const recentIndex = recent.indexOf(item.id);
+        const titleScore = CommandPalette.score(text, item.title);
+        const detailScore = CommandPalette.score(text, item.detail);
+        const best = Math.max(titleScore, detailScore === -1 ? -1 : detailScore * 0.5);
+        return {
+          item,
+          score: best,
+          recent: recentIndex === -1 ? Infinity : recentIndex
+        };
+      })
+      .filter(entry => entry.score >= 0)
+      .sort((a, b) => {
+        if (!text) {
+          return (a.recent - b.recent) || a.item.title.localeCompare(b.item.title);
+        }
+        const recentBonus = (entry) => (entry.recent === Infinity ? 0 : 2);
+        return (b.score + recentBonus(b)) - (a.score + recentBonus(a)) || a.item.title.localeCompare(b.item.title);
+      })
+      .slice(0, this.maxResults);
+    
+    this.results = ranked.map(entry => ({ ...entry.item, recent: entry.recent !== Infinity }));
+    this.activeIndex = 0;
+    this.render();
+    
+    return this.results;
+  }
+  
+  /**
+   * Draw the result list
+   * @private
+   */
+  render() {
+    const { list, empty, input } = this.elements;
+    list.innerHTML = '';
+    
+    this.results.forEach((item, index) => {
+      const option = document.createElement('li');
+      option.className = 'command-palette__item';
+      option.id = `command-palette-item-${index}`;
+      option.setAttribute('role', 'option');
+      option.dataset.itemId = item.id;
+      
+      const type = document.createElement('span');
+      type.className = 'command-palette__type';
+      type.textContent = CommandPalette.TYPE_LABELS[item.type] || item.type.toUpperCase();
+      
+      const title = document.createElement('span');
+      title.className = 'command-palette__title';
+      title.textContent = item.title;
+      
+      const detail = document.createElement('span');
+      detail.className = 'command-palette__detail';
+      detail.textContent = item.recent ? `${item.detail} · recent` : item.detail;
+      
+      option.appendChild(type);
+      option.appendChild(title);
+      option.appendChild(detail);
+      
+      if (item.hotkey) {
+        const hotkey = document.createElement('kbd');
+        hotkey.className = 'command-palette__hotkey';
+        hotkey.textContent = item.hotkey;
+        option.appendChild(hotkey);
+      }
+      
+      option.addEventListener('mousemove', () => {
+        if (this.activeIndex !== index) this.setActive(index);
+      });
+      option.addEventListener('click', () => {
+        this.setActive(index);
+        this.runActive();
+      });
+      
+      list.appendChild(option);
+    });
+    
+    empty.hidden = this.results.length > 0;
+    input.setAttribute('aria-expanded', this.results.length > 0 ? 'true' : 'false');
+    this.setActive(this.activeIndex);
+  }
+  
+  /**
+   * Highlight a result, wrapping at either end
+   * @param {number} index - Result index
+   */
+  setActive(index) {
+    const options = this.elements.list.children;
+    
+    if (this.results.length === 0) {
+      this.activeIndex = 0;
+      this.elements.input.removeAttribute('aria-activedescendant');
+      return;
+    }
+    
+    const count = this.results.length;
+    this.activeIndex = ((index % count) + count) % count;
+    
+    Array.from(options).forEach((option, i) => {
+      const active = i === this.activeIndex;
+      option.classList.toggle('command-palette__item--active', active);
+      option.setAttribute('aria-selected', active ? 'true' : 'false');
+    });
+    
+    const activeOption = options[this.activeIndex];
+    this.elements.input.setAttribute('aria-activedescendant', activeOption.id);
+    if (typeof activeOption.scrollIntoView === 'function') {
+      activeOption.scrollIntoView({ block: 'nearest' });
+    }
+  }
+  
+  /**
+   * Run the highlighted result
+   * @returns {Promise<boolean>} Whether the item ran without error
+   */
+  async runActive() {
+    const item = this.results[this.activeIndex];
+    if (!item) return false;
+    
+    // The item may open a modal that takes focus
+    this.close(false);
+    this.addRecent(item.id);
+    
+    this.dispatchEvent('command-palette-executed', {
+      itemId: item.id,
+      type: item.type
+    });
+    
+    try {
+      const result = await item.run();
+      return result !== false;
+    } catch (e) {
+      console.error(`Failed to run ${item.id}:`, e);
+      return false;
+    }
+  }
+  
+  /**
+   * Get recently used item IDs, most recent first
+   * @returns {Array<string>}
+   */
+  getRecent() {
+    try {
+      const recent = window.ODS.storage.readSync(this.recentKey, []);
+      return Array.isArray(recent) ? recent : [];
+    } catch (e) {
+      console.error('Failed to load recent commands:', e);
+      return [];
+    }
+  }
+  
+  /**
+   * Move an item to the front of the recent list
+   * @param {string} itemId - Item ID
+   */
+  addRecent(itemId) {
+    const recent = [itemId, ...this.getRecent().filter(id => id !== itemId)].slice(0, this.maxRecent);
+    
+    try {
+      window.ODS.storage.writeSync(this.recentKey, recent);
+    } catch (e) {
+      console.error('Failed to save recent commands:', e);
+    }
+  }
+  
+  /**
+   * Dispatch palette event
+   * @private
+   */
+  dispatchEvent(name, detail = {}) {
+    document.dispatchEvent(new CustomEvent(name, {
+      detail: { ...detail, timestamp: Date.now() },
+      bubbles: true
+    }));
+  }
+  
+  /**
+   * Attach to the page and reserve the palette hotkeys
+   */
+  mount() {
+    if (!this.elements.overlay.parentNode) {
+      document.body.appendChild(this.elements.overlay);
+    }
+    this.reserveHotkeys();
+  }
+  
+  /**
+   * Get overlay element
+   * @returns {HTMLElement}
+   */
+  getElement() {
+    return this.elements.overlay;
+  }
+  
+  /**
+   * Destroy palette
+   */
+  destroy() {
+    this.close(false);
+    
+    this.eventHandlers.forEach(({ event, handler, element }) => {
+      element.removeEventListener(event, handler);
+    });
+    this.eventHandlers = [];
+    
+    if (this.hotkeys) {
+      CommandPalette.HOTKEYS.forEach(combo => this.hotkeys.release(combo));
+    }
+    
+    if (this.elements.overlay && this.elements.overlay.parentNode) {
+      this.elements.overlay.parentNode.removeChild(this.elements.overlay);
+    }
+    this.elements = {};
+  }
+}
+
+// Export for modules if available
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = CommandPalette;
+}
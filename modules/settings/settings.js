@@ -0,0 +1,156 @@
+/**
+ * SettingsModule - Modal module for shell-wide settings
+ * @class
+ * @description Hosts settings that belong to the shell rather than one
+ * module; starts with the ThemeSettings theme picker
+ * @version 1.0.0
+ */
+class SettingsModule {
+  constructor(config = {}) {
+    // Configuration
+    this.modalId = config.modalId || 'settings';
+    this.title = config.title || 'Settings';
+    this.theme = config.theme || window.opsTheme || null;
+    
+    // State
+    this.modal = null;
+    this.themeSettings = null;
+    this.commandIds = [];
+    this.shell = null;
+    
+    // Re-list theme commands when custom themes change
+    this.onThemesChanged = () => this.registerThemeCommands(this.shell);
+    
+    // DOM elements
+    this.elements = {
+      container: null
+    };
+    
+    // Build on construction
+    this.build();
+  }
+  
+  /**
+   * Build DOM structure
+   * @returns {HTMLElement} Container element
+   */
+  build() {
+    const container = document.createElement('div');
+    container.className = 'settings-module';
+    
+    if (typeof ThemeSettings !== 'undefined') {
+      this.themeSettings = new ThemeSettings({
+        modalId: this.modalId,
+        modalTitle: this.title,
+        theme: this.theme,
+        defaultExpanded: true
+      });
+      this.themeSettings.mount(container);
+    }
+    
+    this.elements.container = container;
+    
+    return container;
+  }
+  
+  /**
+   * Module definition for ODSShell.registerModule
+   * @returns {Object} Module definition
+   */
+  getModule() {
+    return {
+      id: 'settings',
+      title: this.title,
+      modal: {
+        id: this.modalId,
+        content: this.elements.container,
+        onOpen: () => this.themeSettings && this.themeSettings.refresh()
+      },
+      mount: (context) => {
+        this.modal = context.modal;
+        if (context.shell) {
+          this.shell = context.shell;
+          this.registerThemeCommands(context.shell);
+          document.addEventListener('themes-changed', this.onThemesChanged);
+        }
+      },
+      unmount: () => {
+        document.removeEventListener('themes-changed', this.onThemesChanged);
+        this.unregisterThemeCommands();
+        this.shell = null;
+      },
+      destroy: () => this.destroy()
+    };
+  }
+  
+  /**
+   * One palette command per registered theme
+   * @private
+   */
+  registerThemeCommands(shell) {
+    if (!this.theme || !shell) return;
+    
+    this.unregisterThemeCommands();
+    
+    const modes = this.theme.getThemes().map(theme => ({ name: theme.name, label: theme.label || theme.name }));
+    if (this.theme.AUTO) {
+      modes.unshift({ name: this.theme.AUTO, label: 'Auto (system)' });
+    }
+    
+    modes.forEach(mode => {
+      const id = `theme.${mode.name}`;
+      shell.registerCommand({
+        id: id,
+        title: `Theme: ${mode.label}`,
+        when: () => this.theme.getMode() !== mode.name,
+        run: () => this.theme.setTheme(mode.name)
+      });
+      this.commandIds.push(id);
+    });
+  }
+  
+  /**
+   * Remove the palette commands added by registerThemeCommands
+   * @private
+   */
+  unregisterThemeCommands() {
+    if (this.shell) {
+      this.commandIds.forEach(id => this.shell.unregisterCommand(id));
+    }
+    this.commandIds = [];
+  }
+  
+  /**
+   * Open the settings modal
+   * @returns {Promise<boolean>} Resolves once the modal has opened
+   */
+  open() {
+    const modalSystem = window.ODS && window.ODS.modalSystem;
+    if (!modalSystem || !modalSystem.hasModal(this.modalId)) {
+      console.warn('SettingsModule: Modal not registered');
+      return Promise.resolve(false);
+    }
+    
+    return modalSystem.open(this.modalId);
+  }
+  
+  /**
+   * Destroy and cleanup
+   */
+  destroy() {
+    document.removeEventListener('themes-changed', this.onThemesChanged);
+    
+    if (this.themeSettings) {
+      this.themeSettings.destroy();
+      this.themeSettings = null;
+    }
+    
+    this.modal = null;
+    this.elements = {};
+  }
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = SettingsModule;
+}
@@ -15,14 +15,40 @@ class ShortcutSettings extends ModalSettings {
     });
     
     // Shortcut-specific element references
+    // Parent constructor already ran initialize(), so keep refs it set
     this.elements = {
-      ...this.elements,
       description: null,
       toggleArea: null,
       inputArea: null,
       previewArea: null,
-      positionArea: null
+      positionArea: null,
+      hotkeyArea: null,
+      toggle: null,
+      label: null,
+      preview: null,
+      hotkey: null,
+      ...this.elements
     };
+    
+    // Services (supplied by the module registry); panels without a store
+    // share one, as each store saves from its own cache
+    this.store = config.store || ShortcutSettings.getSharedStore();
+    this.hotkeys = config.hotkeys || null;
+    this.recordingHotkey = false;
+    
+    this.refresh();
+  }
+  
+  /**
+   * Store used by panels created without one
+   * Created on first use
+   * @returns {ShortcutDataStore|null}
+   */
+  static getSharedStore() {
+    if (!ShortcutSettings.sharedStore && typeof ShortcutDataStore !== 'undefined') {
+      ShortcutSettings.sharedStore = new ShortcutDataStore();
+    }
+    return ShortcutSettings.sharedStore || null;
   }
   
   /**
@@ -54,34 +80,160 @@ class ShortcutSettings extends ModalSettings {
       }
     }
     
-    // Add toggle area placeholder
-    this.elements.toggleArea = this.addPlaceholder(
-      '[Toggle Checkbox Component Will Go Here]',
-      'shortcut-settings__toggle-area'
-    );
+    // Add shortcut toggle
+    this.buildToggleArea();
     
-    // Add position area (hidden by default)
+    // Add position area (hidden until the shortcut is enabled)
     const positionArea = document.createElement('div');
     positionArea.className = 'shortcut-settings__position-area';
     positionArea.style.display = 'none';
-    positionArea.innerHTML = `
-      <div class="modal-settings__placeholder">
-        [Position Info Will Appear Here When Enabled]
-      </div>
-    `;
     this.elements.positionArea = this.addSection(positionArea);
     
-    // Add input area placeholder
-    this.elements.inputArea = this.addPlaceholder(
-      '[Label Input Field Component Will Go Here]',
-      'shortcut-settings__input-area'
-    );
+    // Add label input and button preview
+    this.buildInputArea();
+    this.buildPreviewArea();
     
-    // Add preview area placeholder
-    this.elements.previewArea = this.addPlaceholder(
-      '[Button Preview Component Will Go Here]',
-      'shortcut-settings__preview-area'
-    );
+    // Add hotkey recorder
+    this.buildHotkeyArea();
+  }
+  
+  /**
+   * Build the shortcut bar toggle
+   * @private
+   */
+  buildToggleArea() {
+    const area = document.createElement('div');
+    area.className = 'shortcut-settings__toggle-area';
+    
+    const label = document.createElement('label');
+    label.className = 'shortcut-settings__toggle';
+    
+    const input = document.createElement('input');
+    input.type = 'checkbox';
+    input.className = 'shortcut-settings__toggle-input';
+    input.addEventListener('change', () => this.setEnabled(input.checked));
+    
+    const text = document.createElement('span');
+    text.className = 'shortcut-settings__toggle-text';
+    text.textContent = 'SHOW IN SHORTCUT BAR';
+    
+    label.appendChild(input);
+    label.appendChild(text);
+    area.appendChild(label);
+    
+    this.elements.toggleArea = this.addSection(area);
+    this.elements.toggle = input;
+  }
+  
+  /**
+   * Build the label input with its character count
+   * @private
+   */
+  buildInputArea() {
+    const area = document.createElement('div');
+    area.className = 'shortcut-settings__input-area';
+    
+    const id = `shortcut-label-${this.modalId}`;
+    const maxLength = ShortcutSettings.getMaxLabelLength();
+    
+    const label = document.createElement('label');
+    label.className = 'shortcut-settings__input-label';
+    label.htmlFor = id;
+    label.textContent = 'LABEL';
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.id = id;
+    input.className = 'shortcut-settings__label-input';
+    input.maxLength = maxLength;
+    input.autocomplete = 'off';
+    input.spellcheck = false;
+    
+    const count = document.createElement('span');
+    count.className = 'shortcut-settings__label-count';
+    count.id = `${id}-count`;
+    input.setAttribute('aria-describedby', count.id);
+    
+    // Preview while typing, save on commit (Enter or leaving the field)
+    input.addEventListener('input', () => this.renderPreview(input.value));
+    input.addEventListener('change', () => this.setLabel(input.value));
+    
+    area.appendChild(label);
+    area.appendChild(input);
+    area.appendChild(count);
+    
+    this.elements.inputArea = this.addSection(area);
+    this.elements.label = { input, count };
+  }
+  
+  /**
+   * Build the button preview
+   * @private
+   */
+  buildPreviewArea() {
+    const area = document.createElement('div');
+    area.className = 'shortcut-settings__preview-area';
+    
+    const caption = document.createElement('span');
+    caption.className = 'shortcut-settings__preview-caption';
+    caption.textContent = 'PREVIEW';
+    
+    // Same list markup as the bar so its styles apply unchanged
+    const preview = document.createElement('div');
+    preview.className = 'shortcut-bar__list shortcut-settings__preview';
+    preview.setAttribute('aria-hidden', 'true');
+    
+    area.appendChild(caption);
+    area.appendChild(preview);
+    
+    this.elements.previewArea = this.addSection(area);
+    this.elements.preview = preview;
+  }
+  
+  /**
+   * Build the hotkey display and recorder
+   * @private
+   */
+  buildHotkeyArea() {
+    const area = document.createElement('div');
+    area.className = 'shortcut-settings__hotkey-area';
+    
+    const label = document.createElement('span');
+    label.className = 'shortcut-settings__hotkey-label';
+    label.textContent = 'HOTKEY';
+    
+    const value = document.createElement('kbd');
+    value.className = 'shortcut-settings__hotkey-value';
+    value.textContent = 'NONE';
+    
+    const record = this.createHotkeyButton('RECORD', () => this.recordHotkey());
+    const clear = this.createHotkeyButton('CLEAR', () => this.clearHotkey());
+    
+    const message = document.createElement('p');
+    message.className = 'shortcut-settings__hotkey-message';
+    message.setAttribute('role', 'status');
+    
+    area.appendChild(label);
+    area.appendChild(value);
+    area.appendChild(record);
+    area.appendChild(clear);
+    area.appendChild(message);
+    
+    this.elements.hotkeyArea = this.addSection(area);
+    this.elements.hotkey = { value, record, clear, message };
+  }
+  
+  /**
+   * Create a hotkey recorder button
+   * @private
+   */
+  createHotkeyButton(text, onClick) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'shortcut-settings__hotkey-button';
+    button.textContent = text;
+    button.addEventListener('click', onClick);
+    return button;
   }
   
   /**
@@ -115,16 +267,13 @@ class ShortcutSettings extends ModalSettings {
     
     if (event.detail && event.detail.shortcuts) {
       const shortcuts = event.detail.shortcuts;
-      const myShortcut = shortcuts.find(s => s.action?.target === this.modalId);
+      const myShortcut = shortcuts.find(s => s.action?.type === 'modal' && s.action.target === this.modalId);
       
-      if (myShortcut) {
-        console.log(`Found shortcut for ${this.modalId}:`, myShortcut);
-        if (myShortcut.enabled) {
-          this.updatePositionInfo(myShortcut.position, true);
-        } else {
-          this.updatePositionInfo(0, false);
-        }
-      }
+      this.refreshControls(myShortcut || null);
+    }
+    
+    if (!this.recordingHotkey) {
+      this.refreshHotkey();
     }
   }
   
@@ -147,11 +296,11 @@ class ShortcutSettings extends ModalSettings {
   updatePositionInfo(position, show = false) {
     if (show) {
       this.elements.positionArea.style.display = 'block';
-      this.elements.positionArea.innerHTML = `
+      SafeContent.render(this.elements.positionArea, SafeContent.html`
         <div class="shortcut-settings__position-info">
           Position ${position} → <span class="modal-settings__link">Organize shortcuts</span>
         </div>
-      `;
+      `);
       
       // Add click handler to organize link in position info
       const orgLink = this.elements.positionArea.querySelector('.modal-settings__link');
@@ -166,64 +315,218 @@ class ShortcutSettings extends ModalSettings {
     }
   }
   
-  // Placeholder methods for future component integration
-  
   /**
-   * Set toggle component (future implementation)
-   * @param {Object} toggleComponent - Toggle checkbox component
+   * Get the shortcut that opens this modal
+   * @returns {Object|null} Shortcut record
    */
-  setToggleComponent(toggleComponent) {
-    console.log('Toggle component integration point');
+  getShortcut() {
+    return this.store ? this.store.getShortcut(this.modalId) : null;
   }
   
   /**
-   * Set input component (future implementation)
-   * @param {Object} inputComponent - Label input component
+   * Longest label the store keeps
+   * @returns {number}
    */
-  setInputComponent(inputComponent) {
-    console.log('Input component integration point');
+  static getMaxLabelLength() {
+    return typeof ShortcutDataStore !== 'undefined' ? ShortcutDataStore.MAX_LABEL_LENGTH : 20;
   }
   
   /**
-   * Set preview component (future implementation)
-   * @param {Object} previewComponent - Button preview component
+   * Bring every control in line with the stored shortcut
    */
-  setPreviewComponent(previewComponent) {
-    console.log('Preview component integration point');
+  refresh() {
+    this.refreshControls(this.getShortcut());
+    this.refreshHotkey();
   }
   
-  // Test methods (temporary)
-  
   /**
-   * Simulate toggle change (for testing only)
+   * Show a shortcut in the toggle, label input, preview and position info
+   * @param {Object|null} shortcut - Shortcut record, null if none exists
+   * @private
    */
-  simulateToggle(enabled) {
-    console.log(`Simulating toggle ${enabled ? 'ON' : 'OFF'} for ${this.modalId}`);
+  refreshControls(shortcut) {
+    const { toggle, label } = this.elements;
+    if (!toggle || !label) return;
     
-    this.dispatchEvent('shortcut-settings-change', {
-      action: enabled ? 'enable' : 'disable',
-      enabled: enabled,
-      label: this.modalTitle.substring(0, 3).toUpperCase()
-    });
+    const enabled = !!(shortcut && shortcut.enabled);
+    toggle.checked = enabled;
+    toggle.disabled = !this.store;
+    
+    // Don't overwrite a label the user is still typing
+    if (document.activeElement !== label.input) {
+      label.input.value = shortcut ? shortcut.label : '';
+    }
+    label.input.disabled = !enabled;
+    label.input.placeholder = enabled ? '' : 'TURN ON TO EDIT';
+    
+    this.renderPreview(label.input.value, shortcut);
     
     if (enabled) {
-      const position = Math.floor(Math.random() * 10);
-      this.updatePositionInfo(position, true);
+      this.updatePositionInfo(shortcut.position, true);
     } else {
       this.updatePositionInfo(0, false);
     }
   }
   
   /**
-   * Simulate label change (for testing only)
+   * Render the preview button exactly as the shortcut bar would
+   * @param {string} label - Label as typed; cleaned the way the store saves it
+   * @param {Object|null} shortcut - Shortcut record (defaults to the stored one)
    */
-  simulateLabelChange(label) {
-    console.log(`Simulating label change to "${label}" for ${this.modalId}`);
+  renderPreview(label, shortcut = this.getShortcut()) {
+    const { preview, label: labelField } = this.elements;
+    if (!preview) return;
     
-    this.dispatchEvent('shortcut-settings-change', {
-      action: 'update-label',
-      label: label
-    });
+    const maxLength = ShortcutSettings.getMaxLabelLength();
+    const typed = label || '';
+    labelField.count.textContent = `${typed.length}/${maxLength}`;
+    
+    const fallback = this.store ? this.store.generateDefaultLabel(this.modalTitle) : 'XX';
+    const record = {
+      id: shortcut ? shortcut.id : `shortcut-${this.modalId}`,
+      hotkey: shortcut ? shortcut.hotkey : null,
+      label: shortcut && this.store ? this.store.validateLabel(typed) : fallback
+    };
+    
+    preview.textContent = '';
+    if (typeof ShortcutBar !== 'undefined') {
+      const button = ShortcutBar.createButton(record);
+      button.tabIndex = -1;
+      preview.appendChild(button);
+    } else {
+      preview.textContent = record.label;
+    }
+    preview.classList.toggle('shortcut-settings__preview--off', !(shortcut && shortcut.enabled));
+  }
+  
+  /**
+   * Turn this modal's shortcut on or off
+   * @param {boolean} enabled
+   * @returns {boolean} Whether the store saved the change
+   */
+  setEnabled(enabled) {
+    if (!this.store) return false;
+    
+    const saved = this.store.toggle(this.modalId, enabled, this.modalTitle);
+    const shortcut = this.getShortcut();
+    
+    if (saved) {
+      this.dispatchEvent('shortcut-settings-change', {
+        action: enabled ? 'enable' : 'disable',
+        enabled: enabled,
+        label: shortcut ? shortcut.label : null
+      });
+    }
+    
+    this.refresh();
+    return saved;
+  }
+  
+  /**
+   * Save a new label for this modal's shortcut
+   * The store trims it, truncates it and falls back to XX when empty
+   * @param {string} label
+   * @returns {boolean} Whether the store saved the change
+   */
+  setLabel(label) {
+    if (!this.store || !this.getShortcut()) return false;
+    
+    const saved = this.store.updateLabel(this.modalId, label);
+    const shortcut = this.getShortcut();
+    
+    if (saved) {
+      this.dispatchEvent('shortcut-settings-change', {
+        action: 'update-label',
+        label: shortcut.label
+      });
+    }
+    
+    this.elements.label.input.value = shortcut.label;
+    this.refresh();
+    return saved;
+  }
+  
+  /**
+   * Show the current hotkey and recorder state
+   * @param {string} message - Status message to announce
+   */
+  refreshHotkey(message = '') {
+    const hotkey = this.elements.hotkey;
+    if (!hotkey) return;
+    
+    const shortcut = this.getShortcut();
+    
+    hotkey.value.textContent = shortcut && shortcut.hotkey ? shortcut.hotkey : 'NONE';
+    hotkey.record.textContent = 'RECORD';
+    hotkey.record.disabled = !shortcut || !this.hotkeys;
+    hotkey.clear.disabled = !shortcut || !shortcut.hotkey || !this.hotkeys;
+    
+    if (!message && !this.hotkeys) {
+      message = 'Hotkeys are not available.';
+    } else if (!message && !shortcut) {
+      message = 'Turn on this shortcut to assign a hotkey.';
+    }
+    hotkey.message.textContent = message;
+  }
+  
+  /**
+   * Record the next key combination as this shortcut's hotkey
+   */
+  recordHotkey() {
+    const shortcut = this.getShortcut();
+    if (!shortcut || !this.hotkeys) return;
+    
+    this.recordingHotkey = true;
+    this.elements.hotkey.record.textContent = 'PRESS KEYS';
+    this.elements.hotkey.message.textContent = 'Press a key combination, or Escape to cancel.';
+    
+    this.hotkeys.startRecording(
+      (combo) => {
+        this.recordingHotkey = false;
+        const result = this.hotkeys.assign(shortcut.id, combo);
+        this.refreshHotkey(result.success ? `Hotkey set to ${result.hotkey}.` : result.error);
+        
+        if (result.success) {
+          this.dispatchEvent('shortcut-settings-change', {
+            action: 'update-hotkey',
+            hotkey: result.hotkey
+          });
+        }
+      },
+      () => {
+        this.recordingHotkey = false;
+        this.refreshHotkey();
+      }
+    );
+  }
+  
+  /**
+   * Remove this shortcut's hotkey
+   */
+  clearHotkey() {
+    const shortcut = this.getShortcut();
+    if (!shortcut || !this.hotkeys) return;
+    
+    const result = this.hotkeys.assign(shortcut.id, null);
+    this.refreshHotkey(result.success ? 'Hotkey cleared.' : result.error);
+    
+    if (result.success) {
+      this.dispatchEvent('shortcut-settings-change', {
+        action: 'update-hotkey',
+        hotkey: null
+      });
+    }
+  }
+  
+  /**
+   * Destroy and cleanup
+   * @override
+   */
+  destroy() {
+    if (this.recordingHotkey && this.hotkeys) {
+      this.hotkeys.stopRecording();
+    }
+    super.destroy();
   }
 }
 
@@ -0,0 +1,142 @@
+/**
+ * ThemeSettings - Settings panel for choosing the shell theme
+ * @class
+ * @extends ModalSettings
+ * @description Theme picker over the ops.theme registry; stays in sync
+ * with theme changes made elsewhere and links to the theme editor
+ * @version 1.0.0
+ */
+class ThemeSettings extends ModalSettings {
+  constructor(config = {}) {
+    // Call parent constructor with theme-specific title
+    super({
+      ...config,
+      title: 'THEME SETTINGS',
+      storageKey: config.storageKey || 'theme-settings-state'
+    });
+    
+    // Theme-specific element references
+    this.elements = {
+      description: null,
+      picker: null,
+      editor: null,
+      ...this.elements
+    };
+    
+    // ops.theme instance; parent constructor ran before this was set
+    this.theme = config.theme || window.opsTheme || null;
+    this.picker = null;
+    this.editorButton = null;
+    
+    this.buildThemeContent();
+    this.initializeThemeEvents();
+  }
+  
+  /**
+   * Build theme-specific content
+   * @private
+   */
+  buildThemeContent() {
+    this.elements.description = this.addDescription(
+      'Choose the colors used across the shell. Auto follows the system light/dark and contrast settings. The choice is saved on this device.'
+    );
+    
+    if (!this.theme) {
+      this.addPlaceholder('[Theme system not loaded]');
+      return;
+    }
+    
+    this.picker = new SelectField({
+      id: `theme-picker-${this.modalId}`,
+      name: 'theme',
+      label: 'THEME',
+      options: this.getThemeOptions(),
+      value: this.getMode(),
+      onChange: (name) => this.setTheme(name)
+    });
+    this.elements.picker = this.addSection(this.picker, 'theme-settings__picker');
+    
+    this.editorButton = new ActionButton({
+      id: `theme-editor-link-${this.modalId}`,
+      text: 'EDIT THEMES',
+      onClick: () => this.onEditRequest()
+    });
+    this.elements.editor = this.addSection(this.editorButton, 'theme-settings__editor');
+  }
+  
+  /**
+   * Picker options from the theme registry
+   * @private
+   * @returns {Array<Object>} { value, label } pairs
+   */
+  getThemeOptions() {
+    const options = this.theme.getThemes().map(theme => ({
+      value: theme.name,
+      label: theme.label || theme.name
+    }));
+    
+    if (this.theme.AUTO) {
+      options.unshift({ value: this.theme.AUTO, label: 'Auto (system)' });
+    }
+    
+    return options;
+  }
+  
+  /**
+   * Chosen mode: a theme name, or auto
+   * @private
+   */
+  getMode() {
+    return typeof this.theme.getMode === 'function' ? this.theme.getMode() : this.theme.getThemeName();
+  }
+  
+  /**
+   * Initialize theme-specific events
+   * @private
+   */
+  initializeThemeEvents() {
+    // Themes switched from elsewhere (command palette, system in auto mode)
+    this.registerEventHandler('theme-changed', () => this.refresh());
+    // Custom themes added, imported or deleted in the editor
+    this.registerEventHandler('themes-changed', () => this.refresh());
+  }
+  
+  /**
+   * Handle edit themes request
+   */
+  onEditRequest() {
+    this.dispatchEvent('open-theme-editor', {
+      source: this.modalId
+    });
+  }
+  
+  /**
+   * Apply a theme through ops.theme
+   * @param {string} name - Theme name or auto
+   * @returns {boolean} Whether the theme exists
+   */
+  setTheme(name) {
+    if (!this.theme) return false;
+    
+    const applied = this.theme.setTheme(name);
+    if (applied) {
+      this.dispatchEvent('theme-settings-change', { theme: name });
+    }
+    return applied;
+  }
+  
+  /**
+   * Re-read the theme list and the active theme
+   */
+  refresh() {
+    if (!this.picker || !this.theme) return;
+    
+    this.picker.setOptions(this.getThemeOptions());
+    this.picker.setValue(this.getMode(), { silent: true });
+  }
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ThemeSettings;
+}
@@ -0,0 +1,536 @@
+/**
+ * ShortcutOrganization - Modal module for arranging shortcuts
+ * @class
+ * @description Lists every shortcut with drag/keyboard reordering, visibility, rename and delete
+ * @version 1.0.0
+ */
+class ShortcutOrganization {
+  constructor(config = {}) {
+    // Configuration
+    this.modalId = config.modalId || 'shortcut-organization';
+    this.title = config.title || 'Shortcut Organization';
+    this.store = config.store || new ShortcutDataStore();
+    
+    // State
+    this.dragId = null;
+    this.armedDeleteId = null;
+    this.modal = null;
+    
+    // DOM elements
+    this.elements = {
+      container: null,
+      list: null,
+      empty: null,
+      status: null
+    };
+    
+    // Event handling
+    this.eventHandlers = [];
+    
+    // Build on construction
+    this.build();
+    this.bindEvents();
+    this.render();
+  }
+  
+  /**
+   * Build DOM structure
+   * @returns {HTMLElement} Container element
+   */
+  build() {
+    const container = document.createElement('div');
+    container.className = 'shortcut-org';
+    
+    // Instructions
+    const description = document.createElement('p');
+    description.className = 'shortcut-org__description';
+    description.textContent = 'Drag shortcuts to reorder them, or focus one and press Alt+↑ / Alt+↓. Hidden shortcuts stay enabled but are not drawn in the shortcut bar.';
+    
+    // Shortcut list
+    const list = document.createElement('ul');
+    list.className = 'shortcut-org__list';
+    list.setAttribute('aria-label', 'Shortcuts');
+    
+    // Empty state
+    const empty = document.createElement('div');
+    empty.className = 'shortcut-org__empty';
+    empty.textContent = 'No shortcuts yet. Enable one from a module\'s Shortcut Settings.';
+    
+    // Screen reader announcements
+    const status = document.createElement('div');
+    status.className = 'shortcut-org__status';
+    status.setAttribute('role', 'status');
+    status.setAttribute('aria-live', 'polite');
+    
+    container.appendChild(description);
+    container.appendChild(list);
+    container.appendChild(empty);
+    container.appendChild(status);
+    
+    this.elements.container = container;
+    this.elements.list = list;
+    this.elements.empty = empty;
+    this.elements.status = status;
+    
+    return container;
+  }
+  
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    this.registerEventHandler('shortcuts-updated', () => this.render());
+    this.registerEventHandler('open-shortcut-organization', () => this.open());
+  }
+  
+  /**
+   * Register event handler for cleanup
+   * @param {string} event - Event name
+   * @param {Function} handler - Handler function
+   * @param {Element} element - Element to attach to (default: document)
+   */
+  registerEventHandler(event, handler, element = document) {
+    element.addEventListener(event, handler);
+    this.eventHandlers.push({ event, handler, element });
+  }
+  
+  /**
+   * Register the organization modal
+   * @param {ModalSystem} modalSystem - Modal system instance
+   * @returns {Modal} The created modal
+   */
+  register(modalSystem = window.ODS && window.ODS.modalSystem) {
+    if (!modalSystem) {
+      console.warn('ShortcutOrganization: Modal system not available');
+      return null;
+    }
+    
+    this.modal = modalSystem.register({
+      id: this.modalId,
+      title: this.title,
+      moduleId: 'shortcut-organization',
+      content: this.elements.container,
+      onOpen: () => this.render()
+    });
+    
+    return this.modal;
+  }
+  
+  /**
+   * Module definition for ODSShell.registerModule
+   * @returns {Object} Module definition
+   */
+  getModule() {
+    return {
+      id: 'shortcut-organization',
+      title: this.title,
+      modal: {
+        id: this.modalId,
+        content: this.elements.container,
+        onOpen: () => this.render()
+      },
+      // Organizing shortcuts does not need a shortcut of its own
+      settings: { shortcut: false },
+      widgets: [this.getWidget()],
+      mount: (context) => {
+        this.modal = context.modal;
+      },
+      destroy: () => this.destroy()
+    };
+  }
+  
+  /**
+   * Open the organization modal
+   * Stacks on top of any active modal
+   * @returns {Promise<boolean>} Resolves once the modal has opened
+   */
+  open() {
+    const modalSystem = window.ODS && window.ODS.modalSystem;
+    if (!modalSystem || !modalSystem.hasModal(this.modalId)) {
+      console.warn('ShortcutOrganization: Modal not registered');
+      return Promise.resolve(false);
+    }
+    
+    return modalSystem.open(this.modalId);
+  }
+  
+  /**
+   * Dashboard widget summarising the shortcut bar
+   * @returns {Object} Widget definition for Dashboard.registerWidget
+   */
+  getWidget() {
+    return {
+      id: 'shortcut-summary',
+      title: 'Shortcuts',
+      moduleId: 'shortcut-organization',
+      modalId: this.modalId,
+      defaultSize: { w: 1, h: 1 },
+      render: (container, context) => {
+        const summary = document.createElement('p');
+        summary.className = 'shortcut-org__summary';
+        
+        const button = document.createElement('button');
+        button.className = 'shortcut-org__button';
+        button.type = 'button';
+        button.textContent = 'ORGANIZE';
+        button.addEventListener('click', () => context.openModal());
+        
+        const draw = () => {
+          const shortcuts = this.store.load();
+          const enabled = shortcuts.filter(s => s.enabled).length;
+          const hidden = shortcuts.filter(s => !s.visible).length;
+          summary.textContent = `${shortcuts.length} shortcuts · ${enabled} enabled · ${hidden} hidden`;
+        };
+        
+        container.appendChild(summary);
+        container.appendChild(button);
+        draw();
+        
+        document.addEventListener('shortcuts-updated', draw);
+        return () => document.removeEventListener('shortcuts-updated', draw);
+      }
+    };
+  }
+  
+  /**
+   * Get shortcuts as editable copies in position order
+   * @returns {Array} Shortcut records
+   */
+  getShortcuts() {
+    return this.store.load()
+      .map(s => ({ ...s }))
+      .sort((a, b) => a.position - b.position);
+  }
+  
+  /**
+   * Redraw the shortcut list
+   */
+  render() {
+    if (!this.elements.list) return;
+    
+    const focusedId = this.getFocusedId();
+    const shortcuts = this.getShortcuts();
+    
+    this.elements.list.innerHTML = '';
+    shortcuts.forEach((shortcut, index) => {
+      this.elements.list.appendChild(this.buildItem(shortcut, index, shortcuts.length));
+    });
+    
+    this.elements.empty.hidden = shortcuts.length > 0;
+    
+    // Keep keyboard focus on the item that was being moved
+    if (focusedId) {
+      const item = Array.from(this.elements.list.children).find(el => el.dataset.shortcutId === focusedId);
+      if (item) item.focus();
+    }
+  }
+  
+  /**
+   * Get id of the list item that currently has focus
+   * @returns {string|null} Shortcut ID
+   */
+  getFocusedId() {
+    const active = document.activeElement;
+    if (active && active.classList && active.classList.contains('shortcut-org__item') &&
+        this.elements.list.contains(active)) {
+      return active.dataset.shortcutId;
+    }
+    return null;
+  }
+  
+  /**
+   * Build a list item for a shortcut
+   * @param {Object} shortcut - Shortcut record
+   * @param {number} index - Display index
+   * @param {number} total - Number of shortcuts
+   * @returns {HTMLElement} List item
+   */
+  buildItem(shortcut, index, total) {
+    const item = document.createElement('li');
+    item.className = 'shortcut-org__item';
+    item.dataset.shortcutId = shortcut.id;
+    item.draggable = true;
+    item.tabIndex = 0;
+    item.setAttribute('aria-label', `${shortcut.label}, position ${index + 1} of ${total}`);
+    
+    if (!shortcut.visible) {
+      item.classList.add('shortcut-org__item--hidden');
+    }
+    if (!shortcut.enabled) {
+      item.classList.add('shortcut-org__item--disabled');
+    }
+    
+    // Drag handle
+    const handle = document.createElement('span');
+    handle.className = 'shortcut-org__handle';
+    handle.setAttribute('aria-hidden', 'true');
+    handle.textContent = '≡';
+    
+    // Position
+    const position = document.createElement('span');
+    position.className = 'shortcut-org__position';
+    position.textContent = String(index + 1).padStart(2, '0');
+    
+    // Label input
+    const label = document.createElement('input');
+    label.className = 'shortcut-org__label';
+    label.type = 'text';
+    label.maxLength = 20;
+    label.value = shortcut.label;
+    label.setAttribute('aria-label', `Label for ${shortcut.label}`);
+    label.addEventListener('change', () => this.rename(shortcut.id, label.value));
+    label.addEventListener('keydown', (e) => {
+      e.stopPropagation();
+      if (e.key === 'Enter') label.blur();
+    });
+    
+    // Target info
+    const target = document.createElement('span');
+    target.className = 'shortcut-org__target';
+    const description = this.store.describeAction(shortcut.action);
+    target.textContent = shortcut.enabled ? description : `${description} (off)`;
+    
+    // Actions
+    const actions = document.createElement('span');
+    actions.className = 'shortcut-org__actions';
+    
+    actions.appendChild(this.buildButton('↑', `Move ${shortcut.label} up`, index === 0,
+      () => this.move(shortcut.id, index - 1)));
+    actions.appendChild(this.buildButton('↓', `Move ${shortcut.label} down`, index === total - 1,
+      () => this.move(shortcut.id, index + 1)));
+    actions.appendChild(this.buildButton(shortcut.visible ? 'HIDE' : 'SHOW',
+      `${shortcut.visible ? 'Hide' : 'Show'} ${shortcut.label}`, false,
+      () => this.setVisible(shortcut.id, !shortcut.visible)));
+    
+    const armed = this.armedDeleteId === shortcut.id;
+    const remove = this.buildButton(armed ? 'CONFIRM' : 'DEL',
+      armed ? `Confirm delete ${shortcut.label}` : `Delete ${shortcut.label}`, false,
+      () => this.requestDelete(shortcut.id));
+    remove.classList.add('shortcut-org__button--danger');
+    actions.appendChild(remove);
+    
+    item.appendChild(handle);
+    item.appendChild(position);
+    item.appendChild(label);
+    item.appendChild(target);
+    item.appendChild(actions);
+    
+    this.bindItemEvents(item, shortcut.id, index);
+    
+    return item;
+  }
+  
+  /**
+   * Build an action button
+   * @private
+   */
+  buildButton(text, ariaLabel, disabled, onClick) {
+    const button = document.createElement('button');
+    button.className = 'shortcut-org__button';
+    button.type = 'button';
+    button.textContent = text;
+    button.disabled = disabled;
+    button.setAttribute('aria-label', ariaLabel);
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+  
+  /**
+   * Bind drag and keyboard events on an item
+   * @private
+   */
+  bindItemEvents(item, id, index) {
+    // Keyboard reordering
+    item.addEventListener('keydown', (e) => {
+      if (e.target !== item) return;
+      
+      if (e.altKey && e.key === 'ArrowUp') {
+        e.preventDefault();
+        this.move(id, index - 1);
+      } else if (e.altKey && e.key === 'ArrowDown') {
+        e.preventDefault();
+        this.move(id, index + 1);
+      } else if (e.key === 'ArrowUp' && item.previousElementSibling) {
+        e.preventDefault();
+        item.previousElementSibling.focus();
+      } else if (e.key === 'ArrowDown' && item.nextElementSibling) {
+        e.preventDefault();
+        item.nextElementSibling.focus();
+      } else if (e.key === 'Delete') {
+        e.preventDefault();
+        this.requestDelete(id);
+      }
+    });
+    
+    // Drag and drop reordering
+    item.addEventListener('dragstart', (e) => {
+      this.dragId = id;
+      item.classList.add('shortcut-org__item--dragging');
+      if (e.dataTransfer) {
+        e.dataTransfer.effectAllowed = 'move';
+        e.dataTransfer.setData('text/plain', id);
+      }
+    });
+    
+    item.addEventListener('dragend', () => {
+      this.dragId = null;
+      item.classList.remove('shortcut-org__item--dragging');
+    });
+    
+    item.addEventListener('dragover', (e) => {
+      if (!this.dragId || this.dragId === id) return;
+      e.preventDefault();
+      if (e.dataTransfer) e.dataTransfer.dropEffect = 'move';
+      item.classList.add('shortcut-org__item--drop-target');
+    });
+    
+    item.addEventListener('dragleave', () => {
+      item.classList.remove('shortcut-org__item--drop-target');
+    });
+    
+    item.addEventListener('drop', (e) => {
+      e.preventDefault();
+      item.classList.remove('shortcut-org__item--drop-target');
+      if (this.dragId && this.dragId !== id) {
+        this.move(this.dragId, index);
+      }
+      this.dragId = null;
+    });
+  }
+  
+  /**
+   * Move a shortcut to a new index
+   * @param {string} id - Shortcut ID
+   * @param {number} toIndex - Target index
+   * @returns {boolean} Success status
+   */
+  move(id, toIndex) {
+    const shortcuts = this.getShortcuts();
+    const fromIndex = shortcuts.findIndex(s => s.id === id);
+    
+    if (fromIndex === -1 || toIndex < 0 || toIndex >= shortcuts.length || toIndex === fromIndex) {
+      return false;
+    }
+    
+    const [moved] = shortcuts.splice(fromIndex, 1);
+    shortcuts.splice(toIndex, 0, moved);
+    shortcuts.forEach((s, i) => {
+      s.position = i;
+    });
+    moved.updated_at = new Date().toISOString();
+    
+    this.announce(`${moved.label} moved to position ${toIndex + 1}`);
+    return this.store.save(shortcuts);
+  }
+  
+  /**
+   * Show or hide a shortcut in the bar
+   * @param {string} id - Shortcut ID
+   * @param {boolean} visible - Visibility
+   * @returns {boolean} Success status
+   */
+  setVisible(id, visible) {
+    return this.update(id, { visible: Boolean(visible) });
+  }
+  
+  /**
+   * Rename a shortcut
+   * @param {string} id - Shortcut ID
+   * @param {string} label - New label (validated by the store)
+   * @returns {boolean} Success status
+   */
+  rename(id, label) {
+    return this.update(id, { label: this.store.validateLabel(label) });
+  }
+  
+  /**
+   * Apply changes to a single shortcut and save
+   * @private
+   */
+  update(id, changes) {
+    const shortcuts = this.getShortcuts();
+    const shortcut = shortcuts.find(s => s.id === id);
+    
+    if (!shortcut) {
+      return false;
+    }
+    
+    Object.assign(shortcut, changes, { updated_at: new Date().toISOString() });
+    return this.store.save(shortcuts);
+  }
+  
+  /**
+   * First request arms the delete button, second deletes
+   * @param {string} id - Shortcut ID
+   */
+  requestDelete(id) {
+    if (this.armedDeleteId === id) {
+      this.armedDeleteId = null;
+      this.deleteShortcut(id);
+    } else {
+      this.armedDeleteId = id;
+      this.render();
+    }
+  }
+  
+  /**
+   * Delete a shortcut
+   * @param {string} id - Shortcut ID
+   * @returns {boolean} Success status
+   */
+  deleteShortcut(id) {
+    const shortcuts = this.getShortcuts();
+    const shortcut = shortcuts.find(s => s.id === id);
+    
+    if (!shortcut) {
+      return false;
+    }
+    
+    this.announce(`${shortcut.label} deleted`);
+    return this.store.save(shortcuts.filter(s => s.id !== id));
+  }
+  
+  /**
+   * Announce a change to assistive technology
+   * @private
+   */
+  announce(message) {
+    if (this.elements.status) {
+      this.elements.status.textContent = message;
+    }
+  }
+  
+  /**
+   * Get container element
+   * @returns {HTMLElement} Container element
+   */
+  getElement() {
+    return this.elements.container;
+  }
+  
+  /**
+   * Destroy and cleanup
+   */
+  destroy() {
+    this.eventHandlers.forEach(({ event, handler, element }) => {
+      element.removeEventListener(event, handler);
+    });
+    this.eventHandlers = [];
+    
+    const modalSystem = window.ODS && window.ODS.modalSystem;
+    if (this.modal && modalSystem) {
+      modalSystem.unregister(this.modalId);
+    }
+    
+    this.modal = null;
+    this.elements = {};
+  }
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ShortcutOrganization;
+}
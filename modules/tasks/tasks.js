@@ -0,0 +1,798 @@
+/**
+ * TasksModule - Modal module for managing tasks
+ * @class
+ * @description Create, edit, filter and complete tasks stored in TaskDataStore
+ * @version 1.0.0
+ */
+class TasksModule {
+  constructor(config = {}) {
+    // Configuration
+    this.modalId = config.modalId || 'tasks';
+    this.title = config.title || 'Tasks';
+    this.store = config.store || new TaskDataStore();
+    
+    // State
+    this.filter = {
+      status: 'open',
+      priority: '',
+      tag: '',
+      search: ''
+    };
+    this.editingId = null;
+    this.armedDeleteId = null;
+    this.modal = null;
+    
+    // DOM elements
+    this.elements = {
+      container: null,
+      search: null,
+      statusFilter: null,
+      priorityFilter: null,
+      tagFilter: null,
+      form: null,
+      fields: {},
+      deleteButton: null,
+      counts: null,
+      list: null,
+      empty: null,
+      status: null
+    };
+    
+    // Event handling
+    this.eventHandlers = [];
+    
+    // Build on construction
+    this.build();
+    this.bindEvents();
+    this.render();
+  }
+  
+  /**
+   * Display names for statuses and priorities
+   */
+  static get LABELS() {
+    return {
+      'todo': 'TO DO',
+      'in-progress': 'IN PROGRESS',
+      'blocked': 'BLOCKED',
+      'done': 'DONE',
+      'low': 'LOW',
+      'normal': 'NORMAL',
+      'high': 'HIGH',
+      'urgent': 'URGENT'
+    };
+  }
+  
+  /**
+   * Build DOM structure
+   * @returns {HTMLElement} Container element
+   */
+  build() {
+    const container = document.createElement('div');
+    container.className = 'tasks';
+    
+    container.appendChild(this.buildToolbar());
+    container.appendChild(this.buildForm());
+    
+    // Counts line
+    const counts = document.createElement('p');
+    counts.className = 'tasks__counts';
+    
+    // Task list
+    const list = document.createElement('ul');
+    list.className = 'tasks__list';
+    list.setAttribute('aria-label', 'Tasks');
+    
+    // Empty state
+    const empty = document.createElement('div');
+    empty.className = 'tasks__empty';
+    
+    // Screen reader announcements
+    const status = document.createElement('div');
+    status.className = 'tasks__status';
+    status.setAttribute('role', 'status');
+    status.setAttribute('aria-live', 'polite');
+    
+    container.appendChild(counts);
+    container.appendChild(list);
+    container.appendChild(empty);
+    container.appendChild(status);
+    
+    this.elements.container = container;
+    this.elements.counts = counts;
+    this.elements.list = list;
+    this.elements.empty = empty;
+    this.elements.status = status;
+    
+    return container;
+  }
+  
+  /**
+   * Build the toolbar with the new button and filters
+   * @private
+   */
+  buildToolbar() {
+    const toolbar = document.createElement('div');
+    toolbar.className = 'tasks__toolbar';
+    
+    const newButton = this.buildButton('+ NEW TASK', 'Create a new task', () => this.openForm());
+    newButton.classList.add('tasks__button--primary');
+    
+    const search = document.createElement('input');
+    search.className = 'tasks__input tasks__search';
+    search.type = 'search';
+    search.placeholder = 'SEARCH';
+    search.setAttribute('aria-label', 'Search tasks');
+    search.addEventListener('input', () => this.setFilter({ search: search.value }));
+    
+    const statusFilter = this.buildSelect('Filter by status', [
+      ['open', 'OPEN'],
+      ['', 'ALL'],
+      ...this.store.STATUSES.map(s => [s, TasksModule.LABELS[s]])
+    ], this.filter.status);
+    statusFilter.addEventListener('change', () => this.setFilter({ status: statusFilter.value }));
+    
+    const priorityFilter = this.buildSelect('Filter by priority', [
+      ['', 'ANY PRIORITY'],
+      ...this.store.PRIORITIES.map(p => [p, TasksModule.LABELS[p]])
+    ], this.filter.priority);
+    priorityFilter.addEventListener('change', () => this.setFilter({ priority: priorityFilter.value }));
+    
+    // Options are filled from the tags in use on each render
+    const tagFilter = this.buildSelect('Filter by tag', [['', 'ANY TAG']], '');
+    tagFilter.addEventListener('change', () => this.setFilter({ tag: tagFilter.value }));
+    
+    toolbar.appendChild(newButton);
+    toolbar.appendChild(search);
+    toolbar.appendChild(statusFilter);
+    toolbar.appendChild(priorityFilter);
+    toolbar.appendChild(tagFilter);
+    
+    this.elements.search = search;
+    this.elements.statusFilter = statusFilter;
+    this.elements.priorityFilter = priorityFilter;
+    this.elements.tagFilter = tagFilter;
+    
+    return toolbar;
+  }
+  
+  /**
+   * Build the create/edit form
+   * @private
+   */
+  buildForm() {
+    const form = document.createElement('form');
+    form.className = 'tasks__form';
+    form.hidden = true;
+    form.noValidate = true;
+    
+    const fields = {};
+    
+    fields.title = document.createElement('input');
+    fields.title.type = 'text';
+    fields.title.maxLength = this.store.TITLE_MAX;
+    fields.title.required = true;
+    
+    fields.notes = document.createElement('textarea');
+    fields.notes.rows = 3;
+    fields.notes.maxLength = this.store.NOTES_MAX;
+    
+    fields.status = this.buildSelect('Status',
+      this.store.STATUSES.map(s => [s, TasksModule.LABELS[s]]), 'todo');
+    
+    fields.priority = this.buildSelect('Priority',
+      this.store.PRIORITIES.map(p => [p, TasksModule.LABELS[p]]), 'normal');
+    
+    fields.due_date = document.createElement('input');
+    fields.due_date.type = 'date';
+    
+    fields.tags = document.createElement('input');
+    fields.tags.type = 'text';
+    fields.tags.placeholder = 'comma, separated';
+    
+    form.appendChild(this.buildField('TITLE', fields.title, 'tasks__field--wide'));
+    form.appendChild(this.buildField('NOTES', fields.notes, 'tasks__field--wide'));
+    form.appendChild(this.buildField('STATUS', fields.status));
+    form.appendChild(this.buildField('PRIORITY', fields.priority));
+    form.appendChild(this.buildField('DUE', fields.due_date));
+    form.appendChild(this.buildField('TAGS', fields.tags));
+    
+    // Form actions
+    const actions = document.createElement('div');
+    actions.className = 'tasks__form-actions';
+    
+    const save = document.createElement('button');
+    save.className = 'tasks__button tasks__button--primary';
+    save.type = 'submit';
+    save.textContent = 'SAVE';
+    
+    const cancel = this.buildButton('CANCEL', 'Cancel editing', () => this.closeForm());
+    
+    const remove = this.buildButton('DELETE', 'Delete task', () => this.requestDelete(this.editingId));
+    remove.classList.add('tasks__button--danger');
+    
+    actions.appendChild(save);
+    actions.appendChild(cancel);
+    actions.appendChild(remove);
+    form.appendChild(actions);
+    
+    form.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.saveForm();
+    });
+    
+    // Escape cancels the form rather than closing the modal
+    form.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        e.stopPropagation();
+        this.closeForm();
+      }
+    });
+    
+    this.elements.form = form;
+    this.elements.fields = fields;
+    this.elements.deleteButton = remove;
+    
+    return form;
+  }
+  
+  /**
+   * Wrap a control with its label
+   * @private
+   */
+  buildField(text, control, modifier) {
+    const field = document.createElement('label');
+    field.className = modifier ? `tasks__field ${modifier}` : 'tasks__field';
+    
+    const label = document.createElement('span');
+    label.className = 'tasks__field-label';
+    label.textContent = text;
+    
+    if (!control.classList.contains('tasks__input')) {
+      control.classList.add('tasks__input');
+    }
+    
+    field.appendChild(label);
+    field.appendChild(control);
+    return field;
+  }
+  
+  /**
+   * Build a select element
+   * @private
+   */
+  buildSelect(ariaLabel, options, value) {
+    const select = document.createElement('select');
+    select.className = 'tasks__input tasks__select';
+    select.setAttribute('aria-label', ariaLabel);
+    this.setOptions(select, options, value);
+    return select;
+  }
+  
+  /**
+   * Replace the options of a select
+   * @private
+   */
+  setOptions(select, options, value) {
+    select.innerHTML = '';
+    options.forEach(([optionValue, text]) => {
+      const option = document.createElement('option');
+      option.value = optionValue;
+      option.textContent = text;
+      select.appendChild(option);
+    });
+    select.value = value;
+  }
+  
+  /**
+   * Build an action button
+   * @private
+   */
+  buildButton(text, ariaLabel, onClick) {
+    const button = document.createElement('button');
+    button.className = 'tasks__button';
+    button.type = 'button';
+    button.textContent = text;
+    button.setAttribute('aria-label', ariaLabel);
+    button.addEventListener('click', (e) => {
+      e.stopPropagation();
+      onClick();
+    });
+    return button;
+  }
+  
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    this.registerEventHandler('tasks-updated', () => this.render());
+  }
+  
+  /**
+   * Register event handler for cleanup
+   * @param {string} event - Event name
+   * @param {Function} handler - Handler function
+   * @param {Element} element - Element to attach to (default: document)
+   */
+  registerEventHandler(event, handler, element = document) {
+    element.addEventListener(event, handler);
+    this.eventHandlers.push({ event, handler, element });
+  }
+  
+  /**
+   * Register the tasks modal
+   * @param {ModalSystem} modalSystem - Modal system instance
+   * @returns {Modal} The created modal
+   */
+  register(modalSystem = window.ODS && window.ODS.modalSystem) {
+    if (!modalSystem) {
+      console.warn('TasksModule: Modal system not available');
+      return null;
+    }
+    
+    this.modal = modalSystem.register({
+      id: this.modalId,
+      title: this.title,
+      moduleId: 'tasks',
+      content: this.elements.container,
+      onOpen: (params) => this.handleOpen(params)
+    });
+    
+    return this.modal;
+  }
+  
+  /**
+   * Module definition for ODSShell.registerModule
+   * @returns {Object} Module definition
+   */
+  getModule() {
+    return {
+      id: 'tasks',
+      title: this.title,
+      modal: {
+        id: this.modalId,
+        content: this.elements.container,
+        onOpen: (params) => this.handleOpen(params),
+        onClose: () => this.closeForm()
+      },
+      shortcutDefaults: { enabled: true, label: 'TSK' },
+      widgets: [this.getWidget()],
+      mount: (context) => {
+        this.modal = context.modal;
+        if (context.shell) {
+          context.shell.registerCommand({
+            id: 'tasks.new',
+            title: 'New task',
+            run: () => {
+              this.open();
+              this.openForm();
+            }
+          });
+        }
+      },
+      unmount: (context) => {
+        if (context.shell) {
+          context.shell.unregisterCommand('tasks.new');
+        }
+      },
+      destroy: () => this.destroy()
+    };
+  }
+  
+  /**
+   * Dashboard widget listing the next open tasks
+   * @returns {Object} Widget definition for Dashboard.registerWidget
+   */
+  getWidget() {
+    return {
+      id: 'task-summary',
+      title: 'Tasks',
+      moduleId: 'tasks',
+      modalId: this.modalId,
+      defaultSize: { w: 2, h: 1 },
+      render: (container, context) => {
+        const summary = document.createElement('p');
+        summary.className = 'tasks__summary';
+        
+        const upcoming = document.createElement('ul');
+        upcoming.className = 'tasks__upcoming';
+        
+        const button = document.createElement('button');
+        button.className = 'tasks__button';
+        button.type = 'button';
+        button.textContent = 'OPEN TASKS';
+        button.addEventListener('click', () => context.openModal());
+        
+        const draw = () => {
+          const counts = this.store.getCounts();
+          summary.textContent = `${counts.open} open · ${counts.overdue} overdue · ${counts.done} done`;
+          
+          upcoming.innerHTML = '';
+          this.store.getTasks({ status: 'open' }).slice(0, 3).forEach(task => {
+            const item = document.createElement('li');
+            item.className = 'tasks__upcoming-item';
+            if (this.store.isOverdue(task)) {
+              item.classList.add('tasks__upcoming-item--overdue');
+            }
+            item.textContent = task.due_date ? `${task.title} · ${task.due_date}` : task.title;
+            upcoming.appendChild(item);
+          });
+        };
+        
+        container.appendChild(summary);
+        container.appendChild(upcoming);
+        container.appendChild(button);
+        draw();
+        
+        document.addEventListener('tasks-updated', draw);
+        return () => document.removeEventListener('tasks-updated', draw);
+      }
+    };
+  }
+  
+  /**
+   * Open the tasks modal
+   * Stacks on top of any active modal
+   * @returns {Promise<boolean>} Resolves once the modal has opened
+   */
+  open() {
+    const modalSystem = window.ODS && window.ODS.modalSystem;
+    if (!modalSystem || !modalSystem.hasModal(this.modalId)) {
+      console.warn('TasksModule: Modal not registered');
+      return Promise.resolve(false);
+    }
+    
+    return modalSystem.open(this.modalId);
+  }
+  
+  /**
+   * Update the active filter and redraw
+   * @param {Object} changes - Filter fields to change
+   */
+  setFilter(changes) {
+    Object.assign(this.filter, changes);
+    this.render();
+    this.syncRoute();
+  }
+  
+  /**
+   * Filter fields that differ from the defaults, for the modal route
+   * e.g. #/modal/tasks?status=done&tag=home
+   * @returns {Object} Route params
+   */
+  getRouteParams() {
+    const params = {};
+    if (this.filter.status !== 'open') params.status = this.filter.status || 'all';
+    if (this.filter.priority) params.priority = this.filter.priority;
+    if (this.filter.tag) params.tag = this.filter.tag;
+    if (this.filter.search) params.search = this.filter.search;
+    return params;
+  }
+  
+  /**
+   * Apply filter fields from a modal route, ignoring unknown values
+   * @param {Object} params - Route params
+   */
+  applyRouteParams(params = {}) {
+    if (params.status === 'all') {
+      this.filter.status = '';
+    } else if (params.status === 'open' || this.store.STATUSES.includes(params.status)) {
+      this.filter.status = params.status;
+    }
+    if (this.store.PRIORITIES.includes(params.priority)) {
+      this.filter.priority = params.priority;
+    }
+    if (typeof params.tag === 'string') this.filter.tag = params.tag;
+    if (typeof params.search === 'string') this.filter.search = params.search;
+  }
+  
+  /**
+   * Modal onOpen: apply route params, then draw
+   * @private
+   */
+  handleOpen(params) {
+    this.applyRouteParams(params);
+    this.render();
+    this.syncRoute();
+  }
+  
+  /**
+   * Mirror the filter into the modal route
+   * @private
+   */
+  syncRoute() {
+    const modalSystem = window.ODS && window.ODS.modalSystem;
+    if (modalSystem && typeof modalSystem.setParams === 'function') {
+      modalSystem.setParams(this.modalId, this.getRouteParams());
+    }
+  }
+  
+  /**
+   * Redraw filters, counts and the task list
+   */
+  render() {
+    if (!this.elements.list) return;
+    
+    // Drop a tag filter whose tag no longer exists
+    const tags = this.store.getTags();
+    if (this.filter.tag && !tags.includes(this.filter.tag)) {
+      this.filter.tag = '';
+    }
+    
+    this.setOptions(this.elements.tagFilter,
+      [['', 'ANY TAG'], ...tags.map(t => [t, `#${t}`])], this.filter.tag);
+    this.elements.statusFilter.value = this.filter.status;
+    this.elements.priorityFilter.value = this.filter.priority;
+    if (this.elements.search.value !== this.filter.search) {
+      this.elements.search.value = this.filter.search;
+    }
+    
+    const tasks = this.store.getTasks(this.filter);
+    const counts = this.store.getCounts();
+    
+    this.elements.counts.textContent =
+      `${tasks.length} shown · ${counts.open} open · ${counts.overdue} overdue · ${counts.done} done`;
+    
+    this.elements.list.innerHTML = '';
+    tasks.forEach(task => {
+      this.elements.list.appendChild(this.buildItem(task));
+    });
+    
+    this.elements.empty.hidden = tasks.length > 0;
+    this.elements.empty.textContent = counts.total === 0
+      ? 'No tasks yet. Use + NEW TASK to add one.'
+      : 'No tasks match the current filters.';
+  }
+  
+  /**
+   * Build a list item for a task
+   * @param {Object} task - Task record
+   * @returns {HTMLElement} List item
+   */
+  buildItem(task) {
+    const item = document.createElement('li');
+    item.className = `tasks__item tasks__item--${task.priority}`;
+    item.dataset.taskId = task.id;
+    
+    const done = task.status === 'done';
+    const overdue = this.store.isOverdue(task);
+    
+    if (done) {
+      item.classList.add('tasks__item--done');
+    }
+    if (overdue) {
+      item.classList.add('tasks__item--overdue');
+    }
+    
+    // Completion toggle
+    const check = document.createElement('input');
+    check.className = 'tasks__check';
+    check.type = 'checkbox';
+    check.checked = done;
+    check.setAttribute('aria-label', `${done ? 'Reopen' : 'Complete'} ${task.title}`);
+    check.addEventListener('change', () => this.toggleComplete(task.id, check.checked));
+    
+    // Body
+    const body = document.createElement('div');
+    body.className = 'tasks__body';
+    
+    const title = document.createElement('button');
+    title.className = 'tasks__title';
+    title.type = 'button';
+    title.textContent = task.title;
+    title.setAttribute('aria-label', `Edit ${task.title}`);
+    title.addEventListener('click', () => this.openForm(task.id));
+    body.appendChild(title);
+    
+    if (task.notes) {
+      const notes = document.createElement('p');
+      notes.className = 'tasks__notes';
+      notes.textContent = task.notes.split('\n')[0];
+      body.appendChild(notes);
+    }
+    
+    // Meta line
+    const meta = document.createElement('div');
+    meta.className = 'tasks__meta';
+    
+    if (task.status !== 'todo' && !done) {
+      meta.appendChild(this.buildBadge(TasksModule.LABELS[task.status], `tasks__badge--${task.status}`));
+    }
+    if (task.priority !== 'normal') {
+      meta.appendChild(this.buildBadge(TasksModule.LABELS[task.priority], `tasks__badge--${task.priority}`));
+    }
+    if (task.due_date) {
+      meta.appendChild(this.buildBadge(overdue ? `OVERDUE ${task.due_date}` : `DUE ${task.due_date}`,
+        overdue ? 'tasks__badge--overdue' : 'tasks__badge--due'));
+    }
+    task.tags.forEach(tag => {
+      const tagButton = document.createElement('button');
+      tagButton.className = 'tasks__tag';
+      tagButton.type = 'button';
+      tagButton.textContent = `#${tag}`;
+      tagButton.setAttribute('aria-label', `Show tasks tagged ${tag}`);
+      tagButton.addEventListener('click', () => this.setFilter({ tag: tag }));
+      meta.appendChild(tagButton);
+    });
+    
+    if (meta.children.length > 0) {
+      body.appendChild(meta);
+    }
+    
+    item.appendChild(check);
+    item.appendChild(body);
+    
+    return item;
+  }
+  
+  /**
+   * Build a status/priority/due badge
+   * @private
+   */
+  buildBadge(text, modifier) {
+    const badge = document.createElement('span');
+    badge.className = `tasks__badge ${modifier}`;
+    badge.textContent = text;
+    return badge;
+  }
+  
+  /**
+   * Show the form for a new or existing task
+   * @param {string|null} taskId - Task to edit, or null for a new task
+   */
+  openForm(taskId = null) {
+    const task = taskId ? this.store.getTask(taskId) : null;
+    if (taskId && !task) return;
+    
+    const fields = this.elements.fields;
+    
+    this.editingId = task ? task.id : null;
+    this.armedDeleteId = null;
+    
+    fields.title.value = task ? task.title : '';
+    fields.notes.value = task ? task.notes : '';
+    fields.status.value = task ? task.status : 'todo';
+    fields.priority.value = task ? task.priority : 'normal';
+    fields.due_date.value = task && task.due_date ? task.due_date : '';
+    fields.tags.value = task ? task.tags.join(', ') : (this.filter.tag || '');
+    
+    this.elements.deleteButton.hidden = !task;
+    this.elements.deleteButton.textContent = 'DELETE';
+    this.elements.form.classList.remove('tasks__form--invalid');
+    this.elements.form.hidden = false;
+    fields.title.focus();
+  }
+  
+  /**
+   * Hide the form without saving
+   */
+  closeForm() {
+    if (!this.elements.form) return;
+    
+    this.editingId = null;
+    this.armedDeleteId = null;
+    this.elements.form.hidden = true;
+  }
+  
+  /**
+   * Save the form as a new task or update the task being edited
+   * @returns {boolean} Success status
+   */
+  saveForm() {
+    const fields = this.elements.fields;
+    const data = {
+      title: fields.title.value,
+      notes: fields.notes.value,
+      status: fields.status.value,
+      priority: fields.priority.value,
+      due_date: fields.due_date.value || null,
+      tags: fields.tags.value
+    };
+    
+    if (!this.store.validateTitle(data.title)) {
+      this.elements.form.classList.add('tasks__form--invalid');
+      this.announce('A task needs a title');
+      fields.title.focus();
+      return false;
+    }
+    
+    const editing = this.editingId;
+    const saved = editing
+      ? this.store.update(editing, data)
+      : Boolean(this.store.create(data));
+    
+    if (saved) {
+      this.announce(`${this.store.validateTitle(data.title)} ${editing ? 'updated' : 'created'}`);
+      this.closeForm();
+    }
+    
+    return saved;
+  }
+  
+  /**
+   * Complete or reopen a task
+   * @param {string} id - Task ID
+   * @param {boolean} done - Whether the task is done
+   * @returns {boolean} Success status
+   */
+  toggleComplete(id, done) {
+    const task = this.store.getTask(id);
+    if (!task) return false;
+    
+    this.announce(`${task.title} ${done ? 'completed' : 'reopened'}`);
+    return this.store.complete(id, done);
+  }
+  
+  /**
+   * First request arms the delete button, second deletes
+   * @param {string} id - Task ID
+   */
+  requestDelete(id) {
+    if (!id) return;
+    
+    if (this.armedDeleteId === id) {
+      this.deleteTask(id);
+    } else {
+      this.armedDeleteId = id;
+      this.elements.deleteButton.textContent = 'CONFIRM';
+    }
+  }
+  
+  /**
+   * Delete a task
+   * @param {string} id - Task ID
+   * @returns {boolean} Success status
+   */
+  deleteTask(id) {
+    const task = this.store.getTask(id);
+    if (!task) return false;
+    
+    if (this.editingId === id) {
+      this.closeForm();
+    }
+    
+    this.announce(`${task.title} deleted`);
+    return this.store.remove(id);
+  }
+  
+  /**
+   * Announce a change to assistive technology
+   * @private
+   */
+  announce(message) {
+    if (this.elements.status) {
+      this.elements.status.textContent = message;
+    }
+  }
+  
+  /**
+   * Get container element
+   * @returns {HTMLElement} Container element
+   */
+  getElement() {
+    return this.elements.container;
+  }
+  
+  /**
+   * Destroy and cleanup
+   */
+  destroy() {
+    this.eventHandlers.forEach(({ event, handler, element }) => {
+      element.removeEventListener(event, handler);
+    });
+    this.eventHandlers = [];
+    
+    const modalSystem = window.ODS && window.ODS.modalSystem;
+    if (this.modal && modalSystem) {
+      modalSystem.unregister(this.modalId);
+    }
+    
+    this.modal = null;
+    this.elements = {};
+  }
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = TasksModule;
+}
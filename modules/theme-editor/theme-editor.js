@@ -0,0 +1,756 @@
+/**
+ * ThemeEditor - Modal module for creating and sharing themes
+ * @class
+ * @description Edits every ops.theme token with a live preview and a WCAG
+ * contrast check; themes are saved through opsTheme and shared as JSON
+ * @version 1.0.0
+ */
+class ThemeEditor {
+  /**
+   * Token fields by group, in display order
+   */
+  static get GROUPS() {
+    return [
+      { title: 'BASE', properties: ['backgroundColor', 'textColor', 'uiElementColor', 'fontFamily'] },
+      { title: 'SURFACES', properties: ['surfaceColor', 'surfaceHoverColor', 'surfaceActiveColor', 'overlayColor'] },
+      { title: 'LINES & TEXT', properties: ['borderColor', 'borderMutedColor', 'mutedColor', 'accentColor', 'focusColor'] },
+      { title: 'STATUS', properties: ['dangerColor', 'successColor'] },
+      { title: 'SHAPE', properties: ['radiusSmall', 'radiusMedium'] }
+    ];
+  }
+  
+  /**
+   * WCAG 2.1 minimum contrast ratios
+   * AA/AAA for normal text (1.4.3, 1.4.6), UI for controls (1.4.11)
+   */
+  static get CONTRAST() {
+    return { AA: 4.5, AAA: 7, UI: 3 };
+  }
+  
+  constructor(config = {}) {
+    // Configuration
+    this.modalId = config.modalId || 'theme-editor';
+    this.title = config.title || 'Theme Editor';
+    this.theme = config.theme || window.opsTheme || null;
+    
+    // State
+    this.draft = {};       // Values being edited; empty means derived/default
+    this.modal = null;
+    this.fields = {};      // Theme property -> FormControl
+    this.controls = [];    // Every FormControl, destroyed with the editor
+    this.sourcePicker = null;
+    this.deleteButton = null;
+    
+    // DOM elements
+    this.elements = {
+      container: null,
+      preview: null,
+      contrast: null,
+      json: null,
+      file: null,
+      status: null
+    };
+    
+    // Event handling
+    this.eventHandlers = [];
+    
+    // Build on construction
+    this.build();
+    this.bindEvents();
+    
+    if (this.theme) {
+      this.load(this.theme.getThemeName());
+    }
+  }
+  
+  /**
+   * Build DOM structure
+   * @returns {HTMLElement} Container element
+   */
+  build() {
+    const container = document.createElement('div');
+    container.className = 'theme-editor';
+    this.elements.container = container;
+    
+    if (!this.theme) {
+      const missing = document.createElement('p');
+      missing.className = 'theme-editor__description';
+      missing.textContent = '[Theme system not loaded]';
+      container.appendChild(missing);
+      return container;
+    }
+    
+    // Instructions
+    const description = document.createElement('p');
+    description.className = 'theme-editor__description';
+    description.textContent = 'Start from a theme, change any token and save it under a new name. Leave a field empty to derive it from the base colors. Export a theme as JSON to use it on another device.';
+    container.appendChild(description);
+    
+    container.appendChild(this.buildIdentity());
+    
+    const layout = document.createElement('div');
+    layout.className = 'theme-editor__layout';
+    layout.appendChild(this.buildFields());
+    layout.appendChild(this.buildPreview());
+    container.appendChild(layout);
+    
+    container.appendChild(this.buildActions());
+    container.appendChild(this.buildTransfer());
+    
+    // Save/import results, announced to screen readers
+    const status = document.createElement('div');
+    status.className = 'theme-editor__status';
+    status.setAttribute('role', 'status');
+    status.setAttribute('aria-live', 'polite');
+    container.appendChild(status);
+    this.elements.status = status;
+    
+    return container;
+  }
+  
+  /**
+   * Base theme picker, name, label and color scheme
+   * @private
+   */
+  buildIdentity() {
+    const row = document.createElement('div');
+    row.className = 'theme-editor__identity';
+    
+    this.sourcePicker = this.addControl(row, new SelectField({
+      id: `${this.modalId}-source`,
+      label: 'START FROM',
+      options: this.getThemeOptions(),
+      value: this.theme.getThemeName(),
+      onChange: (name) => this.load(name)
+    }));
+    
+    this.fields.name = this.addControl(row, new TextInput({
+      id: `${this.modalId}-name`,
+      label: 'NAME',
+      description: 'Lowercase letters, digits and dashes',
+      required: true,
+      maxLength: 32,
+      validate: (value) => this.theme.validateValue('name', value),
+      onChange: (value) => this.update('name', value)
+    }));
+    
+    this.fields.label = this.addControl(row, new TextInput({
+      id: `${this.modalId}-label`,
+      label: 'LABEL',
+      maxLength: 40,
+      onChange: (value) => this.update('label', value)
+    }));
+    
+    this.fields.colorScheme = this.addControl(row, new SelectField({
+      id: `${this.modalId}-scheme`,
+      label: 'COLOR SCHEME',
+      options: [{ value: 'dark', label: 'Dark' }, { value: 'light', label: 'Light' }],
+      onChange: (value) => this.update('colorScheme', value)
+    }));
+    
+    return row;
+  }
+  
+  /**
+   * One text field per theme token
+   * @private
+   */
+  buildFields() {
+    const schema = this.theme.getSchema();
+    const fields = document.createElement('div');
+    fields.className = 'theme-editor__fields';
+    
+    ThemeEditor.GROUPS.forEach(group => {
+      const section = document.createElement('section');
+      section.className = 'theme-editor__group';
+      
+      const heading = document.createElement('h3');
+      heading.className = 'theme-editor__group-title';
+      heading.textContent = group.title;
+      section.appendChild(heading);
+      
+      group.properties.filter(property => schema[property]).forEach(property => {
+        const entry = schema[property];
+        this.fields[property] = this.addControl(section, new TextInput({
+          id: `${this.modalId}-${property}`,
+          label: ThemeEditor.toLabel(property),
+          description: entry.variable || '',
+          required: entry.required,
+          validate: (value) => value === '' && !entry.required ? null : this.theme.validateValue(property, value),
+          onChange: (value) => this.update(property, value)
+        }));
+      });
+      
+      fields.appendChild(section);
+    });
+    
+    return fields;
+  }
+  
+  /**
+   * Sample elements drawn with the draft's tokens, and the contrast report
+   * @private
+   */
+  buildPreview() {
+    const { html } = SafeContent;
+    const aside = document.createElement('aside');
+    aside.className = 'theme-editor__side';
+    
+    const preview = document.createElement('div');
+    preview.className = 'theme-editor__preview';
+    preview.setAttribute('aria-label', 'Preview');
+    SafeContent.render(preview, html`
+      <div class="theme-editor__preview-title">PREVIEW</div>
+      <p class="theme-editor__preview-text">Body text on the background.</p>
+      <p class="theme-editor__preview-muted">Muted text for hints.</p>
+      <div class="theme-editor__preview-surface">Surface with a muted border</div>
+      <div class="theme-editor__preview-buttons">
+        <span class="theme-editor__preview-button">BUTTON</span>
+        <span class="theme-editor__preview-button theme-editor__preview-button--hover">HOVER</span>
+        <span class="theme-editor__preview-button theme-editor__preview-button--focus">FOCUS</span>
+      </div>
+      <p class="theme-editor__preview-status">
+        <span class="theme-editor__preview-success">✓ Saved</span>
+        <span class="theme-editor__preview-danger">✗ Failed</span>
+      </p>
+    `);
+    
+    const contrast = document.createElement('dl');
+    contrast.className = 'theme-editor__contrast';
+    contrast.setAttribute('aria-live', 'polite');
+    
+    aside.appendChild(preview);
+    aside.appendChild(contrast);
+    
+    this.elements.preview = preview;
+    this.elements.contrast = contrast;
+    
+    return aside;
+  }
+  
+  /**
+   * Save, delete, export and import buttons
+   * @private
+   */
+  buildActions() {
+    const row = document.createElement('div');
+    row.className = 'theme-editor__actions';
+    
+    this.addControl(row, new ActionButton({
+      id: `${this.modalId}-save`,
+      text: 'SAVE & APPLY',
+      variant: 'primary',
+      onClick: () => this.save()
+    }));
+    
+    this.deleteButton = this.addControl(row, new ActionButton({
+      id: `${this.modalId}-delete`,
+      text: 'DELETE',
+      variant: 'danger',
+      onClick: () => this.remove()
+    }));
+    
+    this.addControl(row, new ActionButton({
+      id: `${this.modalId}-export`,
+      text: 'EXPORT',
+      onClick: () => this.exportDraft()
+    }));
+    
+    this.addControl(row, new ActionButton({
+      id: `${this.modalId}-import`,
+      text: 'IMPORT',
+      onClick: () => this.importJson(this.elements.json.value)
+    }));
+    
+    return row;
+  }
+  
+  /**
+   * JSON text area and file picker for sharing themes
+   * @private
+   */
+  buildTransfer() {
+    const section = document.createElement('div');
+    section.className = 'theme-editor__transfer';
+    
+    const label = document.createElement('label');
+    label.className = 'theme-editor__json-label';
+    label.htmlFor = `${this.modalId}-json`;
+    label.textContent = 'THEME JSON';
+    
+    const json = document.createElement('textarea');
+    json.id = `${this.modalId}-json`;
+    json.className = 'theme-editor__json';
+    json.rows = 6;
+    json.spellcheck = false;
+    json.placeholder = 'EXPORT writes the theme here; paste a theme and press IMPORT';
+    
+    const fileLabel = document.createElement('label');
+    fileLabel.className = 'theme-editor__file';
+    fileLabel.textContent = 'LOAD FILE ';
+    
+    const file = document.createElement('input');
+    file.type = 'file';
+    file.accept = '.json,application/json';
+    file.className = 'theme-editor__file-input';
+    this.registerEventHandler('change', () => {
+      if (file.files && file.files[0]) {
+        this.importFile(file.files[0]);
+        file.value = '';
+      }
+    }, file);
+    fileLabel.appendChild(file);
+    
+    section.appendChild(label);
+    section.appendChild(json);
+    section.appendChild(fileLabel);
+    
+    this.elements.json = json;
+    this.elements.file = file;
+    
+    return section;
+  }
+  
+  /**
+   * Field label from a theme property: surfaceHoverColor -> SURFACE HOVER
+   * @param {string} property
+   * @returns {string}
+   */
+  static toLabel(property) {
+    return property
+      .replace(/Color$/, '')
+      .replace(/uiElement/, 'ui')
+      .replace(/([A-Z])/g, ' $1')
+      .toUpperCase();
+  }
+  
+  /**
+   * Mount a form control and keep it for cleanup
+   * @private
+   */
+  addControl(parent, control) {
+    control.mount(parent);
+    this.controls.push(control);
+    return control;
+  }
+  
+  /**
+   * Bind event listeners
+   */
+  bindEvents() {
+    this.registerEventHandler('open-theme-editor', () => this.open());
+    this.registerEventHandler('themes-changed', () => this.refreshSources());
+  }
+  
+  /**
+   * Register event handler for cleanup
+   * @param {string} event - Event name
+   * @param {Function} handler - Handler function
+   * @param {Element} element - Element to attach to (default: document)
+   */
+  registerEventHandler(event, handler, element = document) {
+    element.addEventListener(event, handler);
+    this.eventHandlers.push({ event, handler, element });
+  }
+  
+  /**
+   * Theme picker options from the registry
+   * @private
+   */
+  getThemeOptions() {
+    return this.theme.getThemes().map(theme => ({
+      value: theme.name,
+      label: theme.label || theme.name
+    }));
+  }
+  
+  /**
+   * Re-read the theme list after themes were added or removed
+   */
+  refreshSources() {
+    if (!this.sourcePicker) return;
+    this.sourcePicker.setOptions(this.getThemeOptions());
+    this.renderPreview();
+  }
+  
+  /**
+   * Start editing a registered theme
+   * Built-in themes are copied under a new name, since they cannot be replaced
+   * @param {string} name - Theme name
+   * @returns {boolean} Whether the theme exists
+   */
+  load(name) {
+    if (!this.theme) return false;
+    
+    const values = this.theme.getThemeValues(name);
+    if (!values) return false;
+    
+    if (this.theme.isBuiltIn(name)) {
+      values.name = `${name}-custom`;
+      values.label = `${values.label || name} (Custom)`;
+    }
+    
+    this.draft = values;
+    if (this.sourcePicker) {
+      this.sourcePicker.setValue(name, { silent: true });
+    }
+    this.renderFields();
+    this.renderPreview();
+    this.showStatus('');
+    
+    return true;
+  }
+  
+  /**
+   * Change one draft value and redraw the preview
+   * @param {string} property - Theme property
+   * @param {string} value - New value, empty for the default
+   */
+  update(property, value) {
+    this.draft[property] = value;
+    this.renderPreview();
+  }
+  
+  /**
+   * Draft values without the empty ones
+   * @returns {Object}
+   */
+  getDraft() {
+    const draft = {};
+    Object.entries(this.draft).forEach(([key, value]) => {
+      if (value !== undefined && value !== '') {
+        draft[key] = value;
+      }
+    });
+    return draft;
+  }
+  
+  /**
+   * Show the draft in every field
+   * @private
+   */
+  renderFields() {
+    Object.entries(this.fields).forEach(([property, control]) => {
+      const value = this.draft[property];
+      control.setValue(value !== undefined ? value : (property === 'colorScheme' ? 'dark' : ''), { silent: true });
+    });
+  }
+  
+  /**
+   * Apply the draft's tokens to the preview and update the contrast report
+   */
+  renderPreview() {
+    if (!this.elements.preview) return;
+    
+    const tokens = this.theme.getTokens(this.getDraft());
+    const schema = this.theme.getSchema();
+    
+    Object.entries(tokens).forEach(([property, value]) => {
+      this.elements.preview.style.setProperty(property, value);
+    });
+    
+    // Empty fields show what they will get
+    Object.entries(this.fields).forEach(([property, control]) => {
+      const entry = schema[property];
+      if (entry && entry.variable && control.elements.control) {
+        control.elements.control.placeholder = `auto: ${tokens[entry.variable]}`;
+      }
+    });
+    
+    this.renderContrast(tokens);
+    
+    const name = this.draft.name;
+    this.deleteButton.setDisabled(!name || this.theme.isBuiltIn(name) || !this.theme.getThemeValues(name));
+  }
+  
+  /**
+   * Contrast ratios for the draft
+   * @param {Object} tokens - Draft tokens from opsTheme.getTokens
+   * @returns {Object} { text, muted, ui } ratios, null when a color is unreadable
+   */
+  getContrast(tokens = this.theme.getTokens(this.getDraft())) {
+    const background = tokens['--theme-bg'];
+    return {
+      text: this.theme.getContrastRatio(tokens['--theme-text'], background),
+      muted: this.theme.getContrastRatio(tokens['--theme-muted'], background),
+      ui: this.theme.getContrastRatio(tokens['--theme-ui'], background)
+    };
+  }
+  
+  /**
+   * @private
+   */
+  renderContrast(tokens) {
+    const { AA, AAA, UI } = ThemeEditor.CONTRAST;
+    const contrast = this.getContrast(tokens);
+    const rows = [
+      { label: 'TEXT / BACKGROUND', ratio: contrast.text, checks: [['AA', AA], ['AAA', AAA]] },
+      { label: 'MUTED / BACKGROUND', ratio: contrast.muted, checks: [['AA', AA]] },
+      { label: 'UI / BACKGROUND', ratio: contrast.ui, checks: [['UI', UI]] }
+    ];
+    
+    const list = this.elements.contrast;
+    list.textContent = '';
+    
+    rows.forEach(row => {
+      const term = document.createElement('dt');
+      term.className = 'theme-editor__contrast-label';
+      term.textContent = row.label;
+      
+      const detail = document.createElement('dd');
+      detail.className = 'theme-editor__contrast-value';
+      
+      if (row.ratio === null) {
+        detail.textContent = 'n/a';
+      } else {
+        const passed = row.checks.filter(([, min]) => row.ratio >= min).length;
+        detail.textContent = `${row.ratio.toFixed(2)}:1 ` + row.checks
+          .map(([name, min]) => `${name} ${row.ratio >= min ? '✓' : '✗'}`)
+          .join(' ');
+        detail.classList.toggle('theme-editor__contrast-value--fail', passed === 0);
+      }
+      
+      list.appendChild(term);
+      list.appendChild(detail);
+    });
+  }
+  
+  /**
+   * Save the draft as a custom theme and switch to it
+   * @returns {boolean} Whether it was saved
+   */
+  save() {
+    const result = this.theme.validateTheme(this.getDraft());
+    if (!result.valid) {
+      this.showStatus(result.errors.join('; '), 'error');
+      return false;
+    }
+    
+    if (this.theme.isBuiltIn(result.theme.name)) {
+      this.showStatus(`"${result.theme.name}" is a built-in theme; choose another name`, 'error');
+      return false;
+    }
+    
+    const saved = this.theme.registerTheme(result.theme.name, result.theme, { persist: true });
+    this.theme.setTheme(saved.name);
+    this.sourcePicker.setValue(saved.name, { silent: true });
+    this.renderPreview();
+    this.showStatus(`Saved and applied "${saved.label}"`);
+    
+    return true;
+  }
+  
+  /**
+   * Delete the draft's custom theme
+   * @returns {boolean} Whether it was deleted
+   */
+  remove() {
+    const name = this.draft.name;
+    const label = this.draft.label || name;
+    
+    if (!this.theme.removeTheme(name)) {
+      this.showStatus('Only saved custom themes can be deleted', 'error');
+      return false;
+    }
+    
+    this.load(this.theme.getThemeName());
+    this.showStatus(`Deleted "${label}"`);
+    
+    return true;
+  }
+  
+  /**
+   * Write the draft as JSON to the text area and offer it as a download
+   * @returns {string|null} The JSON, null when the draft is invalid
+   */
+  exportDraft() {
+    const result = this.theme.validateTheme(this.getDraft());
+    if (!result.valid) {
+      this.showStatus(result.errors.join('; '), 'error');
+      return null;
+    }
+    
+    const json = this.theme.exportTheme(result.theme);
+    this.elements.json.value = json;
+    this.download(json, `${result.theme.name}.theme.json`);
+    this.showStatus(`Exported "${result.theme.label || result.theme.name}"`);
+    
+    return json;
+  }
+  
+  /**
+   * Import a theme from JSON, save it and start editing it
+   * @param {string} text - exportTheme JSON
+   * @returns {boolean} Whether it was imported
+   */
+  importJson(text) {
+    if (!text || !text.trim()) {
+      this.showStatus('Paste theme JSON or load a file first', 'error');
+      return false;
+    }
+    
+    const result = this.theme.importTheme(text);
+    if (!result.theme) {
+      this.showStatus(result.errors.join('; '), 'error');
+      return false;
+    }
+    
+    this.load(result.theme.name);
+    this.showStatus(`Imported "${result.theme.label}"`);
+    
+    return true;
+  }
+  
+  /**
+   * Import a theme file chosen by the user
+   * @param {File} file - JSON file
+   * @returns {Promise<boolean>} Whether it was imported
+   */
+  importFile(file) {
+    return file.text()
+      .then(text => {
+        this.elements.json.value = text;
+        return this.importJson(text);
+      })
+      .catch(e => {
+        console.error('Failed to read theme file:', e);
+        this.showStatus('Could not read the file', 'error');
+        return false;
+      });
+  }
+  
+  /**
+   * Save text as a file through a temporary link
+   * @private
+   */
+  download(text, filename) {
+    if (typeof URL.createObjectURL !== 'function') return;
+    
+    const url = URL.createObjectURL(new Blob([text], { type: 'application/json' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.hidden = true;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    URL.revokeObjectURL(url);
+  }
+  
+  /**
+   * Show a save/import result
+   * @param {string} message - Empty clears it
+   * @param {string} type - 'info' or 'error'
+   */
+  showStatus(message, type = 'info') {
+    const status = this.elements.status;
+    if (!status) return;
+    
+    status.textContent = message;
+    status.classList.toggle('theme-editor__status--error', type === 'error');
+  }
+  
+  /**
+   * Get container element
+   * @returns {HTMLElement} Container element
+   */
+  getElement() {
+    return this.elements.container;
+  }
+  
+  /**
+   * Register the editor modal
+   * @param {ModalSystem} modalSystem - Modal system instance
+   * @returns {Modal} The created modal
+   */
+  register(modalSystem = window.ODS && window.ODS.modalSystem) {
+    if (!modalSystem) {
+      console.warn('ThemeEditor: Modal system not available');
+      return null;
+    }
+    
+    this.modal = modalSystem.register({
+      id: this.modalId,
+      title: this.title,
+      moduleId: 'theme-editor',
+      content: this.elements.container,
+      onOpen: () => this.onOpen()
+    });
+    
+    return this.modal;
+  }
+  
+  /**
+   * Module definition for ODSShell.registerModule
+   * @returns {Object} Module definition
+   */
+  getModule() {
+    return {
+      id: 'theme-editor',
+      title: this.title,
+      modal: {
+        id: this.modalId,
+        content: this.elements.container,
+        onOpen: () => this.onOpen()
+      },
+      // Reached from Settings and the command palette
+      settings: { shortcut: false },
+      mount: (context) => {
+        this.modal = context.modal;
+      },
+      destroy: () => this.destroy()
+    };
+  }
+  
+  /**
+   * Start from the active theme each time the editor opens
+   * @private
+   */
+  onOpen() {
+    if (!this.theme) return;
+    this.refreshSources();
+    this.load(this.theme.getThemeName());
+  }
+  
+  /**
+   * Open the editor modal
+   * Stacks on top of any active modal
+   * @returns {Promise<boolean>} Resolves once the modal has opened
+   */
+  open() {
+    const modalSystem = window.ODS && window.ODS.modalSystem;
+    if (!modalSystem || !modalSystem.hasModal(this.modalId)) {
+      console.warn('ThemeEditor: Modal not registered');
+      return Promise.resolve(false);
+    }
+    
+    return modalSystem.open(this.modalId);
+  }
+  
+  /**
+   * Destroy and cleanup
+   */
+  destroy() {
+    this.eventHandlers.forEach(({ event, handler, element }) => {
+      element.removeEventListener(event, handler);
+    });
+    this.eventHandlers = [];
+    
+    this.controls.forEach(control => control.destroy());
+    this.controls = [];
+    this.fields = {};
+    
+    const modalSystem = window.ODS && window.ODS.modalSystem;
+    if (this.modal && modalSystem) {
+      modalSystem.unregister(this.modalId);
+    }
+    
+    this.modal = null;
+    this.elements = {};
+  }
+}
+
+// Export for modules
+if (typeof module !== 'undefined' && module.exports) {
+  module.exports = ThemeEditor;
+}
@@ -2,12 +2,38 @@
  * ODS Shell v9.2.1 - Service Worker
  * Provides offline capability through caching
  * Includes theme resources for complete offline support
+ *
+ * Each request is routed to a strategy (see ROUTES):
+ * - Page navigations: network-first, then the cached page, then offline.html
+ * - JSON data: network-first
+ * - Module scripts and CSS: stale-while-revalidate
+ * - Other app shell files (icons, fonts): precache, cache-first
+ * Runtime caches are kept within CACHE_LIMITS.
  */
 
 const CACHE_NAME = 'ods-shell-v921';
+const RUNTIME_CACHE = 'ods-runtime-v921';
+const DATA_CACHE = 'ods-data-v921';
+
+// Page served to navigations when neither the network nor the cache has one
+const OFFLINE_URL = '/offline.html';
+
+// How long network-first waits before falling back to the cache
+const NETWORK_TIMEOUT = 4000;
+
+// Size and age limits per runtime cache; maxAge is in milliseconds
+const CACHE_LIMITS = {
+    [RUNTIME_CACHE]: { maxEntries: 80, maxAge: 7 * 24 * 60 * 60 * 1000 },
+    [DATA_CACHE]: { maxEntries: 20, maxAge: 24 * 60 * 60 * 1000 }
+};
+
+// Header recording when a runtime cache entry was written
+const CACHED_AT_HEADER = 'X-ODS-Cached-At';
+
 const urlsToCache = [
     '/',
     '/index.html',
+    OFFLINE_URL,
     '/css/shell.css',
     '/js/shell.js',
     '/manifest.json',
@@ -16,10 +42,265 @@ const urlsToCache = [
     // Theme module resources
     '/theme/constants.js',
     '/theme/index.js',
-    // Google Fonts CSS (font files may not cache due to CORS)
-    'https://fonts.googleapis.com/css2?family=Share+Tech+Mono&display=swap'
+    // Self-hosted theme font (browsers with service workers use the woff2)
+    '/theme/fonts.css',
+    '/theme/fonts/share-tech-mono-latin-400-normal.woff2',
+    // Modal system
+    '/modal/ods.modal.js',
+    '/modal/ods.modal.css',
+    '/modal/ods.settings.js',
+    '/modal/ods.router.js',
+    // Storage
+    '/core/storage/storage.js',
+    // Shortcut actions and hotkeys
+    '/core/actions/action-registry.js',
+    '/core/hotkeys/hotkey-manager.js',
+    // Shortcut bar resources
+    '/core/storage/shortcut-store.js',
+    '/core/components/shortcut-bar/shortcut-bar.js',
+    '/core/components/shortcut-bar/shortcut-bar.css',
+    // Dashboard resources
+    '/core/components/dashboard/dashboard.js',
+    '/core/components/dashboard/dashboard.css',
+    // Settings components
+    '/core/content/safe-content.js',
+    '/core/components/collapsible/collapsible-container.js',
+    '/core/components/collapsible/collapsible-container.css',
+    '/core/components/form-control/form-control.js',
+    '/core/components/form-control/form-control.css',
+    '/core/components/toggle-switch/toggle-switch.js',
+    '/core/components/toggle-switch/toggle-switch.css',
+    '/core/components/text-input/text-input.js',
+    '/core/components/text-input/text-input.css',
+    '/core/components/number-stepper/number-stepper.js',
+    '/core/components/number-stepper/number-stepper.css',
+    '/core/components/select-field/select-field.js',
+    '/core/components/select-field/select-field.css',
+    '/core/components/radio-group/radio-group.js',
+    '/core/components/radio-group/radio-group.css',
+    '/core/components/color-swatch-picker/color-swatch-picker.js',
+    '/core/components/color-swatch-picker/color-swatch-picker.css',
+    '/core/components/action-button/action-button.js',
+    '/core/components/action-button/action-button.css',
+    '/core/components/modal-settings/modal-settings.js',
+    '/core/components/modal-settings/modal-settings.css',
+    '/modules/settings/shortcut/shortcut-settings.js',
+    '/modules/settings/shortcut/shortcut-settings.css',
+    '/modules/settings/theme/theme-settings.js',
+    '/modules/settings/settings.js',
+    '/modules/theme-editor/theme-editor.js',
+    '/modules/theme-editor/theme-editor.css',
+    // Built-in modules
+    '/core/modules/module-registry.js',
+    '/modules/shortcut-organization/shortcut-organization.js',
+    '/modules/shortcut-organization/shortcut-organization.css',
+    '/core/storage/task-store.js',
+    '/modules/tasks/tasks.js',
+    '/modules/tasks/tasks.css',
+    '/modules/command-palette/command-palette.js',
+    '/modules/command-palette/command-palette.css'
+];
+
+// Strategy and cache for each kind of request, first match wins
+// Requests matching no route (other origins, non-GET) go straight to the network
+const ROUTES = [
+    {
+        strategy: 'navigation',
+        cacheName: RUNTIME_CACHE,
+        match: (url, request) => request.mode === 'navigate'
+    },
+    {
+        strategy: 'networkFirst',
+        cacheName: DATA_CACHE,
+        match: url => url.pathname.endsWith('.json')
+    },
+    {
+        strategy: 'staleWhileRevalidate',
+        cacheName: RUNTIME_CACHE,
+        match: url => /\.(js|mjs|css)$/.test(url.pathname)
+    },
+    {
+        strategy: 'precache',
+        cacheName: CACHE_NAME,
+        match: url => urlsToCache.includes(url.pathname)
+    },
+    {
+        strategy: 'networkFirst',
+        cacheName: RUNTIME_CACHE,
+        match: () => true
+    }
 ];
 
+/**
+ * Route for a request
+ * @returns {Object|null} ROUTES entry, null when the worker should not respond
+ */
+function findRoute(request) {
+    const url = new URL(request.url, self.location.href);
+    
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return null;
+    }
+    
+    return ROUTES.find(route => route.match(url, request)) || null;
+}
+
+/**
+ * Whether a cached response is still within its cache's maxAge
+ * Precached responses carry no timestamp and never expire
+ */
+function isFresh(response, cacheName) {
+    const limits = CACHE_LIMITS[cacheName];
+    const cachedAt = Number(response.headers.get(CACHED_AT_HEADER));
+    
+    return !limits || !cachedAt || Date.now() - cachedAt < limits.maxAge;
+}
+
+/**
+ * Look a request up in a runtime cache, then in the precache
+ * @returns {Promise<Response|undefined>}
+ */
+function findCached(request, cacheName) {
+    return caches.open(cacheName)
+        .then(cache => cache.match(request))
+        .then(response => response || caches.open(CACHE_NAME)
+            .then(cache => cache.match(request, { ignoreSearch: true })));
+}
+
+/**
+ * Store a complete response in a runtime cache, stamped with the time
+ */
+function putInCache(cacheName, request, response) {
+    if (response.status !== 200) {
+        return Promise.resolve();
+    }
+    
+    const headers = new Headers(response.headers);
+    headers.set(CACHED_AT_HEADER, String(Date.now()));
+    const stamped = new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: headers
+    });
+    
+    return caches.open(cacheName)
+        .then(cache => cache.put(request, stamped))
+        .then(() => trimCache(cacheName))
+        .catch(error => {
+            console.warn('[ServiceWorker] Cache write failed:', request.url, error);
+        });
+}
+
+/**
+ * Drop the oldest entries of a cache beyond its maxEntries
+ * cache.keys() lists entries in the order they were written
+ */
+function trimCache(cacheName) {
+    const limits = CACHE_LIMITS[cacheName];
+    if (!limits) {
+        return Promise.resolve();
+    }
+    
+    return caches.open(cacheName).then(cache => cache.keys().then(requests => {
+        const excess = requests.slice(0, Math.max(0, requests.length - limits.maxEntries));
+        return Promise.all(excess.map(request => cache.delete(request)));
+    }));
+}
+
+/**
+ * Drop the entries of a cache older than its maxAge
+ */
+function expireCache(cacheName) {
+    return caches.open(cacheName).then(cache => cache.keys().then(requests => {
+        return Promise.all(requests.map(request => cache.match(request).then(response => {
+            if (response && !isFresh(response, cacheName)) {
+                return cache.delete(request);
+            }
+        })));
+    }));
+}
+
+/**
+ * Fetch from the network, writing a copy to cacheName
+ * The event is kept alive until the copy is stored, even when the page
+ * was already answered from the cache
+ */
+function fetchAndCache(event, cacheName) {
+    const request = event.request;
+    const network = fetch(request).then(response => {
+        event.waitUntil(putInCache(cacheName, request, response.clone()));
+        return response;
+    });
+    
+    event.waitUntil(network.catch(() => {}));
+    return network;
+}
+
+/**
+ * Reject when a promise takes longer than ms
+ */
+function withTimeout(promise, ms) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(() => reject(new Error('Network timeout')), ms);
+        promise.then(resolve, reject).finally(() => clearTimeout(timer));
+    });
+}
+
+// Strategy handlers, named by ROUTES; each resolves to a Response or rejects
+const strategies = {
+    /**
+     * App shell: the copy cached at install, the network only for misses
+     */
+    precache(event) {
+        return caches.open(CACHE_NAME)
+            .then(cache => cache.match(event.request, { ignoreSearch: true }))
+            .then(response => response || fetch(event.request));
+    },
+    
+    /**
+     * Scripts and CSS: answer from the cache and refresh it in the background
+     * An expired or missing copy waits for the network (the old copy is still
+     * used when offline)
+     */
+    staleWhileRevalidate(event, cacheName) {
+        const network = fetchAndCache(event, cacheName);
+        
+        return findCached(event.request, cacheName).then(response => {
+            if (response && isFresh(response, cacheName)) {
+                return response;
+            }
+            return network.catch(error => {
+                if (response) return response;
+                throw error;
+            });
+        });
+    },
+    
+    /**
+     * Data: the network when it answers within NETWORK_TIMEOUT, else the cache
+     */
+    networkFirst(event, cacheName) {
+        const network = fetchAndCache(event, cacheName);
+        
+        return withTimeout(network, NETWORK_TIMEOUT)
+            .catch(() => findCached(event.request, cacheName)
+                .then(response => response || network));
+    },
+    
+    /**
+     * Pages: network-first, falling back to the offline page
+     */
+    navigation(event, cacheName) {
+        return strategies.networkFirst(event, cacheName)
+            .catch(() => caches.open(CACHE_NAME)
+                .then(cache => cache.match(OFFLINE_URL))
+                .then(response => {
+                    if (!response) throw new Error('Offline page not cached');
+                    return response;
+                }));
+    }
+};
+
 // Install event - cache all shell resources
 self.addEventListener('install', event => {
     console.log('[ServiceWorker] Installing');
@@ -41,42 +322,52 @@ self.addEventListener('install', event => {
     );
 });
 
-// Fetch event - serve from cache when offline
+// Fetch event - answer each route with its strategy
 self.addEventListener('fetch', event => {
+    const route = findRoute(event.request);
+    if (!route) {
+        return;
+    }
+    
     event.respondWith(
-        caches.match(event.request)
-            .then(response => {
-                // Return cached version or fetch from network
-                if (response) {
-                    return response;
-                }
-                return fetch(event.request);
-            })
+        strategies[route.strategy](event, route.cacheName)
             .catch(error => {
-                console.error('[ServiceWorker] Fetch failed:', error);
+                console.warn('[ServiceWorker] Fetch failed:', event.request.url, error);
+                // Nothing cached and no network: answer instead of a network error
+                return new Response('Offline', {
+                    status: 503,
+                    statusText: 'Service Unavailable',
+                    headers: { 'Content-Type': 'text/plain' }
+                });
             })
     );
 });
 
-// Activate event - clean up old caches and claim clients
+// Activate event - clean up old caches, expire runtime entries and claim clients
 self.addEventListener('activate', event => {
     console.log('[ServiceWorker] Activating');
     
+    const current = [CACHE_NAME, RUNTIME_CACHE, DATA_CACHE];
+    
     event.waitUntil(
         caches.keys().then(cacheNames => {
             return Promise.all(
                 cacheNames.map(cacheName => {
-                    // Delete old shell caches but keep current one
-                    if (cacheName.startsWith('ods-shell-') && cacheName !== CACHE_NAME) {
+                    // Delete old shell and runtime caches but keep current ones
+                    if (/^ods-(shell|runtime|data)-/.test(cacheName) && !current.includes(cacheName)) {
                         console.log('[ServiceWorker] Removing old cache:', cacheName);
                         return caches.delete(cacheName);
                     }
                 })
             );
+        }).then(() => {
+            return Promise.all(Object.keys(CACHE_LIMITS).map(cacheName => {
+                return expireCache(cacheName).then(() => trimCache(cacheName));
+            }));
         }).then(() => {
             console.log('[ServiceWorker] Activation complete');
             // Claim all clients immediately
             return self.clients.claim();
         })
     );
-});
\ No newline at end of file
+});
@@ -1,17 +1,184 @@
 /**
- * ops.theme v2 Constants
- * Defines the Terminal theme configuration
+ * ops.theme v3 Constants
+ * Defines the built-in themes, their CSS variable mapping
+ * and the design tokens shared by every theme
  */
 
-// Terminal theme configuration - the single theme for v2
+// Terminal theme configuration - the default theme
 const TERMINAL_THEME = {
+    name: 'terminal',
+    label: 'Terminal',
     backgroundColor: '#000000',
     textColor: '#00FF00',
     uiElementColor: '#00FF00',
-    fontFamily: "'Share Tech Mono', monospace"
+    fontFamily: "'Share Tech Mono', monospace",
+    colorScheme: 'dark'
 };
 
-// CSS custom property mappings
+// Built-in themes, keyed by name
+const THEMES = {
+    terminal: TERMINAL_THEME,
+    amber: {
+        name: 'amber',
+        label: 'Amber Phosphor',
+        backgroundColor: '#000000',
+        textColor: '#FFB000',
+        uiElementColor: '#FFB000',
+        fontFamily: "'Share Tech Mono', monospace",
+        colorScheme: 'dark'
+    },
+    white: {
+        name: 'white',
+        label: 'White Phosphor',
+        backgroundColor: '#000000',
+        textColor: '#E8E8E8',
+        uiElementColor: '#FFFFFF',
+        fontFamily: "'Share Tech Mono', monospace",
+        colorScheme: 'dark'
+    },
+    light: {
+        name: 'light',
+        label: 'Light',
+        backgroundColor: '#F4F4EC',
+        textColor: '#1A1A1A',
+        uiElementColor: '#006B00',
+        fontFamily: "'Share Tech Mono', monospace",
+        colorScheme: 'light',
+        dangerColor: '#C00000',
+        successColor: '#006B00',
+        overlayColor: 'rgba(0, 0, 0, 0.4)',
+        radiusSmall: '2px',
+        radiusMedium: '4px'
+    },
+    'high-contrast': {
+        name: 'high-contrast',
+        label: 'High Contrast',
+        backgroundColor: '#000000',
+        textColor: '#FFFFFF',
+        uiElementColor: '#FFFF00',
+        fontFamily: "'Share Tech Mono', monospace",
+        colorScheme: 'dark',
+        // Faded text and borders are too faint at this contrast
+        mutedColor: '#FFFFFF',
+        borderMutedColor: '#FFFFFF'
+    }
+};
+
+// Theme used when nothing is saved
+const DEFAULT_THEME = 'terminal';
+
+// Mode that follows the system light/dark and contrast settings
+const AUTO_THEME = 'auto';
+
+// Theme picked in auto mode for each system preference
+// contrast wins over light/dark (prefers-contrast: more, forced-colors)
+const AUTO_THEMES = {
+    dark: 'terminal',
+    light: 'light',
+    contrast: 'high-contrast'
+};
+
+// Theme property for each CSS custom property
+const THEME_VARIABLES = {
+    '--theme-bg': 'backgroundColor',
+    '--theme-text': 'textColor',
+    '--theme-ui': 'uiElementColor',
+    '--theme-font': 'fontFamily',
+    '--theme-surface': 'surfaceColor',
+    '--theme-surface-hover': 'surfaceHoverColor',
+    '--theme-surface-active': 'surfaceActiveColor',
+    '--theme-border': 'borderColor',
+    '--theme-border-muted': 'borderMutedColor',
+    '--theme-muted': 'mutedColor',
+    '--theme-accent': 'accentColor',
+    '--theme-danger': 'dangerColor',
+    '--theme-success': 'successColor',
+    '--theme-overlay': 'overlayColor',
+    '--theme-focus-color': 'focusColor',
+    '--theme-radius-sm': 'radiusSmall',
+    '--theme-radius-md': 'radiusMedium'
+};
+
+// Values for theme properties a theme leaves out
+// [property, alpha] derives a color from another of the theme's colors,
+// a string is used as is
+const THEME_DEFAULTS = {
+    surfaceColor: ['uiElementColor', 0.05],
+    surfaceHoverColor: ['uiElementColor', 0.1],
+    surfaceActiveColor: ['uiElementColor', 0.2],
+    borderColor: ['uiElementColor', 1],
+    borderMutedColor: ['uiElementColor', 0.3],
+    mutedColor: ['textColor', 0.6],
+    accentColor: ['uiElementColor', 1],
+    dangerColor: '#FF0000',
+    successColor: '#00FF00',
+    overlayColor: 'rgba(0, 0, 0, 0.7)',
+    focusColor: ['uiElementColor', 1],
+    radiusSmall: '0px',
+    radiusMedium: '0px'
+};
+
+// Value type of each theme property, used to validate imported themes
+const THEME_SCHEMA = {
+    name: 'name',
+    label: 'text',
+    backgroundColor: 'color',
+    textColor: 'color',
+    uiElementColor: 'color',
+    fontFamily: 'font',
+    colorScheme: 'scheme',
+    surfaceColor: 'color',
+    surfaceHoverColor: 'color',
+    surfaceActiveColor: 'color',
+    borderColor: 'color',
+    borderMutedColor: 'color',
+    mutedColor: 'color',
+    accentColor: 'color',
+    dangerColor: 'color',
+    successColor: 'color',
+    overlayColor: 'color',
+    focusColor: 'color',
+    radiusSmall: 'length',
+    radiusMedium: 'length'
+};
+
+// Properties every imported theme must have
+const REQUIRED_PROPERTIES = ['name', 'backgroundColor', 'textColor', 'uiElementColor'];
+
+// Envelope written by exportTheme
+const THEME_FORMAT = {
+    format: 'ops-theme',
+    version: 1
+};
+
+// Design tokens that are the same in every theme
+const TOKENS = {
+    // Spacing scale
+    '--theme-space-2xs': '2px',
+    '--theme-space-xs': '4px',
+    '--theme-space-sm': '8px',
+    '--theme-space-md': '12px',
+    '--theme-space-lg': '16px',
+    '--theme-space-xl': '20px',
+    '--theme-space-2xl': '24px',
+    // Type scale
+    '--theme-font-size-xs': '10px',
+    '--theme-font-size-sm': '11px',
+    '--theme-font-size-md': '12px',
+    '--theme-font-size-lg': '14px',
+    '--theme-font-size-xl': '16px',
+    '--theme-font-size-2xl': '18px',
+    '--theme-font-size-3xl': '24px',
+    '--theme-line-height': '1.6',
+    '--theme-letter-spacing': '0.1em',
+    // Radii (sm/md come from the theme)
+    '--theme-radius-round': '50%',
+    // Focus ring, drawn in --theme-focus-color
+    '--theme-focus-width': '2px',
+    '--theme-focus-offset': '2px'
+};
+
+// CSS custom property mappings for the default theme
 const CSS_VARIABLES = {
     '--theme-bg': TERMINAL_THEME.backgroundColor,
     '--theme-text': TERMINAL_THEME.textColor,
@@ -23,5 +190,15 @@ const CSS_VARIABLES = {
 // Using old-school exports for compatibility with simple script tag loading
 window.themeConstants = {
     TERMINAL_THEME,
+    THEMES,
+    DEFAULT_THEME,
+    AUTO_THEME,
+    AUTO_THEMES,
+    THEME_VARIABLES,
+    THEME_DEFAULTS,
+    THEME_SCHEMA,
+    REQUIRED_PROPERTIES,
+    THEME_FORMAT,
+    TOKENS,
     CSS_VARIABLES
-};
\ No newline at end of file
+};
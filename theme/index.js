@@ -1,78 +1,931 @@
 /**
- * ops.theme v2
+ * ops.theme v3
  * Provides CSS custom properties for consistent theming
- * Version: 2.0.0
+ * and a registry of themes that can be switched at runtime.
+ * "auto" mode follows the system color scheme and contrast settings.
+ * Themes set colors; design tokens (spacing, type scale, radii,
+ * focus ring) are derived or shared so components only use variables.
+ * Custom themes are validated against a schema, saved on the device and
+ * can be exported/imported as JSON.
+ * The theme font chain is checked through document.fonts.
+ * Version: 3.4.0
  */
 
 (function() {
     'use strict';
-
+    
     // Load constants - assumes constants.js loads first
     const constants = window.themeConstants || {
         TERMINAL_THEME: {
+            name: 'terminal',
+            label: 'Terminal',
             backgroundColor: '#000000',
             textColor: '#00FF00',
             uiElementColor: '#00FF00',
-            fontFamily: "'Share Tech Mono', monospace"
+            fontFamily: "'Share Tech Mono', monospace",
+            colorScheme: 'dark'
+        },
+        DEFAULT_THEME: 'terminal',
+        AUTO_THEME: 'auto',
+        AUTO_THEMES: {
+            dark: 'terminal',
+            light: 'light',
+            contrast: 'high-contrast'
         },
-        CSS_VARIABLES: {
-            '--theme-bg': '#000000',
-            '--theme-text': '#00FF00',
-            '--theme-ui': '#00FF00',
-            '--theme-font': "'Share Tech Mono', monospace"
+        THEME_VARIABLES: {
+            '--theme-bg': 'backgroundColor',
+            '--theme-text': 'textColor',
+            '--theme-ui': 'uiElementColor',
+            '--theme-font': 'fontFamily'
         }
     };
-
+    
+    const THEMES = constants.THEMES || { terminal: constants.TERMINAL_THEME };
+    const THEME_DEFAULTS = constants.THEME_DEFAULTS || {};
+    const TOKENS = constants.TOKENS || {};
+    const THEME_SCHEMA = constants.THEME_SCHEMA || {};
+    const REQUIRED_PROPERTIES = constants.REQUIRED_PROPERTIES || ['name'];
+    const THEME_FORMAT = constants.THEME_FORMAT || { format: 'ops-theme', version: 1 };
+    
+    // Font families every browser provides
+    const GENERIC_FAMILIES = ['serif', 'sans-serif', 'monospace', 'cursive', 'fantasy', 'system-ui',
+        'ui-serif', 'ui-sans-serif', 'ui-monospace', 'ui-rounded', 'math', 'emoji', 'fangsong'];
+    
+    /**
+     * Split a font-family list into unquoted family names
+     */
+    function parseFamilies(fontFamily) {
+        return String(fontFamily || '')
+            .split(',')
+            .map(family => family.trim().replace(/^(['"])(.*)\1$/, '$2'))
+            .filter(Boolean);
+    }
+    
+    /**
+     * Parse a #RGB, #RRGGBB, rgb() or rgba() color
+     * @returns {Array<number>|null} [r, g, b, a]
+     */
+    function parseColor(color) {
+        const text = String(color).trim();
+        const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(text);
+        if (hex) {
+            const digits = hex[1].length === 3 ? hex[1].split('').map(c => c + c).join('') : hex[1];
+            return [0, 2, 4].map(i => parseInt(digits.slice(i, i + 2), 16)).concat(1);
+        }
+        
+        const rgb = /^rgba?\(\s*(\d{1,3})\s*,\s*(\d{1,3})\s*,\s*(\d{1,3})\s*(?:,\s*(\d*\.?\d+)\s*)?\)$/i.exec(text);
+        if (rgb) {
+            const channels = rgb.slice(1, 4).map(Number);
+            const alpha = rgb[4] === undefined ? 1 : Number(rgb[4]);
+            if (channels.every(c => c <= 255) && alpha <= 1) {
+                return channels.concat(alpha);
+            }
+        }
+        
+        return null;
+    }
+    
+    /**
+     * WCAG relative luminance of an opaque [r, g, b]
+     */
+    function luminance(rgb) {
+        const [r, g, b] = rgb.map(c => {
+            const s = c / 255;
+            return s <= 0.03928 ? s / 12.92 : Math.pow((s + 0.055) / 1.055, 2.4);
+        });
+        return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+    }
+    
+    /**
+     * Error message for a theme property value, null when valid
+     */
+    function checkProperty(type, value) {
+        if (typeof value !== 'string') {
+            return 'must be a string';
+        }
+        
+        switch (type) {
+            case 'name':
+                return /^[a-z0-9]+(-[a-z0-9]+)*$/.test(value) && value.length <= 32
+                    ? null : 'must be lowercase letters, digits and dashes (at most 32)';
+            case 'text':
+                return value.trim() && value.length <= 40 ? null : 'must be 1-40 characters';
+            case 'color':
+                return parseColor(value) ? null : 'must be a #RRGGBB, rgb() or rgba() color';
+            case 'font':
+                return value.trim() && value.length <= 100 && !/[;{}<>]/.test(value)
+                    ? null : 'must be a font-family list without ; { } < >';
+            case 'scheme':
+                return value === 'dark' || value === 'light' ? null : 'must be dark or light';
+            case 'length':
+                return /^(0|\d+(\.\d+)?(px|rem|em))$/.test(value) ? null : 'must be a length in px, rem or em';
+            default:
+                return 'is not a theme property';
+        }
+    }
+    
+    /**
+     * Hex color with an alpha, as rgba()
+     * Colors that are not #RGB/#RRGGBB are returned unchanged
+     */
+    function withAlpha(color, alpha) {
+        const match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(color).trim());
+        if (!match || alpha === 1) {
+            return color;
+        }
+        
+        let hex = match[1];
+        if (hex.length === 3) {
+            hex = hex.split('').map(c => c + c).join('');
+        }
+        const [r, g, b] = [0, 2, 4].map(i => parseInt(hex.slice(i, i + 2), 16));
+        return `rgba(${r}, ${g}, ${b}, ${alpha})`;
+    }
+    
+    /**
+     * Copy of a theme with every THEME_DEFAULTS property filled in
+     */
+    function completeTheme(theme) {
+        const complete = Object.assign({}, theme);
+        Object.entries(THEME_DEFAULTS).forEach(([key, value]) => {
+            if (complete[key]) {
+                return;
+            }
+            complete[key] = Array.isArray(value) ? withAlpha(theme[value[0]], value[1]) : value;
+        });
+        return Object.freeze(complete);
+    }
+    
+    // System preferences watched in auto mode
+    const MEDIA_QUERIES = {
+        light: '(prefers-color-scheme: light)',
+        contrast: '(prefers-contrast: more)',
+        forced: '(forced-colors: active)'
+    };
+    
     // Create the global opsTheme object
     window.opsTheme = {
-        // Current theme (v2 has only Terminal)
+        // Default theme, kept for v2 callers
         TERMINAL: constants.TERMINAL_THEME,
         
+        // Auto mode name
+        AUTO: constants.AUTO_THEME,
+        
         // Version info
-        version: '2.0.0',
+        version: '3.4.0',
         
         // Initialization state
         initialized: false,
         
+        // Registered themes by name
+        themes: Object.fromEntries(Object.entries(THEMES).map(([name, theme]) => [name, completeTheme(theme)])),
+        
+        // Values each theme was registered with, before derived tokens
+        sources: Object.assign({}, THEMES),
+        
+        // Saved custom themes by name, see saveCustomThemes
+        customThemes: {},
+        
+        // Name of the active theme
+        current: constants.DEFAULT_THEME,
+        
+        // Chosen mode: a theme name, or AUTO to follow the system
+        mode: constants.DEFAULT_THEME,
+        
+        // Theme used in auto mode for each system preference
+        autoThemes: Object.assign({}, constants.AUTO_THEMES),
+        
+        // MediaQueryList per MEDIA_QUERIES entry, set by watchSystem
+        mediaQueries: null,
+        
+        // Result of the last checkFont, null until it finishes
+        fontStatus: null,
+        
+        // Manifest link state, see updateManifest
+        manifestSource: null,
+        manifestData: null,
+        manifestUrl: null,
+        
+        // Kept in localStorage (not ODS.storage) so the saved theme
+        // can be applied before the first paint
+        storageKey: 'ops-theme',
+        customKey: 'ops-theme-custom',
+        
         /**
          * Initialize the theme system
-         * Injects CSS custom properties at the document root
+         * Applies the saved theme (or the default) at the document root
          */
         init: function() {
             if (this.initialized) {
                 return;
             }
-
+            
             try {
-                // Get the document root element
-                const root = document.documentElement;
-                
-                // Inject each CSS variable
-                Object.entries(constants.CSS_VARIABLES).forEach(([property, value]) => {
-                    root.style.setProperty(property, value);
-                });
+                this.loadCustomThemes();
+                const saved = this.loadThemeName();
+                this.watchSystem();
+                this.mode = this.isValidMode(saved) ? saved : constants.DEFAULT_THEME;
+                this.applyTheme(this.resolveTheme(this.mode));
                 
                 // Mark as initialized
                 this.initialized = true;
                 
                 // Log success
-                console.log('ops.theme v2 initialized');
+                console.log(`ops.theme v3 initialized (${this.mode === this.AUTO ? `auto: ${this.current}` : this.current})`);
                 
                 // Return true for success
                 return true;
                 
             } catch (error) {
-                console.error('ops.theme v2: Initialization failed', error);
+                console.error('ops.theme v3: Initialization failed', error);
                 return false;
             }
         },
         
+        /**
+         * Add or replace a theme
+         * Missing colors and font fall back to the Terminal theme;
+         * surface, border, muted and focus colors are derived from the
+         * theme's own colors unless given
+         * @param {string} name - Theme name
+         * @param {Object} theme - backgroundColor, textColor, uiElementColor, fontFamily, label
+         *                         and optionally any THEME_DEFAULTS property
+         * @param {Object} options - { persist: true } saves it as a custom theme
+         * @returns {Object|null} The stored theme, null when the name is invalid
+         */
+        registerTheme: function(name, theme, options = {}) {
+            if (typeof name !== 'string' || !name.trim() || !theme) {
+                console.warn('ops.theme v3: Theme needs a name and values');
+                return null;
+            }
+            
+            const source = Object.assign({}, theme, {
+                name: name,
+                label: theme.label || name
+            });
+            const entry = completeTheme(Object.assign({}, this.TERMINAL, source));
+            this.themes[name] = entry;
+            this.sources[name] = source;
+            
+            if (options.persist) {
+                this.customThemes[name] = source;
+                this.saveCustomThemes();
+            }
+            
+            // Re-apply when the active theme was edited
+            if (this.initialized && name === this.current) {
+                this.applyTheme(name);
+            }
+            
+            this.dispatchListChange(name);
+            
+            return entry;
+        },
+        
+        /**
+         * Remove a custom theme
+         * Falls back to the default theme when it was in use
+         * @param {string} name - Theme name
+         * @returns {boolean} Whether it was removed (built-in themes cannot be)
+         */
+        removeTheme: function(name) {
+            if (!this.themes[name] || this.isBuiltIn(name)) {
+                return false;
+            }
+            
+            delete this.themes[name];
+            delete this.sources[name];
+            if (this.customThemes[name]) {
+                delete this.customThemes[name];
+                this.saveCustomThemes();
+            }
+            
+            if (this.mode === name) {
+                this.setTheme(constants.DEFAULT_THEME);
+            } else if (this.current === name) {
+                // An auto mapping pointed at it
+                this.applyTheme(this.resolveTheme(this.mode));
+                this.dispatchChange(name);
+            }
+            
+            this.dispatchListChange(name);
+            
+            return true;
+        },
+        
+        /**
+         * Whether a theme ships with ops.theme
+         * @param {string} name - Theme name
+         * @returns {boolean}
+         */
+        isBuiltIn: function(name) {
+            return Object.prototype.hasOwnProperty.call(THEMES, name);
+        },
+        
+        /**
+         * Values a theme was registered with, before derived tokens are filled in
+         * @param {string} name - Theme name
+         * @returns {Object|null}
+         */
+        getThemeValues: function(name) {
+            return this.sources[name] ? Object.assign({}, this.sources[name]) : null;
+        },
+        
+        /**
+         * Dispatch themes-changed after a theme was added, replaced or removed
+         * @private
+         */
+        dispatchListChange: function(name) {
+            document.dispatchEvent(new CustomEvent('themes-changed', {
+                detail: {
+                    name: name,
+                    removed: !this.themes[name],
+                    themes: Object.keys(this.themes)
+                },
+                bubbles: true
+            }));
+        },
+        
+        /**
+         * List registered themes
+         * @returns {Array<Object>} Themes in registration order
+         */
+        getThemes: function() {
+            return Object.values(this.themes);
+        },
+        
+        /**
+         * Switch to a registered theme, or to AUTO to follow the system
+         * Updates the CSS variables, saves the choice and dispatches theme-changed
+         * @param {string} name - Theme name or 'auto'
+         * @param {Object} options - { persist: false } skips saving
+         * @returns {boolean} Whether the theme exists
+         */
+        setTheme: function(name, options = {}) {
+            if (!this.isValidMode(name)) {
+                console.warn(`ops.theme v3: Unknown theme "${name}"`);
+                return false;
+            }
+            
+            const previous = this.current;
+            const previousMode = this.mode;
+            this.mode = name;
+            this.applyTheme(this.resolveTheme(name));
+            
+            if (options.persist !== false) {
+                this.saveThemeName(name);
+            }
+            
+            if (previous !== this.current || previousMode !== this.mode) {
+                this.dispatchChange(previous);
+            }
+            
+            return true;
+        },
+        
+        /**
+         * Whether a name can be passed to setTheme
+         * @private
+         */
+        isValidMode: function(name) {
+            return name === this.AUTO || Boolean(name && this.themes[name]);
+        },
+        
+        /**
+         * Theme name to apply for a mode
+         * @private
+         */
+        resolveTheme: function(mode) {
+            return mode === this.AUTO ? this.resolveAutoTheme() : mode;
+        },
+        
+        /**
+         * Theme that matches the system preferences
+         * @param {Object} preferences - { scheme: 'dark'|'light', contrast: boolean }
+         * @returns {string} Theme name
+         */
+        resolveAutoTheme: function(preferences = this.getSystemPreferences()) {
+            let name = this.autoThemes.dark;
+            if (preferences.contrast) {
+                name = this.autoThemes.contrast;
+            } else if (preferences.scheme === 'light') {
+                name = this.autoThemes.light;
+            }
+            return this.themes[name] ? name : constants.DEFAULT_THEME;
+        },
+        
+        /**
+         * Read the system color scheme and contrast settings
+         * @returns {Object} { scheme: 'dark'|'light', contrast: boolean }
+         */
+        getSystemPreferences: function() {
+            const queries = this.mediaQueries || {};
+            const matches = (key) => Boolean(queries[key] && queries[key].matches);
+            
+            return {
+                scheme: matches('light') ? 'light' : 'dark',
+                contrast: matches('contrast') || matches('forced')
+            };
+        },
+        
+        /**
+         * Listen for system preference changes
+         * @private
+         */
+        watchSystem: function() {
+            if (this.mediaQueries || typeof window.matchMedia !== 'function') {
+                return;
+            }
+            
+            const handler = () => this.handleSystemChange();
+            this.mediaQueries = {};
+            
+            Object.entries(MEDIA_QUERIES).forEach(([key, query]) => {
+                const list = window.matchMedia(query);
+                if (typeof list.addEventListener === 'function') {
+                    list.addEventListener('change', handler);
+                } else if (typeof list.addListener === 'function') {
+                    // Safari < 14
+                    list.addListener(handler);
+                }
+                this.mediaQueries[key] = list;
+            });
+        },
+        
+        /**
+         * Switch live when the system changes in auto mode
+         */
+        handleSystemChange: function() {
+            if (this.mode !== this.AUTO) {
+                return;
+            }
+            
+            const next = this.resolveAutoTheme();
+            if (next !== this.current) {
+                const previous = this.current;
+                this.applyTheme(next);
+                this.dispatchChange(previous);
+            }
+        },
+        
+        /**
+         * Dispatch theme-changed for the active theme
+         * @private
+         */
+        dispatchChange: function(previous) {
+            document.dispatchEvent(new CustomEvent('theme-changed', {
+                detail: {
+                    name: this.current,
+                    previous: previous,
+                    mode: this.mode,
+                    auto: this.mode === this.AUTO,
+                    theme: this.getTheme()
+                },
+                bubbles: true
+            }));
+        },
+        
+        /**
+         * Write a theme's CSS variables to the document root
+         * @private
+         */
+        applyTheme: function(name) {
+            const theme = this.themes[name];
+            const root = document.documentElement;
+            
+            Object.entries(this.getTokens(name)).forEach(([property, value]) => {
+                root.style.setProperty(property, value);
+            });
+            root.style.colorScheme = theme.colorScheme || 'dark';
+            root.setAttribute('data-theme', name);
+            
+            this.current = name;
+            this.updateMeta(theme);
+            this.updateManifest(theme);
+            this.checkFont();
+        },
+        
+        /**
+         * Check which family of the theme's font chain the browser uses
+         * Web fonts are loaded through document.fonts; a family without an
+         * @font-face rule counts as installed (status 'system')
+         * @returns {Promise<Object>} { fontFamily, family, active, loaded, chain }
+         *   - family: first family in the chain
+         *   - active: first usable family, the one text is drawn in
+         *   - loaded: whether the first family is a loaded web font or generic;
+         *     null when it has no @font-face or the browser has no document.fonts
+         *   - chain: [{ family, status: 'loaded'|'failed'|'system'|'generic' }]
+         */
+        checkFont: function() {
+            const fontFamily = this.getTheme().fontFamily;
+            const families = parseFamilies(fontFamily);
+            const fonts = document.fonts;
+            
+            if (!fonts || typeof fonts.load !== 'function') {
+                this.fontStatus = { fontFamily: fontFamily, family: families[0] || null, active: null, loaded: null, chain: [] };
+                return Promise.resolve(this.fontStatus);
+            }
+            
+            return Promise.all(families.map(family => {
+                if (GENERIC_FAMILIES.includes(family.toLowerCase())) {
+                    return { family: family, status: 'generic' };
+                }
+                return fonts.load(`16px "${family}"`)
+                    .then(faces => {
+                        if (faces.length === 0) {
+                            return { family: family, status: 'system' };
+                        }
+                        return { family: family, status: faces.some(face => face.status === 'loaded') ? 'loaded' : 'failed' };
+                    })
+                    .catch(() => ({ family: family, status: 'failed' }));
+            })).then(chain => {
+                const active = chain.find(entry => entry.status !== 'failed');
+                const first = chain.length > 0 ? chain[0].status : 'failed';
+                const status = {
+                    fontFamily: fontFamily,
+                    family: families[0] || null,
+                    active: active ? active.family : null,
+                    loaded: first === 'system' ? null : first !== 'failed',
+                    chain: chain
+                };
+                
+                // A newer check owns fontStatus once the font changed
+                if (fontFamily === this.getTheme().fontFamily) {
+                    this.fontStatus = status;
+                }
+                return status;
+            });
+        },
+        
+        /**
+         * Result of the last font check
+         * @returns {Object|null} See checkFont
+         */
+        getFontStatus: function() {
+            return this.fontStatus;
+        },
+        
+        /**
+         * Match the browser UI color to the theme
+         * @private
+         */
+        updateMeta: function(theme) {
+            ['theme-color', 'msapplication-TileColor'].forEach(metaName => {
+                const meta = document.querySelector(`meta[name="${metaName}"]`);
+                if (meta) {
+                    meta.setAttribute('content', theme.backgroundColor);
+                }
+            });
+        },
+        
+        /**
+         * Point the manifest link at a copy with the theme's colors
+         * manifest.json ships the default theme's colors, so the link is
+         * left alone (or restored) for that theme
+         * @private
+         */
+        updateManifest: function(theme) {
+            const link = document.querySelector('link[rel="manifest"]');
+            if (!link) {
+                return;
+            }
+            
+            if (!this.manifestSource) {
+                this.manifestSource = link.href;
+            }
+            
+            if (theme.name === constants.DEFAULT_THEME) {
+                this.setManifestUrl(link, null);
+                return;
+            }
+            
+            if (typeof fetch !== 'function' || typeof URL.createObjectURL !== 'function') {
+                return;
+            }
+            
+            if (!this.manifestData) {
+                this.manifestData = fetch(this.manifestSource).then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                });
+            }
+            
+            this.manifestData
+                .then(manifest => {
+                    // Skip if another theme was applied while loading
+                    if (this.current !== theme.name) {
+                        return;
+                    }
+                    const themed = this.buildManifest(manifest, theme, this.manifestSource);
+                    const blob = new Blob([JSON.stringify(themed)], { type: 'application/manifest+json' });
+                    this.setManifestUrl(link, URL.createObjectURL(blob));
+                })
+                .catch(error => {
+                    this.manifestData = null;
+                    console.error('Failed to update manifest:', error);
+                });
+        },
+        
+        /**
+         * Copy of a manifest with theme colors and absolute URLs
+         * (URLs in a blob manifest cannot resolve against the original file)
+         * @param {Object} manifest - Parsed manifest.json
+         * @param {Object} theme - Theme values
+         * @param {string} source - Absolute URL of manifest.json
+         * @returns {Object}
+         */
+        buildManifest: function(manifest, theme, source) {
+            const absolute = (url) => new URL(url, source).href;
+            
+            return Object.assign({}, manifest, {
+                theme_color: theme.backgroundColor,
+                background_color: theme.backgroundColor,
+                start_url: absolute(manifest.start_url || '.'),
+                scope: absolute(manifest.scope || '.'),
+                icons: (manifest.icons || []).map(icon => Object.assign({}, icon, { src: absolute(icon.src) }))
+            });
+        },
+        
+        /**
+         * Swap the manifest link, releasing the previous blob
+         * @private
+         */
+        setManifestUrl: function(link, url) {
+            if (this.manifestUrl) {
+                URL.revokeObjectURL(this.manifestUrl);
+            }
+            this.manifestUrl = url;
+            link.href = url || this.manifestSource;
+        },
+        
+        /**
+         * Theme properties with their value type and CSS variable
+         * @returns {Object} property -> { type, variable, required, derived }
+         */
+        getSchema: function() {
+            const variables = {};
+            Object.entries(constants.THEME_VARIABLES).forEach(([property, key]) => {
+                variables[key] = property;
+            });
+            
+            const schema = {};
+            Object.entries(THEME_SCHEMA).forEach(([key, type]) => {
+                schema[key] = {
+                    type: type,
+                    variable: variables[key] || null,
+                    required: REQUIRED_PROPERTIES.includes(key),
+                    derived: Object.prototype.hasOwnProperty.call(THEME_DEFAULTS, key)
+                };
+            });
+            return schema;
+        },
+        
+        /**
+         * Check one theme property value against the schema
+         * @param {string} key - Theme property, e.g. 'surfaceColor'
+         * @param {*} value
+         * @returns {string|null} Error message, null when valid
+         */
+        validateValue: function(key, value) {
+            if (!Object.prototype.hasOwnProperty.call(THEME_SCHEMA, key)) {
+                return `Unknown property "${key}"`;
+            }
+            const error = checkProperty(THEME_SCHEMA[key], value);
+            return error ? `${key} ${error}` : null;
+        },
+        
+        /**
+         * Check theme values against the schema
+         * Accepts bare values or an exportTheme envelope
+         * @param {Object} data - Theme values
+         * @returns {Object} { valid, errors, theme } - theme holds the non-empty values when valid
+         */
+        validateTheme: function(data) {
+            const errors = [];
+            
+            if (!data || typeof data !== 'object' || Array.isArray(data)) {
+                return { valid: false, errors: ['Theme must be an object'], theme: null };
+            }
+            
+            let values = data;
+            if (data.format !== undefined) {
+                if (data.format !== THEME_FORMAT.format) {
+                    errors.push(`Unknown format "${data.format}"`);
+                } else if (typeof data.version !== 'number' || data.version > THEME_FORMAT.version) {
+                    errors.push(`Unsupported version ${data.version}`);
+                }
+                values = data.theme;
+                if (!values || typeof values !== 'object' || Array.isArray(values)) {
+                    errors.push('Missing theme values');
+                    return { valid: false, errors: errors, theme: null };
+                }
+            }
+            
+            REQUIRED_PROPERTIES.forEach(key => {
+                if (values[key] === undefined || values[key] === '') {
+                    errors.push(`${key} is required`);
+                }
+            });
+            
+            Object.entries(values).forEach(([key, value]) => {
+                // Empty optional values are left to the defaults
+                const empty = (value === undefined || value === '') && Object.prototype.hasOwnProperty.call(THEME_SCHEMA, key);
+                const error = empty ? null : this.validateValue(key, value);
+                if (error) {
+                    errors.push(error);
+                }
+            });
+            
+            return {
+                valid: errors.length === 0,
+                errors: errors,
+                theme: errors.length === 0
+                    ? Object.fromEntries(Object.entries(values).filter(([key, value]) => value !== undefined && value !== ''))
+                    : null
+            };
+        },
+        
+        /**
+         * Theme as JSON for sharing
+         * Only the values the theme sets are written; derived tokens are
+         * filled in again on import
+         * @param {string|Object} theme - Theme name or theme values
+         * @returns {string|null} JSON, null for an unknown theme
+         */
+        exportTheme: function(theme) {
+            const values = typeof theme === 'string' ? this.getThemeValues(theme) : theme;
+            if (!values) {
+                return null;
+            }
+            
+            const clean = {};
+            Object.keys(THEME_SCHEMA).forEach(key => {
+                if (values[key] !== undefined && values[key] !== '') {
+                    clean[key] = values[key];
+                }
+            });
+            
+            return JSON.stringify(Object.assign({}, THEME_FORMAT, { theme: clean }), null, 2);
+        },
+        
+        /**
+         * Register a theme from exportTheme JSON
+         * Built-in themes cannot be replaced
+         * @param {string|Object} data - JSON text or parsed object
+         * @param {Object} options - { persist: false } skips saving
+         * @returns {Object} { theme, errors } - theme is null when rejected
+         */
+        importTheme: function(data, options = {}) {
+            let parsed = data;
+            if (typeof data === 'string') {
+                try {
+                    parsed = JSON.parse(data);
+                } catch (error) {
+                    return { theme: null, errors: ['Not valid JSON'] };
+                }
+            }
+            
+            const result = this.validateTheme(parsed);
+            if (!result.valid) {
+                return { theme: null, errors: result.errors };
+            }
+            
+            if (this.isBuiltIn(result.theme.name)) {
+                return { theme: null, errors: [`"${result.theme.name}" is a built-in theme`] };
+            }
+            
+            const theme = this.registerTheme(result.theme.name, result.theme, {
+                persist: options.persist !== false
+            });
+            return { theme: theme, errors: [] };
+        },
+        
+        /**
+         * WCAG contrast ratio between two colors
+         * A translucent foreground is blended over the background first
+         * @param {string} foreground - Color
+         * @param {string} background - Opaque color
+         * @returns {number|null} 1 to 21, null when a color cannot be read
+         */
+        getContrastRatio: function(foreground, background) {
+            const fg = parseColor(foreground);
+            const bg = parseColor(background);
+            if (!fg || !bg) {
+                return null;
+            }
+            
+            const blended = [0, 1, 2].map(i => fg[i] * fg[3] + bg[i] * (1 - fg[3]));
+            const [light, dark] = [luminance(blended), luminance(bg.slice(0, 3))].sort((a, b) => b - a);
+            return (light + 0.05) / (dark + 0.05);
+        },
+        
+        /**
+         * Register the saved custom themes
+         * @private
+         */
+        loadCustomThemes: function() {
+            let saved = null;
+            try {
+                saved = JSON.parse(localStorage.getItem(this.customKey) || 'null');
+            } catch (error) {
+                console.error('Failed to load custom themes:', error);
+            }
+            
+            if (!saved || typeof saved !== 'object') {
+                return;
+            }
+            
+            Object.values(saved).forEach(values => {
+                const result = this.validateTheme(values);
+                if (result.valid && !this.isBuiltIn(result.theme.name)) {
+                    this.registerTheme(result.theme.name, result.theme);
+                    this.customThemes[result.theme.name] = this.sources[result.theme.name];
+                } else {
+                    console.warn('ops.theme v3: Skipping invalid custom theme', result.errors);
+                }
+            });
+        },
+        
+        /**
+         * Save the custom themes
+         * @private
+         */
+        saveCustomThemes: function() {
+            try {
+                localStorage.setItem(this.customKey, JSON.stringify(this.customThemes));
+            } catch (error) {
+                console.error('Failed to save custom themes:', error);
+            }
+        },
+        
+        /**
+         * Read the saved theme name
+         * @private
+         */
+        loadThemeName: function() {
+            try {
+                return localStorage.getItem(this.storageKey);
+            } catch (error) {
+                return null;
+            }
+        },
+        
+        /**
+         * Save the theme name
+         * @private
+         */
+        saveThemeName: function(name) {
+            try {
+                localStorage.setItem(this.storageKey, name);
+            } catch (error) {
+                console.error('Failed to save theme:', error);
+            }
+        },
+        
         /**
          * Get current theme values
          * Useful for programmatic access
          */
         getTheme: function() {
-            return this.TERMINAL;
+            return this.themes[this.current] || this.TERMINAL;
+        },
+        
+        /**
+         * Get the active theme's name
+         * In auto mode this is the theme picked for the system
+         * @returns {string}
+         */
+        getThemeName: function() {
+            return this.current;
+        },
+        
+        /**
+         * Get the chosen mode: a theme name or 'auto'
+         * @returns {string}
+         */
+        getMode: function() {
+            return this.mode;
+        },
+        
+        /**
+         * Get every design token for a theme
+         * @param {string|Object} name - Theme name or unregistered theme values,
+         *                               defaults to the active theme
+         * @returns {Object} CSS custom property -> value
+         */
+        getTokens: function(name = this.current) {
+            const theme = name && typeof name === 'object'
+                ? completeTheme(Object.assign({}, this.TERMINAL, name))
+                : this.themes[name] || this.themes[constants.DEFAULT_THEME] || completeTheme(this.TERMINAL);
+            const tokens = {};
+            
+            Object.entries(constants.THEME_VARIABLES).forEach(([property, key]) => {
+                tokens[property] = theme[key];
+            });
+            
+            return Object.assign(tokens, TOKENS);
         },
         
         /**
@@ -81,29 +934,39 @@
          */
         getCSSVariables: function() {
             const computed = getComputedStyle(document.documentElement);
-            return {
-                '--theme-bg': computed.getPropertyValue('--theme-bg').trim(),
-                '--theme-text': computed.getPropertyValue('--theme-text').trim(),
-                '--theme-ui': computed.getPropertyValue('--theme-ui').trim(),
-                '--theme-font': computed.getPropertyValue('--theme-font').trim()
-            };
+            const vars = {};
+            
+            Object.keys(this.getTokens()).forEach(property => {
+                vars[property] = computed.getPropertyValue(property).trim();
+            });
+            
+            return vars;
         },
         
         /**
          * Verify theme is properly applied
+         * Fails when a variable is missing or the theme font did not load
+         * (an unchecked or unsupported font check does not fail it)
          */
         verify: function() {
             const vars = this.getCSSVariables();
-            const allSet = Object.values(vars).every(v => v && v !== '');
+            const missing = Object.keys(vars).filter(property => !vars[property]);
+            const allSet = missing.length === 0;
+            const font = this.fontStatus;
+            const fontLoaded = !font || font.loaded !== false;
             
             if (!allSet) {
-                console.warn('ops.theme v2: Some variables not set', vars);
+                console.warn('ops.theme v3: Some variables not set', missing);
+            }
+            
+            if (!fontLoaded) {
+                console.warn(`ops.theme v3: Font "${font.family}" not loaded, using ${font.active || 'the browser default'}`);
             }
             
-            return allSet;
+            return allSet && fontLoaded;
         }
     };
-
+    
     // Auto-initialize when DOM is ready
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', function() {
@@ -114,4 +977,4 @@
         window.opsTheme.init();
     }
 
-})();
\ No newline at end of file
+})();